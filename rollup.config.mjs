@@ -22,12 +22,20 @@ function getAllInputFiles(dir = 'src') {
 
 const inputFiles = getAllInputFiles();
 
+// Dependencies (and their subpaths, e.g. `tiny-essentials/basics`) stay external
+const dependencies = [
+  ...Object.keys(pkg.dependencies || {}),
+  ...Object.keys(pkg.devDependencies || {}),
+];
+const isExternal = (/** @type {string} */ id) =>
+  dependencies.some((name) => id === name || id.startsWith(`${name}/`));
+
 // Prepare Plugins
 const plugins = [resolve({ preferBuiltins: true }), json(), commonjs(), preserveDirectories()];
 
 export default [
   {
-    external: [...Object.keys(pkg.dependencies || {}), ...Object.keys(pkg.devDependencies || {})],
+    external: isExternal,
     input: inputFiles,
     output: {
       dir: 'dist',
@@ -4,11 +4,72 @@ import clone from 'clone';
 import { isBrowser } from './lib/os.mjs';
 import TinyCrypto from './TinyCrypto.mjs';
 
+/** @typedef {import('./lib/TinyCryptoParser.mjs').ValueSchema} ValueSchema */
+/** @typedef {import('crypto').KeyObject} KeyObject */
+/** @typedef {import('crypto')} NodeCrypto */
+/** @typedef {import('./lib/ecies.mjs')} Ecies */
+
+/**
+ * GeneralName types of the Subject Alternative Names (RFC 5280), by option name.
+ * @type {Readonly<Record<string, number>>}
+ */
+const ALT_NAME_TYPES = Object.freeze({ email: 1, dns: 2, uri: 6, ip: 7 });
+
+/**
+ * @typedef {'RSA'|'P-256'|'P-384'|'Ed25519'} KeyType
+ */
+
+/**
+ * Key types supported by TinyCertCrypto: the EC curve (OpenSSL name), and the signature algorithm
+ * of the certificates they sign (its OID and digest).
+ * @type {Readonly<Record<KeyType, { curve?: string, signatureOid: string, digest: string|null }>>}
+ */
+const KEY_TYPES = Object.freeze({
+  RSA: { signatureOid: '1.2.840.113549.1.1.11', digest: 'sha256' },
+  'P-256': { curve: 'prime256v1', signatureOid: '1.2.840.10045.4.3.2', digest: 'sha256' },
+  'P-384': { curve: 'secp384r1', signatureOid: '1.2.840.10045.4.3.3', digest: 'sha384' },
+  Ed25519: { signatureOid: '1.3.101.112', digest: null },
+});
+
+/**
+ * Checks whether a key is a Node.js `KeyObject` (EC and Ed25519 keys), instead of a node-forge
+ * RSA key. The class is not imported, so browsers never load the Node.js crypto module.
+ *
+ * @param {*} key
+ * @returns {key is KeyObject}
+ */
+const isKeyObject = (key) =>
+  key !== null &&
+  typeof key === 'object' &&
+  (key.type === 'public' || key.type === 'private') &&
+  typeof key.asymmetricKeyType === 'string' &&
+  typeof key.export === 'function';
+
+/**
+ * Checks whether a string is an IPv4 address in dotted-decimal form, or an IPv6 address in
+ * hexadecimal form (node-forge does not validate them).
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isIpAddress = (value) => {
+  if (/^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(value))
+    return true;
+  if (!/^[\da-f:]+$/i.test(value)) return false;
+  try {
+    new URL(`http://[${value}]/`);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
 /**
  * Class representing a certificate and key management utility.
  *
- * This class provides functionality to load, initialize, and manage X.509 certificates and RSA keys.
- * It supports encryption and decryption operations using RSA keys, and also includes utility methods
+ * This class provides functionality to load, initialize, and manage X.509 certificates and RSA,
+ * ECDSA (P-256, P-384) and Ed25519 keys. It supports encryption and decryption operations using
+ * those keys (RSA, or ECIES for the elliptic curve keys), and also includes utility methods
  * for certificate handling and metadata extraction.
  *
  * @class
@@ -17,6 +78,7 @@ class TinyCertCrypto {
   /** @typedef {import('node-forge')} NodeForge */
   /** @typedef {import('node-forge').pki.Certificate} Certificate */
   /** @typedef {import('node-forge').pki.CertificateField} CertificateField */
+  /** @typedef {import('node-forge').pki.CertificateSigningRequest} CertificateSigningRequest */
   /** @typedef {import('node-forge').pki.rsa.PublicKey} PublicKey */
   /** @typedef {import('node-forge').pki.rsa.PrivateKey} PrivateKey */
   /** @typedef {import('node-forge').pki.rsa.EncryptionScheme} EncryptionScheme */
@@ -24,12 +86,15 @@ class TinyCertCrypto {
   /** @typedef {Record<string|number, any>|any[]} CryptoResult */
   /** @typedef {string} Base64 */
 
-  /** @type {PublicKey|null} */ publicKey = null;
-  /** @type {PrivateKey|null} */ privateKey = null;
+  /** @type {PublicKey|KeyObject|null} */ publicKey = null;
+  /** @type {PrivateKey|KeyObject|null} */ privateKey = null;
   /** @type {Certificate|null} */ publicCert = null;
+  /** @type {CertificateSigningRequest|null} */ csr = null;
   /** @type {Record<string, any>|null} */ metadata = null;
   /** @type {string|null} */ source = null;
   /** @type {TinyCrypto|null} */ #tinyCrypto = null;
+  /** @type {NodeCrypto|null} */ #nodeCrypto = null;
+  /** @type {Ecies|null} */ #ecies = null;
 
   /**
    * Regular expression for matching X.509 PEM certificates.
@@ -43,17 +108,35 @@ class TinyCertCrypto {
   #certRegex = /-----BEGIN CERTIFICATE-----([\s\S]+?)-----END CERTIFICATE-----/;
 
   /**
-   * Regular expression for matching RSA PEM keys.
+   * Regular expression for matching PKCS#10 PEM certificate signing requests (CSR).
+   *
+   * Both `CERTIFICATE REQUEST` and the older `NEW CERTIFICATE REQUEST` labels are supported.
    *
-   * This pattern captures both RSA public and private keys, supporting
+   * @type {RegExp}
+   */
+  #csrRegex =
+    /-----BEGIN (?:NEW )?CERTIFICATE REQUEST-----([\s\S]+?)-----END (?:NEW )?CERTIFICATE REQUEST-----/;
+
+  /**
+   * Regular expression for matching PEM keys.
+   *
+   * This pattern captures both public and private keys, supporting
    * the standard PEM formatting:
-   * `-----BEGIN [RSA] PUBLIC|PRIVATE KEY-----` to `-----END ... KEY-----`.
+   * `-----BEGIN [RSA|EC] PUBLIC|PRIVATE KEY-----` to `-----END ... KEY-----`.
    * It captures the key type (PUBLIC|PRIVATE) and the base64 content.
    *
    * @type {RegExp}
    */
   #keyRegex =
-    /-----BEGIN\s+(?:RSA\s+)?(PUBLIC|PRIVATE)\s+KEY-----([\s\S]+?)-----END\s+(?:RSA\s+)?\1\s+KEY-----/;
+    /-----BEGIN\s+(?:RSA\s+|EC\s+)?(PUBLIC|PRIVATE)\s+KEY-----([\s\S]+?)-----END\s+(?:RSA\s+|EC\s+)?\1\s+KEY-----/;
+
+  /**
+   * Original DER encoding of the certificates of EC and Ed25519 keys, which node-forge can't
+   * encode back by itself.
+   *
+   * @type {WeakMap<Certificate, string>}
+   */
+  #certificateDers = new WeakMap();
 
   /**
    * Constructs a new instance of TinyCertCrypto.
@@ -188,9 +271,26 @@ class TinyCertCrypto {
         this.forge = forge?.default ?? forge;
       }
     }
+    // EC and Ed25519 keys use the Node.js crypto module, which is left out of browser bundles
+    if (!this.#nodeCrypto && !isBrowser()) {
+      this.#nodeCrypto = await import(/* webpackIgnore: true */ 'crypto');
+      this.#ecies = await import(/* webpackIgnore: true */ './lib/ecies.mjs');
+    }
     return this.#getNodeForge();
   }
 
+  /**
+   * Returns the Node.js crypto module and the ECIES helpers, loaded by `#fetchNodeForge()`.
+   *
+   * @returns {{ nodeCrypto: NodeCrypto, ecies: Ecies }}
+   * @throws {Error} If they are not loaded (in browsers, or before `#fetchNodeForge()`).
+   */
+  #getNodeCrypto() {
+    if (!this.#nodeCrypto || !this.#ecies)
+      throw new Error('ECDSA and Ed25519 keys are only supported in Node.js.');
+    return { nodeCrypto: this.#nodeCrypto, ecies: this.#ecies };
+  }
+
   /**
    * Public wrapper for fetching the `node-forge` module.
    * Useful for on-demand loading in environments like browsers.
@@ -229,34 +329,170 @@ class TinyCertCrypto {
   /**
    * Detects the type of a PEM-formatted string.
    *
-   * Recognizes X.509 certificates and RSA keys (public/private).
-   * Returns a string describing the type, such as `'certificate'`, `'public_key'`, `'private_key'`,
-   * or `'unknown'` if the format is not recognized.
+   * Recognizes X.509 certificates, certificate signing requests and keys (public/private).
+   * Returns a string describing the type, such as `'certificate'`, `'certificate_request'`,
+   * `'public_key'`, `'private_key'`, or `'unknown'` if the format is not recognized.
    *
    * @param {string} pemString - The PEM string to inspect.
    * @returns {string} The detected PEM type.
    */
   #detectPemType(pemString) {
     if (this.#certRegex.test(pemString)) return 'certificate';
+    if (this.#csrRegex.test(pemString)) return 'certificate_request';
     const keyMatch = this.#keyRegex.exec(pemString);
     if (keyMatch && typeof keyMatch[1] === 'string') return keyMatch[1].toLowerCase() + '_key'; // "public_key" or "private_key"
     return 'unknown';
   }
 
   /**
-   * Generates a new X.509 certificate along with a public/private RSA key pair.
+   * Returns the type of a key.
+   *
+   * @param {PublicKey|PrivateKey|KeyObject} key - A node-forge RSA key, or a Node.js key.
+   * @returns {KeyType}
+   * @throws {Error} If the key type is not supported.
+   */
+  #getKeyType(key) {
+    if (!isKeyObject(key)) return 'RSA';
+    if (key.asymmetricKeyType === 'ed25519') return 'Ed25519';
+    const curve = key.asymmetricKeyDetails?.namedCurve;
+    const keyType = /** @type {KeyType[]} */ (Object.keys(KEY_TYPES)).find(
+      (name) => curve && KEY_TYPES[name].curve === curve,
+    );
+    if (key.asymmetricKeyType === 'ec' && keyType) return keyType;
+    throw new Error(
+      `Unsupported key type "${[key.asymmetricKeyType, curve].filter(Boolean).join(' ')}". ` +
+        'Use RSA, P-256, P-384 or Ed25519 keys.',
+    );
+  }
+
+  /**
+   * Returns the type of the loaded key.
+   *
+   * @returns {KeyType|null} `'RSA'`, `'P-256'`, `'P-384'` or `'Ed25519'`, or `null` if no key is loaded.
+   */
+  getKeyType() {
+    const key = this.publicKey ?? this.privateKey;
+    return key ? this.#getKeyType(key) : null;
+  }
+
+  /**
+   * Reads a PEM public key. RSA keys are read by node-forge, EC (P-256, P-384) and Ed25519 keys
+   * by Node.js (they are not supported in browsers).
+   *
+   * @param {string} pem - The PEM-encoded public key.
+   * @returns {PublicKey|KeyObject} The key.
+   * @throws {Error} If the key is invalid or its type is not supported.
+   */
+  #readPublicKey(pem) {
+    const { pki } = this.#getNodeForge();
+    if (isBrowser()) return pki.publicKeyFromPem(pem);
+    const key = this.#getNodeCrypto().nodeCrypto.createPublicKey(pem);
+    if (key.asymmetricKeyType === 'rsa') return pki.publicKeyFromPem(pem);
+    this.#getKeyType(key);
+    return key;
+  }
+
+  /**
+   * Reads a PEM private key (PKCS#1, SEC1 or PKCS#8). RSA keys are read by node-forge, EC
+   * (P-256, P-384) and Ed25519 keys by Node.js (they are not supported in browsers).
+   *
+   * @param {string} pem - The PEM-encoded private key.
+   * @returns {PrivateKey|KeyObject} The key.
+   * @throws {Error} If the key is invalid or its type is not supported.
+   */
+  #readPrivateKey(pem) {
+    const { pki } = this.#getNodeForge();
+    if (isBrowser()) return pki.privateKeyFromPem(pem);
+    const key = this.#getNodeCrypto().nodeCrypto.createPrivateKey(pem);
+    if (key.asymmetricKeyType === 'rsa') return pki.privateKeyFromPem(pem);
+    this.#getKeyType(key);
+    return key;
+  }
+
+  /**
+   * Generates a new key pair.
+   *
+   * @param {KeyType} keyType - The key type.
+   * @param {number} modulusLength - Length of RSA keys in bits.
+   * @returns {{ publicKey: PublicKey|KeyObject, privateKey: PrivateKey|KeyObject, publicPem: string, privatePem: string }}
+   * The keys, and their PEM encoding (SPKI and PKCS#8 for the elliptic curve keys).
+   * @throws {Error} If the key type is not supported.
+   */
+  #generateKeyPair(keyType, modulusLength) {
+    const { pki } = this.#getNodeForge();
+    if (typeof keyType !== 'string' || !(keyType in KEY_TYPES))
+      throw new Error(`Unknown key type "${keyType}". Use RSA, P-256, P-384 or Ed25519.`);
+
+    if (keyType === 'RSA') {
+      const { publicKey, privateKey } = pki.rsa.generateKeyPair(modulusLength);
+      return {
+        publicKey,
+        privateKey,
+        publicPem: pki.publicKeyToPem(publicKey),
+        privatePem: pki.privateKeyToPem(privateKey),
+      };
+    }
+
+    const { generateKeyPairSync } = this.#getNodeCrypto().nodeCrypto;
+    const { publicKey, privateKey } =
+      keyType === 'Ed25519'
+        ? generateKeyPairSync('ed25519')
+        : generateKeyPairSync('ec', {
+            namedCurve: /** @type {string} */ (KEY_TYPES[keyType].curve),
+          });
+    return {
+      publicKey,
+      privateKey,
+      publicPem: publicKey.export({ type: 'spki', format: 'pem' }).toString(),
+      privatePem: privateKey.export({ type: 'pkcs8', format: 'pem' }).toString(),
+    };
+  }
+
+  /**
+   * @typedef {Object} CertificateOptions
+   * @property {number} [validityInYears=1] - Number of years the certificate will be valid. An issued
+   * certificate never outlives its issuer, so it is shortened if needed.
+   * @property {number} [randomBytesLength=16] - Number of random bytes to use for serial number generation.
+   * @property {boolean} [ca=false] - Makes a CA certificate, which can sign other certificates.
+   * @property {number|null} [pathLength=null] - For CA certificates, the maximum number of intermediate
+   * CAs below it. `null` means no limit, or one less than the limit of the issuer.
+   * @property {string[]} [extKeyUsage=['serverAuth', 'clientAuth']] - Extended key usages of a leaf
+   * certificate (forge names like `'codeSigning'`, or OIDs).
+   * @property {TinyCertCrypto|null} [issuer=null] - A CA instance (with its certificate and private key loaded)
+   * that signs the certificate. Without it, the certificate is self-signed.
+   * @property {AltNames|null} [altNames=null] - Subject Alternative Names (SAN) of the certificate.
+   * @property {Record<string, any>[]} [extensions=[]] - Additional X.509 extensions, in the node-forge format (e.g.
+   * `{ name: 'nsCertType', server: true }`, or `{ id: '1.2.3.4', critical: false, value: derBuffer }`).
+   * An extension with the same name as a default one replaces it.
+   */
+
+  /**
+   * @typedef {Object} AltNames
+   * @property {string[]} [dns] - DNS names (e.g. `'api.pony.local'`, `'*.pony.local'`).
+   * @property {string[]} [ip] - IPv4 or IPv6 addresses.
+   * @property {string[]} [uri] - URIs.
+   * @property {string[]} [email] - Email addresses.
+   */
+
+  /**
+   * Generates a new X.509 certificate along with a public/private key pair.
    *
    * This method can only be used in Node.js environments. It throws an error if a certificate
    * or key is already loaded into the instance.
    *
+   * The certificate is self-signed, unless an `issuer` CA is given. With `ca: true`, it is a CA
+   * certificate (a root CA when self-signed, an intermediate CA when issued).
+   *
+   * The key pair is RSA by default. `keyType` can also be `'P-256'` or `'P-384'` (ECDSA) or
+   * `'Ed25519'`. The certificate is signed with SHA-256 (RSA, P-256), SHA-384 (P-384) or Ed25519,
+   * depending on the key of the signer.
+   *
    * @param {Object<string, string>} subjectFields - An object representing the subject fields of the certificate (e.g., CN, O, C).
-   * @param {Object} [options={}] - Optional configuration for key and certificate generation.
-   * @param {number} [options.modulusLength=2048] - Length of the RSA key in bits.
-   * @param {number} [options.validityInYears=1] - Number of years the certificate will be valid.
-   * @param {number} [options.randomBytesLength=16] - Number of random bytes to use for serial number generation.
+   * @param {CertificateOptions & { modulusLength?: number, keyType?: KeyType }} [options={}] - Optional configuration for key and certificate generation.
+   * `modulusLength` is the length of the RSA key in bits (default: `2048`), and `keyType` the type of the key pair (default: `'RSA'`).
    *
    * @returns {Promise<{publicKey: string, privateKey: string, cert: string}>} The generated keys and certificate in PEM format.
-   * @throws {Error} If running in a browser or if a cert/key is already loaded.
+   * @throws {Error} If running in a browser, if a cert/key is already loaded or if the issuer can't sign the certificate.
    */
   async generateX509Cert(subjectFields, options = {}) {
     // Errors
@@ -264,27 +500,21 @@ class TinyCertCrypto {
       throw new Error('A certificate is already loaded into the instance.');
 
     // Prepare cert
-    const { pki } = await this.#fetchNodeForge();
-
-    /**
-     * @property {number} [modulusLength=2048] - The length of the RSA modulus (in bits). Default is 2048.
-     * @property {number} [validityInYears=1] - The validity period of the key pair in years. Default is 1 year.
-     * @property {number} [randomBytesLength=16] - The length of random bytes used in key generation. Default is 16 bytes.
-     */
-    const { modulusLength = 2048, validityInYears = 1, randomBytesLength = 16 } = options;
+    await this.#fetchNodeForge();
+    const { modulusLength = 2048, keyType = 'RSA', ...certOptions } = options;
 
     // Generate keys
-    const { publicKey, privateKey } = pki.rsa.generateKeyPair(modulusLength);
-    const encodedPublicKey = pki.publicKeyToPem(publicKey);
-    const encodedPrivateKey = pki.privateKeyToPem(privateKey);
+    const { publicPem: encodedPublicKey, privatePem: encodedPrivateKey } = this.#generateKeyPair(
+      keyType,
+      modulusLength,
+    );
 
     // Get pem files
     const { cert, publicPem, privatePem } = this.#generateCertificate(
       subjectFields,
       encodedPublicKey,
       encodedPrivateKey,
-      validityInYears,
-      randomBytesLength,
+      certOptions,
     );
 
     // Insert data
@@ -301,54 +531,726 @@ class TinyCertCrypto {
     return { publicKey: encodedPublicKey, privateKey: encodedPrivateKey, cert };
   }
 
+  /**
+   * Issues a certificate for a public key, signed by the CA loaded in this instance.
+   *
+   * The instance must have a CA certificate (see `generateX509Cert()` with `ca: true`) and its
+   * private key loaded.
+   *
+   * @param {Object<string, string>} subjectFields - An object representing the subject fields of the certificate (e.g., CN, O, C).
+   * @param {string|PublicKey|KeyObject} publicKey - The public key of the subject, in PEM format, as a node-forge RSA key or as a Node.js key (EC, Ed25519).
+   * @param {Omit<CertificateOptions, 'issuer'>} [options={}] - Optional configuration for the certificate.
+   * @returns {string} The issued certificate in PEM format.
+   * @throws {Error} If this instance is not a CA with a private key, or the options are invalid.
+   */
+  issueCertificate(subjectFields, publicKey, options = {}) {
+    return this.#generateCertificate(subjectFields, publicKey, null, { ...options, issuer: this })
+      .cert;
+  }
+
+  /**
+   * Generates a new RSA key pair and a PKCS#10 certificate signing request (CSR) for it.
+   * CSRs only support RSA keys (any CA can sign them, including an EC or Ed25519 one).
+   *
+   * The keys are loaded into the instance, and `extractCertMetadata()` returns the subject of the
+   * CSR. Send the CSR to a CA (see `signCsr()`), then load the returned certificate with the
+   * private key in a new instance.
+   *
+   * @param {Object<string, string>} subjectFields - An object representing the subject fields of the request (e.g., CN, O, C).
+   * @param {Object} [options={}] - Optional configuration for key generation.
+   * @param {number} [options.modulusLength=2048] - Length of the RSA key in bits.
+   * @returns {Promise<{publicKey: string, privateKey: string, csr: string}>} The generated keys and CSR in PEM format.
+   * @throws {Error} If a cert/key is already loaded.
+   */
+  async generateCsr(subjectFields, { modulusLength = 2048 } = {}) {
+    if (this.publicKey || this.privateKey || this.publicCert)
+      throw new Error('A certificate is already loaded into the instance.');
+
+    const { pki, md } = await this.#fetchNodeForge();
+    const { publicKey, privateKey } = pki.rsa.generateKeyPair(modulusLength);
+
+    const csr = pki.createCertificationRequest();
+    csr.publicKey = publicKey;
+    /** @type {CertificateField[]} */
+    const attrs = [];
+    for (const name in subjectFields) attrs.push({ name, value: subjectFields[name] });
+    csr.setSubject(attrs);
+    csr.sign(privateKey, md.sha256.create());
+
+    const encodedPrivateKey = pki.privateKeyToPem(privateKey);
+    this.publicKey = publicKey;
+    this.privateKey = privateKey;
+    this.csr = csr;
+    this.metadata = this.#getCsrMetadata(csr);
+    this.privateKeyPath = 'MEMORY';
+    this.privateKeyBuffer = Buffer.from(encodedPrivateKey);
+    this.source = 'memory';
+
+    return {
+      publicKey: pki.publicKeyToPem(publicKey),
+      privateKey: encodedPrivateKey,
+      csr: pki.certificationRequestToPem(csr),
+    };
+  }
+
+  /**
+   * Verifies a PKCS#10 certificate signing request (CSR) and issues its certificate, signed by
+   * the CA loaded in this instance.
+   *
+   * The subject and public key come from the CSR, which must be signed by its own private key.
+   * The other fields and the extensions are set by the CA, from the options (like in
+   * `issueCertificate()`).
+   *
+   * @param {string} csrPem - The CSR in PEM format.
+   * @param {Omit<CertificateOptions, 'issuer'>} [options={}] - Optional configuration for the certificate.
+   * @returns {string} The issued certificate in PEM format.
+   * @throws {Error} If the CSR is invalid, or this instance is not a CA with a private key.
+   */
+  signCsr(csrPem, options = {}) {
+    if (typeof csrPem !== 'string' || this.#detectPemType(csrPem) !== 'certificate_request')
+      throw new Error('Expected csrPem to be a string containing a PEM-encoded CSR.');
+    const { pki } = this.#getNodeForge();
+    const csr = pki.certificationRequestFromPem(csrPem);
+    if (!csr.publicKey || !csr.verify())
+      throw new Error('Invalid CSR: its signature does not match its public key.');
+    const publicKey = /** @type {PublicKey} */ (csr.publicKey);
+    return this.#generateCertificate(csr.subject.attributes, publicKey, null, {
+      ...options,
+      issuer: this,
+    }).cert;
+  }
+
+  /**
+   * Checks whether the loaded certificate is a CA certificate (its `basicConstraints` has `cA`).
+   *
+   * @returns {boolean} `true` if a CA certificate is loaded, `false` otherwise.
+   */
+  isCA() {
+    return this.publicCert !== null && this.#getBasicConstraints(this.publicCert).ca;
+  }
+
+  /**
+   * @typedef {Object} ChainLink
+   * @property {number} index - Position of the certificate in the chain (`0` is the loaded certificate).
+   * @property {string} subject - The subject of the certificate (e.g. `'CN=example.com,O=MyOrg'`).
+   * @property {string} issuer - The issuer of the certificate.
+   * @property {string} serialNumber - The serial number of the certificate.
+   * @property {Date} validFrom - Start of the validity period.
+   * @property {Date} validTo - End of the validity period.
+   * @property {boolean} trusted - Whether the certificate is one of the trusted roots.
+   * @property {string[]} errors - Why the certificate failed the verification (empty if it passed).
+   */
+
+  /**
+   * @typedef {Object} ChainVerification
+   * @property {boolean} valid - Whether the whole chain is valid and ends in a trusted root.
+   * @property {number|null} failedAt - Index of the first link that failed, or `null`.
+   * @property {string|null} reason - The first error of that link, or `null`.
+   * @property {ChainLink[]} chain - The links, from the loaded certificate up to the root.
+   */
+
+  /**
+   * Verifies the loaded certificate up to one of the trusted root certificates.
+   *
+   * The chain is built from the loaded certificate by finding each issuer (by name and signature)
+   * in `trustedRoots` first, then in `intermediates`. Each link is checked for:
+   *
+   * - its validity period, at the date `at`;
+   * - the signature of its issuer (trusted roots are trust anchors, so theirs is not checked);
+   * - for the issuers: `basicConstraints` (a CA certificate), the path length and, if present,
+   * the `keyCertSign` key usage.
+   *
+   * The chain is valid when every link passes and it ends in a trusted root. Nothing is thrown
+   * for an invalid chain: the result tells which link failed, and why.
+   *
+   * @param {Array<string|Certificate>} [intermediates=[]] - Intermediate CA certificates (PEM or node-forge).
+   * @param {Array<string|Certificate>} [trustedRoots=[]] - Trusted root certificates (PEM or node-forge).
+   * @param {Object} [options={}] - Verification options.
+   * @param {Date} [options.at=new Date()] - The date to check the validity periods at.
+   * @returns {ChainVerification} The result of the verification.
+   * @throws {Error} If no certificate is loaded or if the arguments are invalid.
+   */
+  verifyChain(intermediates = [], trustedRoots = [], { at = new Date() } = {}) {
+    if (!this.publicCert) throw new Error('No certificate is loaded into the instance.');
+    if (!Array.isArray(intermediates) || !Array.isArray(trustedRoots))
+      throw new Error('intermediates and trustedRoots must be arrays of certificates.');
+    if (!(at instanceof Date) || Number.isNaN(at.getTime()))
+      throw new Error('at must be a valid Date.');
+
+    const { pki, asn1 } = this.#getNodeForge();
+    /** @param {string|Certificate} cert */
+    const readCert = (cert) => {
+      if (typeof cert === 'string' && this.#detectPemType(cert) === 'certificate')
+        return this.#parseCertificate(cert);
+      if (cert && typeof cert === 'object' && typeof cert.verify === 'function') return cert;
+      throw new Error('Expected a PEM-encoded certificate or a node-forge certificate.');
+    };
+    /** @param {Certificate} cert */
+    const toDer = (cert) =>
+      this.#certificateDers.get(cert) ?? asn1.toDer(pki.certificateToAsn1(cert)).getBytes();
+    /** @param {Certificate} issuer @param {Certificate} cert */
+    const signed = (issuer, cert) => this.#verifySignature(issuer, cert);
+
+    const roots = trustedRoots.map(readCert);
+    const candidates = [...roots, ...intermediates.map(readCert)];
+    const rootDers = new Set(roots.map(toDer));
+
+    // Build the chain
+    const chain = [this.publicCert];
+    let trusted = rootDers.has(toDer(this.publicCert));
+    while (!trusted && chain.length <= candidates.length) {
+      const cert = chain[chain.length - 1];
+      const issuers = candidates.filter((item) => !chain.includes(item) && cert.isIssuer(item));
+      const issuer = issuers.find((item) => signed(item, cert)) ?? issuers[0];
+      if (!issuer) break;
+      chain.push(issuer);
+      trusted = roots.includes(issuer);
+    }
+
+    // Check every link
+    /** @type {ChainLink[]} */
+    const links = chain.map((cert, index) => {
+      /** @type {string[]} */
+      const errors = [];
+      const issuer = chain[index + 1];
+      const isTrusted = trusted && index === chain.length - 1;
+
+      if (at < cert.validity.notBefore) errors.push('The certificate is not valid yet.');
+      if (at > cert.validity.notAfter) errors.push('The certificate has expired.');
+
+      if (issuer) {
+        if (!signed(issuer, cert))
+          errors.push('The signature does not match the issuer certificate.');
+      } else if (!isTrusted)
+        errors.push(
+          cert.isIssuer(cert)
+            ? 'The root certificate is not trusted.'
+            : 'The issuer certificate was not found.',
+        );
+
+      if (index > 0) {
+        const { ca, pathLength } = this.#getBasicConstraints(cert);
+        const keyUsage = /** @type {{ keyCertSign?: boolean }|undefined} */ (
+          cert.getExtension('keyUsage')
+        );
+        if (!ca) errors.push('The issuer certificate is not a CA certificate.');
+        else if (pathLength !== null && index - 1 > pathLength)
+          errors.push(`The path length of the issuer certificate (${pathLength}) is exceeded.`);
+        if (keyUsage && !keyUsage.keyCertSign)
+          errors.push(
+            'The key usage of the issuer certificate does not allow signing certificates.',
+          );
+      }
+
+      return {
+        index,
+        subject: this.#readAttributes(cert.subject.attributes).raw,
+        issuer: this.#readAttributes(cert.issuer.attributes).raw,
+        serialNumber: cert.serialNumber,
+        validFrom: cert.validity.notBefore,
+        validTo: cert.validity.notAfter,
+        trusted: isTrusted,
+        errors,
+      };
+    });
+
+    const failed = links.find((link) => link.errors.length > 0);
+    return {
+      valid: !failed,
+      failedAt: failed ? failed.index : null,
+      reason: failed ? failed.errors[0] : null,
+      chain: links,
+    };
+  }
+
+  /**
+   * Converts the `altNames` option into the node-forge `subjectAltName` entries.
+   *
+   * @param {AltNames} altNames - The Subject Alternative Names.
+   * @returns {{ type: number, value?: string, ip?: string }[]} The entries.
+   * @throws {Error} If the alt names are invalid.
+   */
+  #buildAltNames(altNames) {
+    if (!altNames || typeof altNames !== 'object' || Array.isArray(altNames))
+      throw new Error('altNames must be an object with dns, ip, uri or email lists.');
+
+    /** @type {{ type: number, value?: string, ip?: string }[]} */
+    const entries = [];
+    for (const [type, values] of Object.entries(altNames)) {
+      if (!(type in ALT_NAME_TYPES)) throw new Error(`Unknown alt name type "${type}".`);
+      if (!Array.isArray(values) || values.some((value) => typeof value !== 'string' || !value))
+        throw new Error(`altNames.${type} must be an array of non-empty strings.`);
+      for (const value of values) {
+        if (type === 'ip') {
+          if (!isIpAddress(value)) throw new Error(`Invalid IP address "${value}".`);
+          entries.push({ type: ALT_NAME_TYPES.ip, ip: value });
+        } else entries.push({ type: ALT_NAME_TYPES[type], value });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Reads the extensions of a certificate into plain objects, keyed by name (or OID when the
+   * extension is unknown to node-forge).
+   *
+   * The known extensions are parsed (`basicConstraints`, `keyUsage`, `extKeyUsage`,
+   * `subjectAltName` and `subjectKeyIdentifier`). The others only have their DER `value` in hex.
+   *
+   * @param {Certificate} cert - The certificate.
+   * @returns {Record<string, { critical: boolean } & Record<string, any>>} The extensions.
+   */
+  #readExtensions(cert) {
+    const { util } = this.#getNodeForge();
+    /** @type {Record<string, { critical: boolean } & Record<string, any>>} */
+    const result = {};
+    for (const ext of /** @type {Record<string, any>[]} */ (cert.extensions)) {
+      const critical = ext.critical === true;
+      /** @param {Record<string, any>} value */
+      const flags = (value) =>
+        Object.keys(value).filter(
+          (key) => !['id', 'name', 'critical', 'value'].includes(key) && value[key] === true,
+        );
+
+      switch (ext.name) {
+        case 'basicConstraints':
+          result[ext.name] = { critical, ...this.#getBasicConstraints(cert) };
+          break;
+        case 'keyUsage':
+        case 'extKeyUsage':
+          result[ext.name] = { critical, usages: flags(ext) };
+          break;
+        case 'subjectAltName': {
+          /** @type {Record<string, string[]>} */
+          const altNames = {};
+          for (const entry of ext.altNames ?? []) {
+            const type = Object.keys(ALT_NAME_TYPES).find(
+              (key) => ALT_NAME_TYPES[key] === entry.type,
+            );
+            if (!type) continue;
+            (altNames[type] ??= []).push(type === 'ip' ? entry.ip : entry.value);
+          }
+          result[ext.name] = { critical, altNames };
+          break;
+        }
+        case 'subjectKeyIdentifier':
+          result[ext.name] = { critical, keyIdentifier: ext.subjectKeyIdentifier };
+          break;
+        default:
+          result[ext.name || ext.id] = {
+            critical,
+            ...(typeof ext.value === 'string' ? { value: util.bytesToHex(ext.value) } : {}),
+          };
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Reads the `basicConstraints` extension of a certificate.
+   *
+   * @param {Certificate} cert - The certificate.
+   * @returns {{ ca: boolean, pathLength: number|null }} Whether it is a CA, and its path length limit.
+   */
+  #getBasicConstraints(cert) {
+    const ext = /** @type {{ cA?: boolean, pathLenConstraint?: number }|undefined} */ (
+      cert.getExtension('basicConstraints')
+    );
+    return {
+      ca: ext?.cA === true,
+      pathLength: typeof ext?.pathLenConstraint === 'number' ? ext.pathLenConstraint : null,
+    };
+  }
+
+  /**
+   * Returns the key identifier of a certificate, as a binary string: its `subjectKeyIdentifier`,
+   * or the SHA-1 hash of its public key when it has none.
+   *
+   * @param {Certificate} cert - The certificate.
+   * @returns {string}
+   */
+  #getKeyIdentifier(cert) {
+    const { util } = this.#getNodeForge();
+    const ext = /** @type {{ subjectKeyIdentifier?: string }|undefined} */ (
+      cert.getExtension('subjectKeyIdentifier')
+    );
+    return typeof ext?.subjectKeyIdentifier === 'string'
+      ? util.hexToBytes(ext.subjectKeyIdentifier)
+      : cert.generateSubjectKeyIdentifier().getBytes();
+  }
+
   /**
    * @typedef {Object} CertificateDetails
    * @property {PEM} cert - The certificate in PEM format.
-   * @property {PublicKey} publicPem - The public key in PEM format.
-   * @property {PrivateKey} privatePem - The private key in PEM format.
+   * @property {PublicKey|KeyObject} publicPem - The parsed public key.
+   * @property {PrivateKey|KeyObject|null} privatePem - The parsed private key (`null` for issued certificates).
    */
 
   /**
-   * Generates a self-signed X.509 certificate using the given public and private RSA keys.
+   * Generates an X.509 certificate for the given public key.
    *
-   * This method creates a certificate, assigns the subject and issuer fields,
-   * sets the validity period, and signs it with the private key.
+   * This method creates a certificate, assigns the subject and issuer fields, sets the validity
+   * period and the `basicConstraints`, `keyUsage`, `extKeyUsage`, `subjectKeyIdentifier` and
+   * `authorityKeyIdentifier` extensions, and signs it. Without an `issuer`, the certificate is
+   * self-signed with `privateKey`. Otherwise, the issuer CA signs it.
    *
-   * @param {Object<string, string>} subject - An object representing the subject/issuer fields (e.g., { CN: 'example.com' }).
-   * @param {string} publicKey - The public key in PEM format.
-   * @param {string} privateKey - The private key in PEM format.
-   * @param {number} validityInYears - Number of years the certificate will remain valid.
-   * @param {number} randomBytesLength - Number of random bytes used to generate the serial number.
+   * RSA certificates signed by RSA keys are made by node-forge. The others are signed by
+   * `#signCertificate()`.
+   *
+   * @param {Object<string, string>|CertificateField[]} subject - An object representing the subject fields (e.g., { CN: 'example.com' }), or a list of node-forge attributes.
+   * @param {string|PublicKey|KeyObject} publicKey - The public key in PEM format, or as a node-forge or Node.js key.
+   * @param {string|null} privateKey - The private key in PEM format. Only used by self-signed certificates.
+   * @param {CertificateOptions} [options={}] - The certificate options.
    *
    * @returns {CertificateDetails} An object containing:
    *   - {string} cert: The generated certificate in PEM format.
-   *   - {Object} publicPem: The parsed public key object (from node-forge).
-   *   - {Object} privatePem: The parsed private key object (from node-forge).
+   *   - {Object} publicPem: The parsed public key object (node-forge RSA key, or Node.js key).
+   *   - {Object|null} privatePem: The parsed private key object (node-forge RSA key, or Node.js key).
+   * @throws {Error} If the options are invalid or the issuer can't sign the certificate.
    */
-  #generateCertificate(subject, publicKey, privateKey, validityInYears, randomBytesLength) {
-    const { pki, random } = this.#getNodeForge();
+  #generateCertificate(
+    subject,
+    publicKey,
+    privateKey,
+    {
+      validityInYears = 1,
+      randomBytesLength = 16,
+      ca = false,
+      pathLength = null,
+      extKeyUsage = ['serverAuth', 'clientAuth'],
+      issuer = null,
+      altNames = null,
+      extensions: extraExtensions = [],
+    } = {},
+  ) {
+    const { pki, random, md } = this.#getNodeForge();
+    if (typeof ca !== 'boolean') throw new Error('ca must be a boolean.');
+    if (pathLength !== null && (!Number.isInteger(pathLength) || pathLength < 0))
+      throw new Error('pathLength must be a non-negative integer or null.');
+    if (pathLength !== null && !ca)
+      throw new Error('pathLength can only be used in CA certificates.');
+    if (!Array.isArray(extKeyUsage))
+      throw new Error('extKeyUsage must be an array of usage names or OIDs.');
+    for (const usage of extKeyUsage)
+      if (typeof usage !== 'string' || (!(usage in pki.oids) && !/^\d+(\.\d+)+$/.test(usage)))
+        throw new Error(`Unknown extended key usage "${usage}".`);
+    if (
+      !Array.isArray(extraExtensions) ||
+      extraExtensions.some(
+        (ext) =>
+          !ext ||
+          typeof ext !== 'object' ||
+          (typeof ext.name !== 'string' && typeof ext.id !== 'string'),
+      )
+    )
+      throw new Error('extensions must be an array of objects with a name or an id.');
+    const subjectAltNames = altNames !== null ? this.#buildAltNames(altNames) : [];
+
     const cert = pki.createCertificate();
-    const publicPem = pki.publicKeyFromPem(publicKey);
-    const privatePem = pki.privateKeyFromPem(privateKey);
+    const publicPem = typeof publicKey === 'string' ? this.#readPublicKey(publicKey) : publicKey;
+    const privatePem = typeof privateKey === 'string' ? this.#readPrivateKey(privateKey) : null;
 
     if (typeof publicPem !== 'object') throw new Error('Public pem must be a publicPem.');
-    if (typeof privatePem !== 'object') throw new Error('Private pem must be a privatePem.');
+    if (issuer === null && typeof privatePem !== 'object')
+      throw new Error('Private pem must be a privatePem.');
+
+    /** @type {Certificate|null} */
+    let issuerCert = null;
+    let signer = privatePem;
+    if (issuer !== null) {
+      if (!(issuer instanceof TinyCertCrypto) || !issuer.publicCert || !issuer.privateKey)
+        throw new Error(
+          'The issuer must be a TinyCertCrypto instance with a certificate and a private key.',
+        );
+      issuerCert = issuer.publicCert;
+      signer = issuer.privateKey;
+
+      const constraints = this.#getBasicConstraints(issuerCert);
+      if (!constraints.ca) throw new Error('The issuer certificate is not a CA certificate.');
+      if (issuerCert.validity.notAfter.getTime() < Date.now())
+        throw new Error('The issuer certificate has expired.');
+      if (ca && constraints.pathLength !== null) {
+        if (constraints.pathLength === 0)
+          throw new Error('The issuer can only sign leaf certificates (its path length is 0).');
+        if (pathLength === null) pathLength = constraints.pathLength - 1;
+        else if (pathLength >= constraints.pathLength)
+          throw new Error(
+            `pathLength must be lower than the path length of the issuer (${constraints.pathLength}).`,
+          );
+      }
+    }
+
+    // Serial numbers must be positive, so the first bit is cleared
+    const serial = Buffer.from(random.getBytesSync(randomBytesLength), 'binary');
+    serial[0] &= 0x7f;
 
-    cert.publicKey = publicPem;
-    cert.serialNumber = Buffer.from(random.getBytesSync(randomBytesLength)).toString('hex');
+    cert.publicKey = /** @type {any} */ (publicPem);
+    if (isKeyObject(publicPem)) this.#setKeyIdentifier(cert, publicPem);
+    cert.serialNumber = serial.toString('hex');
     cert.validity.notBefore = new Date();
     cert.validity.notAfter = new Date();
     cert.validity.notAfter.setFullYear(cert.validity.notBefore.getFullYear() + validityInYears);
+    if (issuerCert && cert.validity.notAfter > issuerCert.validity.notAfter)
+      cert.validity.notAfter = new Date(issuerCert.validity.notAfter);
 
+    /** @type {CertificateField[]} */
     const attrs = [];
-    for (const name in subject) attrs.push({ name, value: subject[name] });
+    if (Array.isArray(subject)) attrs.push(...subject);
+    else for (const name in subject) attrs.push({ name, value: subject[name] });
 
     cert.setSubject(attrs);
-    cert.setIssuer(attrs);
-    cert.sign(privatePem);
+    cert.setIssuer(issuerCert ? issuerCert.subject.attributes : attrs);
+
+    const keyType = this.#getKeyType(publicPem);
+    /** @type {any[]} */
+    const extensions = [
+      {
+        name: 'basicConstraints',
+        critical: true,
+        cA: ca,
+        ...(ca && pathLength !== null ? { pathLenConstraint: pathLength } : {}),
+      },
+      ca
+        ? {
+            name: 'keyUsage',
+            critical: true,
+            keyCertSign: true,
+            cRLSign: true,
+            digitalSignature: true,
+          }
+        : {
+            name: 'keyUsage',
+            critical: true,
+            digitalSignature: true,
+            // RSA keys encrypt keys, P-256 and P-384 keys agree on them (ECIES)
+            ...(keyType === 'RSA' ? { keyEncipherment: true } : {}),
+            ...(keyType === 'P-256' || keyType === 'P-384' ? { keyAgreement: true } : {}),
+          },
+      { name: 'subjectKeyIdentifier' },
+      {
+        name: 'authorityKeyIdentifier',
+        keyIdentifier: issuerCert ? this.#getKeyIdentifier(issuerCert) : true,
+      },
+    ];
+    if (!ca && extKeyUsage.length > 0)
+      extensions.push({
+        name: 'extKeyUsage',
+        ...Object.fromEntries(extKeyUsage.map((usage) => [usage, true])),
+      });
+    if (subjectAltNames.length > 0)
+      extensions.push({ name: 'subjectAltName', altNames: subjectAltNames });
+
+    // Additional extensions replace the default ones with the same name
+    for (const ext of extraExtensions) {
+      const name = typeof ext.name === 'string' ? ext.name : pki.oids[ext.id];
+      const index = extensions.findIndex((item) => item.name === name);
+      const extension =
+        ext.value instanceof Uint8Array
+          ? { ...ext, value: Buffer.from(ext.value).toString('binary') }
+          : { ...ext };
+      if (index !== -1) extensions[index] = extension;
+      else extensions.push(extension);
+    }
+    cert.setExtensions(extensions);
+
+    const signerKey = /** @type {PrivateKey|KeyObject} */ (signer);
+    if (isKeyObject(publicPem) || isKeyObject(signerKey))
+      return { cert: this.#signCertificate(cert, publicPem, signerKey), publicPem, privatePem };
+
+    cert.sign(signerKey, md.sha256.create());
     return { cert: pki.certificateToPem(cert), publicPem, privatePem };
   }
 
+  /**
+   * Signs a certificate that node-forge can't sign: its key or its signer is an EC or Ed25519 key.
+   *
+   * The TBSCertificate is built with the node-forge ASN.1 tools, from the fields and extensions
+   * of `cert`, and signed by Node.js (ECDSA, Ed25519) or node-forge (RSA).
+   *
+   * @param {Certificate} cert - The certificate, with every field and extension set.
+   * @param {PublicKey|KeyObject} publicKey - The public key of the certificate.
+   * @param {PrivateKey|KeyObject} signer - The private key that signs it.
+   * @returns {PEM} The certificate in PEM format.
+   */
+  #signCertificate(cert, publicKey, signer) {
+    const forge = this.#getNodeForge();
+    const { pki, asn1, util, md } = forge;
+    const { Class, Type } = asn1;
+    const signerType = this.#getKeyType(signer);
+    const { signatureOid, digest } = KEY_TYPES[signerType];
+
+    /** @param {Date} date */
+    const toTime = (date) =>
+      date.getUTCFullYear() >= 1950 && date.getUTCFullYear() < 2050
+        ? asn1.create(Class.UNIVERSAL, Type.UTCTIME, false, asn1.dateToUtcTime(date))
+        : asn1.create(
+            Class.UNIVERSAL,
+            Type.GENERALIZEDTIME,
+            false,
+            asn1.dateToGeneralizedTime(date),
+          );
+
+    // ECDSA and Ed25519 algorithm identifiers have no parameters, RSA ones have a NULL
+    const algorithm = asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+      asn1.create(Class.UNIVERSAL, Type.OID, false, asn1.oidToDer(signatureOid).getBytes()),
+      ...(signerType === 'RSA' ? [asn1.create(Class.UNIVERSAL, Type.NULL, false, '')] : []),
+    ]);
+    const subjectPublicKeyInfo = isKeyObject(publicKey)
+      ? this.#keyObjectToAsn1(publicKey)
+      : pki.publicKeyToAsn1(publicKey);
+
+    const tbs = asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+      asn1.create(Class.CONTEXT_SPECIFIC, 0, true, [
+        asn1.create(
+          Class.UNIVERSAL,
+          Type.INTEGER,
+          false,
+          asn1.integerToDer(cert.version).getBytes(),
+        ),
+      ]),
+      asn1.create(Class.UNIVERSAL, Type.INTEGER, false, util.hexToBytes(cert.serialNumber)),
+      algorithm,
+      // @ts-ignore (missing from the node-forge types)
+      pki.distinguishedNameToAsn1(cert.issuer),
+      asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+        toTime(cert.validity.notBefore),
+        toTime(cert.validity.notAfter),
+      ]),
+      // @ts-ignore (missing from the node-forge types)
+      pki.distinguishedNameToAsn1(cert.subject),
+      subjectPublicKeyInfo,
+      // @ts-ignore (missing from the node-forge types)
+      pki.certificateExtensionsToAsn1(cert.extensions),
+    ]);
+
+    const tbsBytes = asn1.toDer(tbs).getBytes();
+    let signature;
+    if (isKeyObject(signer))
+      signature = this.#getNodeCrypto()
+        .nodeCrypto.sign(digest, Buffer.from(tbsBytes, 'binary'), signer)
+        .toString('binary');
+    else {
+      const hash = md.sha256.create();
+      hash.update(tbsBytes);
+      signature = signer.sign(hash);
+    }
+
+    const certificate = asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, [
+      tbs,
+      algorithm,
+      asn1.create(Class.UNIVERSAL, Type.BITSTRING, false, String.fromCharCode(0x00) + signature),
+    ]);
+    return forge.pem.encode({ type: 'CERTIFICATE', body: asn1.toDer(certificate).getBytes() });
+  }
+
+  /**
+   * Makes node-forge compute the key identifier of an EC or Ed25519 key (the SHA-1 hash of its
+   * `subjectPublicKey` bits, like RSA keys). node-forge only knows how to hash RSA keys.
+   *
+   * @param {Certificate} cert - The certificate of the key.
+   * @param {KeyObject} publicKey - The public key.
+   */
+  #setKeyIdentifier(cert, publicKey) {
+    const { md, util } = this.#getNodeForge();
+    const subjectPublicKeyInfo = /** @type {any[]} */ (this.#keyObjectToAsn1(publicKey).value);
+    // The BIT STRING starts with its number of unused bits
+    const bits = /** @type {string} */ (subjectPublicKeyInfo[1].value).substring(1);
+    const keyIdentifier = md.sha1.create().update(bits).digest().getBytes();
+    cert.generateSubjectKeyIdentifier = () => util.createBuffer(keyIdentifier);
+  }
+
+  /**
+   * Converts a Node.js public key into a node-forge `SubjectPublicKeyInfo` ASN.1 object.
+   * Its BIT STRING is kept as raw bytes, so the key is encoded back exactly as it was.
+   *
+   * @param {KeyObject} publicKey - The public key.
+   * @returns {import('node-forge').asn1.Asn1}
+   */
+  #keyObjectToAsn1(publicKey) {
+    const { asn1 } = this.#getNodeForge();
+    const der = publicKey.export({ type: 'spki', format: 'der' }).toString('binary');
+    return asn1.fromDer(der, /** @type {any} */ ({ decodeBitStrings: false }));
+  }
+
+  /**
+   * Parses a PEM certificate.
+   *
+   * node-forge only reads the certificates of RSA keys. The certificates of EC and Ed25519 keys
+   * are read with a placeholder RSA key, which is then replaced by the Node.js key. Their
+   * original TBSCertificate is kept, so their signature can still be verified.
+   *
+   * @param {string} pem - The PEM-encoded certificate.
+   * @returns {Certificate} The certificate.
+   * @throws {Error} If the certificate is invalid or its key type is not supported.
+   */
+  #parseCertificate(pem) {
+    const forge = this.#getNodeForge();
+    const { pki, asn1 } = forge;
+    try {
+      return pki.certificateFromPem(pem);
+    } catch (err) {
+      if (isBrowser() || !(err instanceof Error) || !err.message.includes('OID is not RSA'))
+        throw err;
+    }
+
+    const der = forge.pem.decode(pem)[0].body;
+    const { X509Certificate } = this.#getNodeCrypto().nodeCrypto;
+    const publicKey = new X509Certificate(Buffer.from(der, 'binary')).publicKey;
+    this.#getKeyType(publicKey);
+
+    const certificate = asn1.fromDer(der, /** @type {any} */ ({ decodeBitStrings: false }));
+    const tbs = /** @type {any[]} */ (/** @type {any[]} */ (certificate.value)[0].value);
+    // The version is optional, the key comes after serial, signature, issuer, validity and subject
+    const keyIndex = tbs[0].tagClass === asn1.Class.CONTEXT_SPECIFIC ? 6 : 5;
+    const subjectPublicKeyInfo = tbs[keyIndex];
+    const { BigInteger } = forge.jsbn;
+    tbs[keyIndex] = pki.publicKeyToAsn1(
+      pki.setRsaPublicKey(new BigInteger('1'), new BigInteger('3')),
+    );
+    let cert;
+    try {
+      cert = pki.certificateFromAsn1(certificate);
+    } finally {
+      tbs[keyIndex] = subjectPublicKeyInfo;
+    }
+
+    cert.publicKey = /** @type {any} */ (publicKey);
+    this.#setKeyIdentifier(cert, publicKey);
+    this.#certificateDers.set(cert, der);
+    return cert;
+  }
+
+  /**
+   * Checks that a certificate is signed by the key of an issuer certificate.
+   *
+   * RSA issuers are checked by node-forge, EC and Ed25519 issuers by Node.js.
+   *
+   * @param {Certificate} issuer - The issuer certificate.
+   * @param {Certificate} cert - The certificate to check.
+   * @returns {boolean} Whether the signature is valid.
+   */
+  #verifySignature(issuer, cert) {
+    const { pki, asn1 } = this.#getNodeForge();
+    const issuerKey = /** @type {PublicKey|KeyObject} */ (issuer.publicKey);
+    try {
+      if (!isKeyObject(issuerKey)) return issuer.verify(cert);
+      const { signatureOid, digest } = KEY_TYPES[this.#getKeyType(issuerKey)];
+      if (cert.signatureOid !== signatureOid) return false;
+      // Parsed certificates keep their TBSCertificate, the others are encoded from their fields
+      // @ts-ignore (missing from the node-forge types)
+      const tbsCertificate = cert.tbsCertificate ?? pki.getTBSCertificate(cert);
+      const tbs = asn1.toDer(tbsCertificate).getBytes();
+      return this.#getNodeCrypto().nodeCrypto.verify(
+        digest,
+        Buffer.from(tbs, 'binary'),
+        issuerKey,
+        Buffer.from(cert.signature, 'binary'),
+      );
+    } catch {
+      return false;
+    }
+  }
+
   /**
    * Initializes the instance by loading the public certificate and, optionally, the private key.
    *
@@ -376,7 +1278,7 @@ class TinyCertCrypto {
 
     // Load public key
     this.metadata = {};
-    const { pki } = await this.#fetchNodeForge();
+    await this.#fetchNodeForge();
 
     /**
      * Loads the public key from a PEM-encoded certificate or public key.
@@ -395,14 +1297,14 @@ class TinyCertCrypto {
 
       // Cert
       if (fileType === 'certificate') {
-        const cert = pki.certificateFromPem(publicPem);
+        const cert = this.#parseCertificate(publicPem);
         // @ts-ignore
         this.publicKey = cert.publicKey;
         this.#loadX509Certificate(cert);
       }
 
       // Public key
-      else if (fileType === 'public_key') this.publicKey = pki.publicKeyFromPem(publicPem);
+      else if (fileType === 'public_key') this.publicKey = this.#readPublicKey(publicPem);
       else throw new Error('Public key is required to initialize');
     };
 
@@ -416,19 +1318,23 @@ class TinyCertCrypto {
       if (typeof privatePem !== 'string')
         throw new Error('Expected privatePem to be a string containing a PEM-encoded private key.');
       const fileType = this.#detectPemType(privatePem);
-      if (fileType === 'private_key') this.privateKey = pki.privateKeyFromPem(privatePem);
+      if (fileType === 'private_key') this.privateKey = this.#readPrivateKey(privatePem);
       else throw new Error('Private key is required to initialize');
     };
 
-    if (typeof this.publicCertPath !== 'string')
+    if (!this.publicCertBuffer && typeof this.publicCertPath !== 'string')
       throw new Error(
         `Expected 'publicCertPath' to be a string, but got ${typeof this.publicCertPath}`,
       );
-    if (typeof this.privateKeyPath !== 'string')
+    if (!this.privateKeyBuffer && this.privateKeyPath && typeof this.privateKeyPath !== 'string')
       throw new Error(
         `Expected 'privateKeyPath' to be a string, but got ${typeof this.privateKeyPath}`,
       );
 
+    // A path is only read when its buffer is missing
+    const publicCertPath = /** @type {string} */ (this.publicCertPath);
+    const privateKeyPath = /** @type {string} */ (this.privateKeyPath);
+
     // Nodejs
     if (!isBrowser()) {
       const usedPublicBuffer = !!this.publicCertBuffer;
@@ -441,7 +1347,7 @@ class TinyCertCrypto {
           : Buffer.isBuffer(this.publicCertBuffer)
             ? this.publicCertBuffer.toString('utf-8')
             : null
-        : readFileSync(this.publicCertPath, 'utf-8');
+        : readFileSync(publicCertPath, 'utf-8');
       loadPublicKey(publicPem);
 
       // Private Key
@@ -452,7 +1358,7 @@ class TinyCertCrypto {
             : Buffer.isBuffer(this.privateKeyBuffer)
               ? this.privateKeyBuffer.toString('utf-8')
               : null
-          : readFileSync(this.privateKeyPath, 'utf-8');
+          : readFileSync(privateKeyPath, 'utf-8');
 
         loadPrivateKey(privatePem);
       }
@@ -468,7 +1374,7 @@ class TinyCertCrypto {
         ? typeof this.publicCertBuffer === 'string'
           ? this.publicCertBuffer
           : new TextDecoder().decode(this.publicCertBuffer)
-        : await fetch(this.publicCertPath).then((r) => r.text());
+        : await fetch(publicCertPath).then((r) => r.text());
       loadPublicKey(publicPem);
 
       // Private key
@@ -477,7 +1383,7 @@ class TinyCertCrypto {
           ? typeof this.privateKeyBuffer === 'string'
             ? this.privateKeyBuffer
             : new TextDecoder().decode(this.privateKeyBuffer)
-          : await fetch(this.privateKeyPath).then((r) => r.text());
+          : await fetch(privateKeyPath).then((r) => r.text());
         loadPrivateKey(privatePem);
       }
 
@@ -497,40 +1403,11 @@ class TinyCertCrypto {
    * @throws {Error} If the certificate cannot be parsed or processed.
    */
   #loadX509Certificate(certPem) {
-    const { pki } = this.#getNodeForge();
     try {
-      const cert = typeof certPem === 'string' ? pki.certificateFromPem(certPem) : certPem;
+      const cert = typeof certPem === 'string' ? this.#parseCertificate(certPem) : certPem;
       this.publicCert = cert;
 
-      /**
-       * @param {Array<CertificateField>} attributes - The list of attributes, each containing `name`, `shortName`, and `value`.
-       * @returns {{names: { [key: string]: string }, shortNames: { [key: string]: string }, raw: string}} The processed data containing the organized attributes.
-       */
-      const insertData = (attributes) => {
-        /** @type {{[key: string]: string}} */
-        const names = {};
-        /** @type {{[key: string]: string}} */
-        const shortNames = {};
-        const raw = attributes
-          .filter((attr) => typeof attr.shortName === 'string' && typeof attr.value === 'string')
-          .map((attr) => `${attr.shortName}=${attr.value}`)
-          .join(',');
-        for (const item of attributes) {
-          if (typeof item.name === 'string' && typeof item.value === 'string')
-            names[item.name] = item.value;
-          if (typeof item.shortName === 'string' && typeof item.value === 'string')
-            shortNames[item.shortName] = item.value;
-        }
-        return { names, shortNames, raw };
-      };
-
-      this.metadata = {
-        subject: insertData(cert.subject.attributes),
-        issuer: insertData(cert.issuer.attributes),
-        serialNumber: cert.serialNumber,
-        validFrom: cert.validity.notBefore,
-        validTo: cert.validity.notAfter,
-      };
+      this.metadata = this.#getCertMetadata(cert);
     } catch (err) {
       throw new Error(
         `Failed to parse X.509 certificate in browser: ${err instanceof Error && typeof err.message === 'string' ? err.message : 'Unknown error'}`,
@@ -539,15 +1416,78 @@ class TinyCertCrypto {
   }
 
   /**
-   * Extracts the metadata of the loaded X.509 certificate.
+   * Organizes the subject or issuer attributes of a certificate or CSR.
+   *
+   * @param {Array<CertificateField>} attributes - The list of attributes, each containing `name`, `shortName`, and `value`.
+   * @returns {{names: { [key: string]: string }, shortNames: { [key: string]: string }, raw: string}} The processed data containing the organized attributes.
+   */
+  #readAttributes(attributes) {
+    /** @type {{[key: string]: string}} */
+    const names = {};
+    /** @type {{[key: string]: string}} */
+    const shortNames = {};
+    const raw = attributes
+      .filter((attr) => typeof attr.shortName === 'string' && typeof attr.value === 'string')
+      .map((attr) => `${attr.shortName}=${attr.value}`)
+      .join(',');
+    for (const item of attributes) {
+      if (typeof item.name === 'string' && typeof item.value === 'string')
+        names[item.name] = item.value;
+      if (typeof item.shortName === 'string' && typeof item.value === 'string')
+        shortNames[item.shortName] = item.value;
+    }
+    return { names, shortNames, raw };
+  }
+
+  /**
+   * Reads the metadata of a certificate: subject, issuer, serial number, validity period and extensions.
+   *
+   * @param {Certificate} cert - The certificate.
+   * @returns {Record<string, any>}
+   */
+  #getCertMetadata(cert) {
+    return {
+      subject: this.#readAttributes(cert.subject.attributes),
+      issuer: this.#readAttributes(cert.issuer.attributes),
+      serialNumber: cert.serialNumber,
+      validFrom: cert.validity.notBefore,
+      validTo: cert.validity.notAfter,
+      extensions: this.#readExtensions(cert),
+    };
+  }
+
+  /**
+   * Reads the metadata of a certificate signing request: its subject.
+   *
+   * @param {CertificateSigningRequest} csr - The CSR.
+   * @returns {Record<string, any>}
+   */
+  #getCsrMetadata(csr) {
+    return { subject: this.#readAttributes(csr.subject.attributes) };
+  }
+
+  /**
+   * Extracts the metadata of the loaded X.509 certificate (or of the CSR made by `generateCsr()`).
    *
    * Returns an object containing the certificate's metadata such as the subject, issuer,
    * serial number, and validity period. If no certificate is loaded, an empty object is returned.
    *
+   * A PEM certificate or CSR can be given to read its metadata instead, e.g. to inspect a CSR
+   * before signing it. The metadata of a CSR only has its `subject`.
+   *
+   * @param {string|null} [pem=null] - A PEM-encoded certificate or CSR to read instead of the loaded certificate.
    * @returns {Record<string, any>} The metadata of the certificate, or an empty object if no certificate is loaded.
+   * @throws {Error} If the PEM is not a certificate or a CSR.
    */
-  extractCertMetadata() {
-    return this.metadata ? clone(this.metadata) : {};
+  extractCertMetadata(pem = null) {
+    if (pem === null) return this.metadata ? clone(this.metadata) : {};
+
+    const { pki } = this.#getNodeForge();
+    const pemType = typeof pem === 'string' ? this.#detectPemType(pem) : 'unknown';
+    if (pemType === 'certificate') return this.#getCertMetadata(this.#parseCertificate(pem));
+    if (pemType === 'certificate_request')
+      return this.#getCsrMetadata(pki.certificationRequestFromPem(pem));
+    throw new Error('Expected a PEM-encoded certificate or certificate signing request.');
   }
 
   /**
@@ -559,6 +1499,11 @@ class TinyCertCrypto {
     const forge = this.#getNodeForge();
     if (!this.publicKey)
       throw new Error('Public key is not initialized. Call init() or generateKeyPair() first.');
+    // EC and Ed25519 keys can't encrypt, so they use ECIES
+    if (isKeyObject(this.publicKey))
+      return this.#getNodeCrypto()
+        .ecies.eciesEncrypt(this.publicKey, Buffer.from(data, 'utf8'))
+        .toString('base64');
     const encrypted = this.publicKey.encrypt(data, this.cryptoType);
     return forge.util.encode64(encrypted);
   }
@@ -571,6 +1516,10 @@ class TinyCertCrypto {
   #decrypt(encryptedBase64) {
     const forge = this.#getNodeForge();
     if (!this.privateKey) throw new Error('Private key is required for decryption');
+    if (isKeyObject(this.privateKey))
+      return this.#getNodeCrypto()
+        .ecies.eciesDecrypt(this.privateKey, Buffer.from(encryptedBase64, 'base64'))
+        .toString('utf8');
     const data = forge.util.decode64(encryptedBase64);
     const decrypted = this.privateKey.decrypt(data, this.cryptoType);
     return decrypted;
@@ -619,6 +1568,12 @@ class TinyCertCrypto {
    * @property {string} authTag - The authentication tag used to verify the integrity of the encrypted data.
    */
 
+  /**
+   * @typedef {Object} AadOptions
+   * @property {string|Buffer|Uint8Array|null} [aad=null] - Optional additional authenticated data (AAD).
+   * It binds the ciphertext to a context (such as a record id), and the same value must be given to decrypt it.
+   */
+
   /**
    * Encrypts a value using the initialized public key.
    *
@@ -627,12 +1582,16 @@ class TinyCertCrypto {
    * `cryptoType` property (e.g., 'RSA-OAEP').
    *
    * @param {*} data - The value to be encrypted.
+   * @param {AadOptions} [options={}] - Optional additional authenticated data.
    * @returns {EncryptedDataParams} The encrypted value, encoded in Base64 format.
    * @throws {Error} If the public key is not initialized (i.e., if `init()` or `generateKeyPair()` has not been called).
    */
-  encrypt(data) {
+  encrypt(data, { aad = null } = {}) {
     const tinyCrypto = this.getCrypto();
-    const { iv, encrypted, authTag } = tinyCrypto.encrypt(data);
+    const { iv, encrypted, authTag } =
+      /** @type {{ iv: string, encrypted: string, authTag: string }} */ (
+        tinyCrypto.encrypt(data, undefined, { aad, outputMode: 'object' })
+      );
     const auth = this.#encrypt(tinyCrypto.getKey());
     return { auth, iv, authTag, encrypted };
   }
@@ -644,15 +1603,17 @@ class TinyCertCrypto {
    * private key in PEM format. It then parses the decrypted string back into a value.
    *
    * @param {EncryptedDataParams} params - The encrypted value in Base64 format to be decrypted.
-   * @param {string|null} [expectedType=null] - Optionally specify the expected type of the decrypted data. If provided, the method will validate the type of the deserialized value.
+   * @param {ValueSchema|null} [expectedType=null] - Optionally specify the expected type of the decrypted data, or a schema of its nested shape. If provided, the method will validate the type of the deserialized value.
+   * @param {AadOptions} [options={}] - The additional authenticated data used during encryption, if any.
    * @returns {*} The decrypted value.
    * @throws {Error} If the private key is not initialized.
+   * @throws {Error} If the AAD doesn't match the one used during encryption.
    */
-  decrypt({ auth, iv, authTag, encrypted }, expectedType = null) {
+  decrypt({ auth, iv, authTag, encrypted }, expectedType = null, { aad = null } = {}) {
     const tinyCrypto = this.getCrypto();
     const hexKey = this.#decrypt(auth);
     tinyCrypto.setKey(hexKey);
-    return tinyCrypto.decrypt({ iv, encrypted, authTag }, expectedType);
+    return tinyCrypto.decrypt({ iv, encrypted, authTag }, expectedType, { aad });
   }
 
   /**
@@ -663,12 +1624,16 @@ class TinyCertCrypto {
    * `cryptoType` property (e.g., 'RSA-OAEP').
    *
    * @param {*} data - The value to be encrypted.
+   * @param {AadOptions} [options={}] - Optional additional authenticated data.
    * @returns {EncryptedDataParamsNoKeys} The encrypted value, encoded in Base64 format.
    * @throws {Error} If the public key is not initialized (i.e., if `init()` or `generateKeyPair()` has not been called).
    */
-  encryptWithoutKey(data) {
+  encryptWithoutKey(data, { aad = null } = {}) {
     const tinyCrypto = this.getCrypto();
-    const { iv, encrypted, authTag } = tinyCrypto.encrypt(data);
+    const { iv, encrypted, authTag } =
+      /** @type {{ iv: string, encrypted: string, authTag: string }} */ (
+        tinyCrypto.encrypt(data, undefined, { aad, outputMode: 'object' })
+      );
     const auth = this.#encrypt(JSON.stringify({ iv, authTag }));
     return { auth, encrypted };
   }
@@ -680,14 +1645,16 @@ class TinyCertCrypto {
    * private key in PEM format. It then parses the decrypted string back into a value.
    *
    * @param {EncryptedDataParamsNoKeys} params - The encrypted value in Base64 format to be decrypted.
-   * @param {string|null} [expectedType=null] - Optionally specify the expected type of the decrypted data. If provided, the method will validate the type of the deserialized value.
+   * @param {ValueSchema|null} [expectedType=null] - Optionally specify the expected type of the decrypted data, or a schema of its nested shape. If provided, the method will validate the type of the deserialized value.
+   * @param {AadOptions} [options={}] - The additional authenticated data used during encryption, if any.
    * @returns {*} The decrypted value.
    * @throws {Error} If the private key is not initialized.
+   * @throws {Error} If the AAD doesn't match the one used during encryption.
    */
-  decryptWithoutKey({ auth, encrypted }, expectedType = null) {
+  decryptWithoutKey({ auth, encrypted }, expectedType = null, { aad = null } = {}) {
     const tinyCrypto = this.getCrypto();
     const { iv, authTag } = JSON.parse(this.#decrypt(auth));
-    return tinyCrypto.decrypt({ iv, encrypted, authTag }, expectedType);
+    return tinyCrypto.decrypt({ iv, encrypted, authTag }, expectedType, { aad });
   }
 
   /**
@@ -724,6 +1691,7 @@ class TinyCertCrypto {
     this.publicKey = null;
     this.privateKey = null;
     this.publicCert = null;
+    this.csr = null;
     this.metadata = null;
     this.source = null;
   }
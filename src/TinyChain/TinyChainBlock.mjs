@@ -49,6 +49,9 @@ import TinySecp256k1 from './Secp256k1/index.mjs';
  * @property {boolean} [payloadString=true] - If true, payload must be a string.
  * @property {TinySecp256k1} [signer] - Signer instance for cryptographic operations.
  * @property {TinyCryptoParser} [parser] - Parser instance used for deep serialization.
+ * @property {BlockCodec} [codec='json'] - How the block is serialized for signatures, hashes and export.
+ * @property {boolean} [canonical=false] - Uses the canonical mode of the parser for signatures, hashes
+ * and export, so the key order of the data doesn't change them.
  * @property {bigint | number | string} [index=0n] - Block index.
  * @property {string} [options.prevHash=''] - Hash of the previous block.
  * @property {bigint | number | string} [diff=1n] - Mining difficulty.
@@ -81,6 +84,12 @@ import TinySecp256k1 from './Secp256k1/index.mjs';
  * }} GetTransactionData
  */
 
+/**
+ * @typedef {'json'|'binary'} BlockCodec
+ * The serialization format of a block: the JSON deep format of `TinyCryptoParser` ('json'),
+ * or its compact binary format ('binary').
+ */
+
 /**
  * @typedef {Record.<string, number>} TxIndexMap
  * A map where each key is a transaction index and the value is the transaction ID.
@@ -118,9 +127,43 @@ class TinyChainBlock {
    */
   #signer;
 
+  /**
+   * The serialization format of the block.
+   * @type {BlockCodec}
+   */
+  #codec = 'json';
+
+  /**
+   * Whether the block is serialized in canonical mode.
+   * @type {boolean}
+   */
+  #canonical = false;
+
   #payloadString = false;
   #stopRequested = false;
 
+  /**
+   * Serializes a value with the codec of the block.
+   * @param {*} value
+   * @returns {string|Buffer}
+   */
+  #serializeValue(value) {
+    const options = { canonical: this.#canonical };
+    return this.#codec === 'binary'
+      ? this.#parser.serializeBinary(value, options)
+      : this.#parser.serializeDeep(value, options);
+  }
+
+  /**
+   * Serializes a value with the codec of the block, as bytes.
+   * @param {*} value
+   * @returns {Buffer}
+   */
+  #serializeBytes(value) {
+    const serialized = this.#serializeValue(value);
+    return typeof serialized === 'string' ? Buffer.from(serialized, 'utf-8') : serialized;
+  }
+
   /**
    * Validates and sanitizes the list of transfers.
    * @param {Array<NewTransaction>|undefined} transfers
@@ -269,6 +312,8 @@ class TinyChainBlock {
     payloadString = true,
     signer = new TinySecp256k1(),
     parser = new TinyCryptoParser(),
+    codec = 'json',
+    canonical = false,
     time = Date.now(),
     chainId,
     txs,
@@ -293,6 +338,11 @@ class TinyChainBlock {
     )
       throw new Error('parser must be an object with a serializeDeep() method.');
     this.#parser = parser;
+    if (codec !== 'json' && codec !== 'binary')
+      throw new Error('codec must be "json" or "binary".');
+    this.#codec = codec;
+    if (typeof canonical !== 'boolean') throw new Error('canonical must be a boolean.');
+    this.#canonical = canonical;
     if (typeof time !== 'number' || !Number.isFinite(time) || time <= 0)
       throw new Error('timestamp must be a positive finite number.');
     this.time = time;
@@ -372,7 +422,7 @@ class TinyChainBlock {
         );
       if (
         !this.#signer.verifyECDSA(
-          this.#parser.serializeDeep(data),
+          this.#serializeValue(data),
           Buffer.from(sig, 'hex'),
           data.address,
           'utf-8',
@@ -416,11 +466,12 @@ class TinyChainBlock {
 
   /**
    * Serializes the block using the parser for export.
-   * @returns {string}
+   * Returns a string with the JSON codec, or a Buffer with the binary codec.
+   * @returns {string|Buffer}
    */
   export() {
     const data = this.get();
-    return this.#parser.serializeDeep(data);
+    return this.#serializeValue(data);
   }
 
   /**
@@ -428,10 +479,26 @@ class TinyChainBlock {
    * @returns {string}
    */
   calculateHash() {
+    if (this.#codec === 'binary')
+      return createHash('sha256')
+        .update(Buffer.from(String(this.time) + this.getPrevHash(), 'utf-8'))
+        .update(this.#serializeBytes(this.data))
+        .update(this.#serializeBytes(this.sigs))
+        .update(
+          Buffer.from(
+            this.getIndex().toString() +
+              this.getBaseFeePerGas().toString() +
+              this.getNonce().toString() +
+              this.getChainId().toString(),
+            'utf-8',
+          ),
+        )
+        .digest('hex');
+
     let value = '';
     value += String(this.time);
     value += this.getPrevHash();
-    value += this.#parser.serializeDeep(this.data);
+    value += this.#parser.serializeDeep(this.data, { canonical: this.#canonical });
     value += this.#parser.serialize(this.sigs);
     value += this.getIndex().toString();
     value += this.getBaseFeePerGas().toString();
@@ -453,9 +520,7 @@ class TinyChainBlock {
     const data = this.getData()[index];
     if (typeof data !== 'object')
       throw new Error(`Invalid index: must be a number between 0 and ${this.data.length - 1}.`);
-    return createHash('sha256')
-      .update(Buffer.from(this.#parser.serializeDeep(this.data[index]), 'utf-8'))
-      .digest('hex');
+    return createHash('sha256').update(this.#serializeBytes(this.data[index])).digest('hex');
   }
 
   /**
@@ -559,6 +624,22 @@ class TinyChainBlock {
     return this.#parser;
   }
 
+  /**
+   * Returns the serialization format of the block.
+   * @returns {BlockCodec}
+   */
+  getCodec() {
+    return this.#codec;
+  }
+
+  /**
+   * Returns whether the block is serialized in canonical mode.
+   * @returns {boolean}
+   */
+  isCanonical() {
+    return this.#canonical;
+  }
+
   /**
    * Returns the signer instance responsible for signing and verifying cryptographic data.
    * @returns {TinySecp256k1}
@@ -61,6 +61,8 @@ class TinyChainInstance {
   /** @typedef {import('./TinyChainBlock.mjs').TransactionData} TransactionData */
   /** @typedef {import('./TinyChainBlock.mjs').GetTransactionData} GetTransactionData */
   /** @typedef {import('./TinyChainBlock.mjs').BlockInitData} BlockInitData */
+  /** @typedef {import('../lib/TinyCryptoParser.mjs').ClassOptions} ClassOptions */
+  /** @typedef {import('../lib/TinyCryptoParser.mjs').SafeModeOptions} SafeModeOptions */
 
   #signer;
   #blockSizeLimit;
@@ -289,6 +291,42 @@ class TinyChainInstance {
 
   #payloadString = true;
 
+  /**
+   * The serialization format of the blocks.
+   * @type {import('./TinyChainBlock.mjs').BlockCodec}
+   */
+  #codec = 'json';
+
+  /**
+   * Whether the blocks are serialized in canonical mode.
+   * @type {boolean}
+   */
+  #canonical = false;
+
+  /**
+   * Serializes a value with the codec of the chain.
+   * @param {*} value
+   * @returns {string|Buffer}
+   */
+  #serializeValue(value) {
+    const options = { canonical: this.#canonical };
+    return this.#codec === 'binary'
+      ? this.#parser.serializeBinary(value, options)
+      : this.#parser.serializeDeep(value, options);
+  }
+
+  /**
+   * Returns the size in bytes of a value serialized with the codec of the chain.
+   * @param {*} value
+   * @returns {number}
+   */
+  #getSerializedSize(value) {
+    const serialized = this.#serializeValue(value);
+    return typeof serialized === 'string'
+      ? this.#textEncoder.encode(serialized).length
+      : serialized.length;
+  }
+
   /**
    * Add a new value type and its converter function.
    * @param {string} typeName
@@ -299,6 +337,35 @@ class TinyChainInstance {
     return this.#parser.addValueType(typeName, getFunction, convertFunction);
   }
 
+  /**
+   * Registers a class, so its instances are serialized with their class tag and
+   * restored with their prototype. See `TinyCryptoParser.registerClass()`.
+   * @param {Function} Class - The class.
+   * @param {ClassOptions} [options] - The class name, `toJSON` and `fromJSON`.
+   */
+  registerClass(Class, options) {
+    return this.#parser.registerClass(Class, options);
+  }
+
+  /**
+   * Enables or disables the safe mode of the parser, which blocks dangerous types and limits
+   * the nesting depth, string length and collection size of decoded data.
+   * See `TinyCryptoParser.setSafeMode()`.
+   * @param {boolean|SafeModeOptions} options - `true` for the defaults, `false` to disable, or the options.
+   * @throws {Error} If an option is invalid.
+   */
+  setSafeMode(options) {
+    return this.#parser.setSafeMode(options);
+  }
+
+  /**
+   * Returns the current safe mode options, or `null` when the safe mode is off.
+   * @returns {Required<SafeModeOptions>|null}
+   */
+  getSafeMode() {
+    return this.#parser.getSafeMode();
+  }
+
   /**
    * Checks whether the blockchain has a valid genesis block.
    *
@@ -372,6 +439,13 @@ class TinyChainInstance {
    * @param {string|number|bigint} [options.priorityFeeDefault=2] - Default priority tip per gas unit (in gwei).
    * @param {string|number|bigint} [options.diff=1] - Difficulty for proof-of-work or validation cost.
    * @param {boolean} [options.payloadString=true] - If true, treats payloads as strings.
+   * @param {'json'|'binary'} [options.codec='json'] - How blocks are serialized for signatures, hashes, size limits and export:
+   * the JSON deep format of `TinyCryptoParser` ('json'), or its compact binary format ('binary').
+   * @param {boolean} [options.canonical=false] - Serializes blocks in the canonical mode of `TinyCryptoParser`
+   * (sorted keys, sorted Map and Set items), so nodes that build the same data in another key order get
+   * the same hashes and signatures. Every node of a chain must use the same setting.
+   * @param {boolean|SafeModeOptions} [options.safeMode=false] - Restricts what can be decoded from imported chains.
+   * See `setSafeMode()`.
    * @param {boolean} [options.currencyMode=false] - Enables balance tracking and gas economics.
    * @param {boolean} [options.payloadMode=false] - Enables payload execution mode for blocks.
    * @param {string|number|bigint} [options.initialReward=15000000000000000000n] - Reward for the genesis block or first mining.
@@ -399,6 +473,9 @@ class TinyChainInstance {
     priorityFeeDefault = 2,
     diff = 1,
     payloadString = true,
+    codec = 'json',
+    canonical = false,
+    safeMode = false,
     currencyMode = false,
     payloadMode = false,
     initialReward = 15000000000000000000n,
@@ -460,6 +537,11 @@ class TinyChainInstance {
       throw new Error('Invalid type for difficulty. Expected bigint, number, or string.');
     if (typeof payloadString !== 'boolean')
       throw new Error('Invalid type for payloadString. Expected boolean.');
+    if (codec !== 'json' && codec !== 'binary')
+      throw new Error('Invalid value for codec. Expected "json" or "binary".');
+    if (typeof canonical !== 'boolean')
+      throw new Error('Invalid type for canonical. Expected boolean.');
+    this.#parser.setSafeMode(safeMode);
     if (typeof currencyMode !== 'boolean')
       throw new Error('Invalid type for currencyMode. Expected boolean.');
     if (typeof payloadMode !== 'boolean')
@@ -529,6 +611,20 @@ class TinyChainInstance {
      */
     this.#payloadString = payloadString;
 
+    /**
+     * The serialization format of the blocks.
+     *
+     * @type {import('./TinyChainBlock.mjs').BlockCodec}
+     */
+    this.#codec = codec;
+
+    /**
+     * Whether the blocks are serialized in canonical mode.
+     *
+     * @type {boolean}
+     */
+    this.#canonical = canonical;
+
     /**
      * A set of administrator public keys with elevated privileges.
      *
@@ -697,7 +793,7 @@ class TinyChainInstance {
       maxFeePerGas: 0n,
       maxPriorityFeePerGas: 0n,
     };
-    const sig = signer.signECDSA(this.#parser.serializeDeep(data), 'utf-8');
+    const sig = signer.signECDSA(this.#serializeValue(data), 'utf-8');
     const block = await this.mineBlock(
       null,
       this.#createBlockInstance({
@@ -734,7 +830,7 @@ class TinyChainInstance {
    * Creates a new instance of a block with the given options.
    *
    * This method wraps the creation of a `TinyChainBlock`, automatically injecting
-   * internal configuration such as `payloadString` and `parser`, and merging any
+   * internal configuration such as `payloadString`, `parser`, `codec` and `canonical`, and merging any
    * additional options provided by the caller.
    *
    * @param {BlockInitData} options - Additional block options to override or extend defaults.
@@ -746,21 +842,23 @@ class TinyChainInstance {
       baseFeePerGas: this.getBaseFeePerGas(),
       payloadString: this.#payloadString,
       parser: this.#parser,
+      codec: this.#codec,
+      canonical: this.#canonical,
       signer: this.#signer,
       chainId: this.getChainId(),
       ...options,
     };
 
     if (this.#blockSizeLimit >= 0) {
-      const blockSize = this.#textEncoder.encode(
-        this.#parser.serializeDeep(
-          Object.fromEntries(
-            Object.entries(blockConfig).filter(
-              ([key, value]) => typeof value !== 'function' && !['parser', 'signer'].includes(key),
-            ),
+      const blockSize = this.#getSerializedSize(
+        Object.fromEntries(
+          Object.entries(blockConfig).filter(
+            ([key, value]) =>
+              typeof value !== 'function' &&
+              !['parser', 'signer', 'codec', 'canonical'].includes(key),
           ),
         ),
-      ).length;
+      );
 
       if (blockSize > this.#blockSizeLimit)
         throw new Error(
@@ -997,9 +1095,9 @@ class TinyChainInstance {
     if (Array.isArray(transfers)) this.validateTransfers(address, addressType, transfers);
 
     if (this.#payloadSizeLimit >= 0) {
-      const payloadSize = this.#textEncoder.encode(
-        this.#payloadString ? payload : this.#parser.serializeDeep(payload),
-      ).length;
+      const payloadSize = this.#payloadString
+        ? this.#textEncoder.encode(payload).length
+        : this.#getSerializedSize(payload);
 
       if (payloadSize > this.#payloadSizeLimit)
         throw new Error(
@@ -1008,17 +1106,15 @@ class TinyChainInstance {
     }
 
     if (this.#blockContentSizeLimit >= 0) {
-      const blockContentSize = this.#textEncoder.encode(
-        this.#parser.serializeDeep({
-          payload,
-          transfers,
-          gasLimit,
-          maxFeePerGas,
-          maxPriorityFeePerGas,
-          address,
-          addressType,
-        }),
-      ).length;
+      const blockContentSize = this.#getSerializedSize({
+        payload,
+        transfers,
+        gasLimit,
+        maxFeePerGas,
+        maxPriorityFeePerGas,
+        address,
+        addressType,
+      });
 
       if (blockContentSize > this.#blockContentSizeLimit)
         throw new Error(
@@ -1084,9 +1180,8 @@ class TinyChainInstance {
       maxPriorityFeePerGas: isCurrencyMode ? maxPriorityFeePerGas : 0n,
     };
 
-    const serialized = this.#parser.serializeDeep(data);
-    if (typeof serialized !== 'string' || serialized.length === 0)
-      throw new Error('Failed to serialize block content');
+    const serialized = this.#serializeValue(data);
+    if (serialized.length === 0) throw new Error('Failed to serialize block content');
 
     const sig = signer.signECDSA(serialized, 'utf-8');
     return { data, sig };
@@ -1769,7 +1864,8 @@ class TinyChainInstance {
    *
    * @param {number} [startIndex=0] - The starting index of the block range (inclusive).
    * @param {number|null} [endIndex=null] - The ending index (inclusive); defaults to the last block.
-   * @returns {string[]} An array of exported block data, excluding ignored blocks.
+   * @returns {Array<string|Buffer>} An array of exported block data, excluding ignored blocks.
+   * Blocks are strings with the JSON codec, or Buffers with the binary codec.
    * @throws {Error} If indices are out of bounds or invalid.
    */
   exportChain(startIndex = 0, endIndex = null) {
@@ -1795,7 +1891,8 @@ class TinyChainInstance {
    *
    * @emits ImportChain - When the new chain is imported.
    *
-   * @param {string[]} chain - The array of serialized blocks to import.
+   * @param {Array<string|Buffer>} chain - The array of serialized blocks to import.
+   * Buffers are read as the binary codec and strings as the JSON codec.
    * @param {Set<string>} [ignoredBlocks] - Ignored blocks list.
    * @throws {Error} If the imported chain is null, invalid, or corrupted.
    */
@@ -1815,7 +1912,10 @@ class TinyChainInstance {
     }
 
     this.chain = chain.map((seValue) => {
-      const { value } = this.#parser.deserializeDeep(seValue, 'object');
+      const { value } =
+        typeof seValue === 'string'
+          ? this.#parser.deserializeDeep(seValue, 'object')
+          : this.#parser.deserializeBinary(seValue, 'object');
       return this.#createBlockInstance({ ...value });
     });
 
@@ -1982,6 +2082,22 @@ class TinyChainInstance {
     return this.#payloadString;
   }
 
+  /**
+   * Returns the serialization format of the blocks.
+   * @returns {import('./TinyChainBlock.mjs').BlockCodec}
+   */
+  getCodec() {
+    return this.#codec;
+  }
+
+  /**
+   * Returns whether the blocks are serialized in canonical mode.
+   * @returns {boolean}
+   */
+  isCanonical() {
+    return this.#canonical;
+  }
+
   /**
    * Gets the maximum allowed size (in bytes) in a block's content.
    * @returns {number}
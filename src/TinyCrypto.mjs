@@ -1,9 +1,30 @@
-import { randomBytes, createDecipheriv, createCipheriv } from 'crypto';
-import { writeFileSync, readFileSync } from 'fs';
 import { Buffer } from 'buffer';
 
 import { isBrowser } from './lib/os.mjs';
 import TinyCryptoParser from './lib/TinyCryptoParser.mjs';
+import { ChunkFrameDecoder, ChunkFrameEncoder, DEFAULT_CHUNK_SIZE } from './lib/chunkFrames.mjs';
+import { deriveKey, normalizeKdfParams } from './lib/kdf.mjs';
+import { checkAuthTagLength, getAlgorithm } from './lib/algorithms.mjs';
+import { randomBytes, resolveBackend } from './lib/backends.mjs';
+import { getNodeRuntime } from './lib/runtime.mjs';
+import { createKeystore, isKeystore, openKeystore } from './lib/keystore.mjs';
+import {
+  ENVELOPE_ENCODINGS,
+  ENVELOPE_MAGIC,
+  ENVELOPE_VERSION,
+  encodeEnvelopeHeader,
+  packEnvelope,
+  unpackEnvelope,
+} from './lib/envelope.mjs';
+import { packEncrypted, unpackEncrypted } from './lib/packed.mjs';
+
+/** @typedef {import('./lib/kdf.mjs').KdfParams} KdfParams */
+/** @typedef {import('./lib/kdf.mjs').KdfOptions} KdfOptions */
+/** @typedef {import('./lib/backends.mjs').CryptoBackend} CryptoBackend */
+/** @typedef {import('./lib/backends.mjs').BackendOption} BackendOption */
+/** @typedef {import('./lib/TinyCryptoParser.mjs').ValueSchema} ValueSchema */
+/** @typedef {import('./lib/TinyCryptoParser.mjs').ClassOptions} ClassOptions */
+/** @typedef {import('./lib/TinyCryptoParser.mjs').SafeModeOptions} SafeModeOptions */
 
 /**
  * TinyCrypto is a utility class that provides methods for secure key generation,
@@ -20,6 +41,13 @@ class TinyCrypto {
    */
   #parser = new TinyCryptoParser();
 
+  /**
+   * Keys known by this instance, indexed by key id.
+   * The active key always lives in `this.key` / `this.keyId`, and is copied here when another key is activated.
+   * @type {Map<string, Buffer>}
+   */
+  #keyring = new Map();
+
   /**
    * Indicates whether the serialization or deserialization should be performed deeply.
    * @type {boolean}
@@ -50,17 +78,57 @@ class TinyCrypto {
     return this.#parser.addValueType(typeName, getFunction, convertFunction);
   }
 
+  /**
+   * Registers a class, so its instances are serialized with their class tag and
+   * restored with their prototype. See `TinyCryptoParser.registerClass()`.
+   * @param {Function} Class - The class.
+   * @param {ClassOptions} [options] - The class name, `toJSON` and `fromJSON`.
+   */
+  registerClass(Class, options) {
+    return this.#parser.registerClass(Class, options);
+  }
+
+  /**
+   * Enables or disables the safe mode of the parser, which blocks dangerous types and limits
+   * the nesting depth, string length and collection size of decoded data.
+   * See `TinyCryptoParser.setSafeMode()`.
+   * @param {boolean|SafeModeOptions} options - `true` for the defaults, `false` to disable, or the options.
+   * @throws {Error} If an option is invalid.
+   */
+  setSafeMode(options) {
+    return this.#parser.setSafeMode(options);
+  }
+
+  /**
+   * Returns the current safe mode options, or `null` when the safe mode is off.
+   * @returns {Required<SafeModeOptions>|null}
+   */
+  getSafeMode() {
+    return this.#parser.getSafeMode();
+  }
+
   /**
    * Creates a new instance of the TinyCrypto class with configurable options.
    *
    * @param {Object} [options={}] - Configuration options for encryption and decryption.
-   * @param {string} [options.algorithm='aes-256-gcm'] - The encryption algorithm to use. Recommended: 'aes-256-gcm' for authenticated encryption.
+   * @param {string} [options.algorithm='aes-256-gcm'] - The encryption algorithm to use: 'aes-256-gcm' (recommended), 'aes-192-gcm', 'aes-128-gcm',
+   * 'chacha20-poly1305' or 'aes-256-cbc-hmac-sha256' (AES-256-CBC with HMAC-SHA256 encrypt-then-MAC, for legacy systems).
    * @param {BufferEncoding} [options.outputEncoding='hex'] - The encoding used when returning encrypted data (e.g., 'hex', 'base64').
    * @param {BufferEncoding} [options.inputEncoding='utf8'] - The encoding used for plaintext inputs (e.g., 'utf8').
-   * @param {number} [options.authTagLength=16] - The length of the authentication tag used in GCM mode. Usually 16 for AES-256-GCM.
-   * @param {Buffer} [options.key] - Optional 32-byte cryptographic key. If not provided, a random key is generated.
+   * @param {number} [options.authTagLength] - The length of the authentication tag. Defaults to 16 for AES-GCM and ChaCha20-Poly1305, and 32 for AES-CBC+HMAC.
+   * @param {Buffer} [options.key] - Optional cryptographic key with the key length of the algorithm (32 bytes for AES-256-GCM,
+   * 64 bytes for AES-CBC+HMAC). If not provided, a random key is generated.
+   * @param {string|null} [options.keyId=null] - Optional id of the key. When set, the key is added to the keyring,
+   * and the id is written inside every ciphertext, so `decrypt()` can pick the right key after a rotation.
+   * @param {BackendOption} [options.backend='auto'] - Crypto backend used by the async methods (`encryptAsync()`,
+   * `decryptAsync()` and the web streams): 'auto' (WebCrypto when available), 'node', 'webcrypto' or a custom backend object.
+   * @param {OutputMode} [options.outputMode='object'] - What `encrypt()` returns: an object with encoded strings ('object'),
+   * or a single Buffer with the IV, tag and ciphertext ('binary').
+   * @param {Codec} [options.codec='json'] - How values are serialized before encryption: the JSON format ('json'),
+   * or the compact binary format of `TinyCryptoParser.serializeBinary()` ('binary').
+   * @param {boolean|SafeModeOptions} [options.safeMode=false] - Restricts what can be decrypted. See `setSafeMode()`.
    *
-   * @throws {Error} Throws if the provided key is not 32 bytes long.
+   * @throws {Error} Throws if the algorithm is not supported, or the key or auth tag length don't fit the algorithm.
    *
    * @example
    * const crypto = new CryptoManager({
@@ -71,12 +139,147 @@ class TinyCrypto {
    */
   constructor(options = {}) {
     this.algorithm = options.algorithm || 'aes-256-gcm';
-    this.authTagLength = options.authTagLength || 16;
+    const { keyLength, tagLength } = getAlgorithm(this.algorithm);
+    this.authTagLength = options.authTagLength || tagLength;
+    checkAuthTagLength(this.algorithm, this.authTagLength);
+    if (options.key && options.key.length !== keyLength)
+      throw new Error(
+        `Invalid key length for "${this.algorithm}": expected ${keyLength} bytes, got ${options.key.length}.`,
+      );
     this.key = options.key || this.generateKey();
     /** @type {BufferEncoding} */
     this.outputEncoding = options.outputEncoding || 'hex';
     /** @type {BufferEncoding} */
     this.inputEncoding = options.inputEncoding || 'utf8';
+    /** @type {string|null} */
+    this.keyId = typeof options.keyId === 'string' ? options.keyId : null;
+    if (this.keyId !== null) this.#keyring.set(this.keyId, this.key);
+    /**
+     * Parameters used to derive the current key from a password, if any.
+     * @type {KdfParams|null}
+     */
+    this.kdf = null;
+    /** @type {BackendOption} */
+    this.backend = 'auto';
+    if (typeof options.backend !== 'undefined') this.setBackend(options.backend);
+    /** @type {OutputMode} */
+    this.outputMode = 'object';
+    if (typeof options.outputMode !== 'undefined') this.setOutputMode(options.outputMode);
+    /** @type {Codec} */
+    this.codec = 'json';
+    if (typeof options.codec !== 'undefined') this.setCodec(options.codec);
+    if (typeof options.safeMode !== 'undefined') this.setSafeMode(options.safeMode);
+  }
+
+  /**
+   * @typedef {'object'|'binary'} OutputMode
+   */
+
+  /**
+   * Sets what `encrypt()` and `encryptAsync()` return.
+   *
+   * - `'object'` (default): an object with the IV, auth tag and ciphertext encoded with `outputEncoding`.
+   * - `'binary'`: a single Buffer with the key id, IV, auth tag and ciphertext, without the encoding overhead.
+   *   Useful for IndexedDB, binary database columns and network frames.
+   *
+   * `decrypt()` accepts both formats in any mode.
+   *
+   * @param {OutputMode} mode - The output mode.
+   * @throws {Error} If the mode is invalid.
+   */
+  setOutputMode(mode) {
+    this.#checkOutputMode(mode);
+    this.outputMode = mode;
+  }
+
+  /**
+   * Throws if an output mode is invalid.
+   *
+   * @param {any} mode - The output mode.
+   * @throws {Error} If the mode is invalid.
+   */
+  #checkOutputMode(mode) {
+    if (mode !== 'object' && mode !== 'binary')
+      throw new Error('Invalid output mode. Expected "object" or "binary".');
+  }
+
+  /**
+   * @typedef {'json'|'binary'} Codec
+   */
+
+  /**
+   * Sets how values are serialized before encryption.
+   *
+   * - `'json'` (default): the JSON format of `TinyCryptoParser`, using the deep mode setting.
+   * - `'binary'`: the compact MessagePack-like format of `TinyCryptoParser.serializeBinary()`.
+   *   Nested values are always serialized, so the deep mode setting is ignored.
+   *
+   * Both sides must use the same codec. Envelopes store the codec in their header, so
+   * `decryptEnvelope()` reads them in any mode.
+   *
+   * @param {Codec} codec - The codec.
+   * @throws {Error} If the codec is invalid.
+   */
+  setCodec(codec) {
+    this.#checkCodec(codec);
+    this.codec = codec;
+  }
+
+  /**
+   * Throws if a codec is invalid.
+   *
+   * @param {any} codec - The codec.
+   * @throws {Error} If the codec is invalid.
+   */
+  #checkCodec(codec) {
+    if (codec !== 'json' && codec !== 'binary')
+      throw new Error('Invalid codec. Expected "json" or "binary".');
+  }
+
+  /**
+   * Sets the crypto backend used by the async methods.
+   *
+   * The sync methods always use the Node.js `crypto` module. The async methods use the backend,
+   * so with WebCrypto they run natively in browsers. Every backend produces the same output format.
+   *
+   * @param {BackendOption} backend - 'auto', 'node', 'webcrypto' or a custom backend object.
+   * @throws {Error} If the backend is invalid.
+   */
+  setBackend(backend) {
+    resolveBackend(backend, this.algorithm);
+    this.backend = backend;
+  }
+
+  /**
+   * Returns the backend that will run an algorithm.
+   *
+   * @param {string} [algorithm=this.algorithm] - The algorithm name.
+   * @returns {CryptoBackend}
+   */
+  getBackend(algorithm = this.algorithm) {
+    return resolveBackend(this.backend, algorithm);
+  }
+
+  /**
+   * Creates a new TinyCrypto instance whose key is derived from a password.
+   *
+   * @param {string|Buffer} password - The password used to derive the key.
+   * @param {KdfOptions|KdfParams} [kdfOptions={}] - Key derivation options. Pass the `kdf` value of a previous export to rebuild the same key.
+   * @param {ConstructorParameters<typeof TinyCrypto>[0]} [options={}] - The same options accepted by the constructor (the `key` option is ignored).
+   * @returns {Promise<TinyCrypto>} The new instance.
+   *
+   * @example
+   * const crypto = await TinyCrypto.fromPassword('correct horse battery staple', { name: 'scrypt' });
+   * const again = await TinyCrypto.fromPassword('correct horse battery staple', crypto.kdf);
+   */
+  static async fromPassword(password, kdfOptions = {}, options = {}) {
+    const tinyCrypto = new TinyCrypto({ ...options, key: undefined, keyId: undefined });
+    await tinyCrypto.deriveKeyFromPassword(password, kdfOptions);
+    if (typeof options.keyId === 'string') {
+      tinyCrypto.keyId = options.keyId;
+      tinyCrypto.#keyring.set(options.keyId, tinyCrypto.key);
+    }
+    return tinyCrypto;
   }
 
   /**
@@ -95,41 +298,229 @@ class TinyCrypto {
    * (in hex format) and will be converted to a Buffer for internal use. If the key format is incorrect,
    * an error will be thrown.
    *
+   * The new key has no key id. The previous key stays in the keyring under its id, if it had one.
+   * Use `addKey()` or `rotateKey()` to give the new key an id.
+   *
    * @param {string} keyHex - The cryptographic key in hex format to be set.
    * @throws {Error} If the provided key is not a valid hex string.
    */
   setKey(keyHex) {
     if (typeof keyHex !== 'string' || !/^[a-fA-F0-9]+$/.test(keyHex))
       throw new Error('Invalid key format. The key must be a valid hex string.');
-    this.key = Buffer.from(keyHex, 'hex');
+    this.#setKeyWithoutId(Buffer.from(keyHex, 'hex'));
+  }
+
+  /**
+   * Replaces the active key with a key that has no id. The previous key is kept in the keyring
+   * under its id, so the data it encrypted can still be decrypted.
+   *
+   * @param {Buffer} key - The new key.
+   */
+  #setKeyWithoutId(key) {
+    if (this.keyId !== null) this.#keyring.set(this.keyId, this.key);
+    this.key = key;
+    this.keyId = null;
+    this.kdf = null;
+  }
+
+  /**
+   * Derives the cryptographic key from a password and sets it as the current key.
+   *
+   * Supports scrypt (default), PBKDF2 and Argon2id (only when the runtime provides it).
+   * If no options are given and the instance already has KDF parameters (e.g. from `importConfig()`),
+   * those parameters and salt are reused, which rebuilds the same key from the same password, and
+   * the key keeps its key id. Otherwise, like `setKey()`, the new key has no key id and the previous
+   * key stays in the keyring under its id.
+   *
+   * @param {string|Buffer} password - The password used to derive the key.
+   * @param {KdfOptions|KdfParams} [options] - Key derivation options. A random salt is generated if none is given.
+   * @returns {Promise<{ key: Buffer, kdf: KdfParams }>} The derived key and the parameters needed to rebuild it.
+   * @throws {Error} If the password is empty, the parameters are invalid or the KDF is not available.
+   * @throws {Error} If `keyLength` is not the key length of the algorithm.
+   *
+   * @example
+   * const { kdf } = await cryptoManager.deriveKeyFromPassword('my passphrase', { name: 'pbkdf2' });
+   * // kdf: { name: 'pbkdf2', salt: '9f1c...', keyLength: 32, iterations: 600000, digest: 'sha256' }
+   */
+  async deriveKeyFromPassword(password, options) {
+    const kdf = this.#normalizeKdf(
+      typeof options === 'undefined' ? (this.kdf ?? {}) : /** @type {KdfOptions} */ (options),
+      this.algorithm,
+    );
+    const key = await deriveKey(password, kdf);
+    // Reusing the parameters of the active key rebuilds that key, so it keeps its id
+    if (typeof options === 'undefined' && this.kdf !== null) this.key = key;
+    else this.#setKeyWithoutId(key);
+    this.kdf = kdf;
+    return { key, kdf: { ...kdf } };
+  }
+
+  /**
+   * Validates KDF options for an algorithm. The derived key defaults to the key length of the algorithm.
+   *
+   * @param {KdfOptions|KdfParams} options - The KDF options.
+   * @param {string} algorithm - The algorithm that will use the derived key.
+   * @returns {KdfParams} The complete KDF parameters.
+   * @throws {Error} If any parameter is invalid or `keyLength` doesn't fit the algorithm.
+   */
+  #normalizeKdf(options, algorithm) {
+    const { keyLength } = getAlgorithm(algorithm);
+    const kdf = normalizeKdfParams(options, keyLength);
+    if (kdf.keyLength !== keyLength)
+      throw new Error(
+        `Invalid KDF parameter "keyLength". The algorithm "${algorithm}" needs a ${keyLength}-byte key.`,
+      );
+    return kdf;
+  }
+
+  /**
+   * Converts a key given as a Buffer or hex string into a Buffer.
+   *
+   * @param {Buffer|string} key - The key.
+   * @returns {Buffer}
+   * @throws {Error} If the key is not a Buffer or a valid hex string.
+   */
+  #toKeyBuffer(key) {
+    if (Buffer.isBuffer(key)) return key;
+    if (typeof key !== 'string' || !/^([a-fA-F0-9]{2})+$/.test(key))
+      throw new Error('Invalid key format. The key must be a Buffer or a valid hex string.');
+    return Buffer.from(key, 'hex');
+  }
+
+  /**
+   * Returns the key with the given id.
+   *
+   * Data without a key id uses the active key. Instances that never used key ids also use the
+   * active key for any id, which keeps data from other instances readable.
+   *
+   * @param {string|null} [keyId=null] - The key id.
+   * @returns {Buffer} The key.
+   * @throws {Error} If the keyring has no key with this id.
+   */
+  #getKeyById(keyId = null) {
+    if (!keyId || keyId === this.keyId) return this.key;
+    const key = this.#keyring.get(keyId);
+    if (key) return key;
+    if (this.keyId === null && this.#keyring.size === 0) return this.key;
+    throw new Error(`No key with the id "${keyId}" was found in the keyring.`);
+  }
+
+  /**
+   * Adds a key to the keyring.
+   *
+   * @param {string} keyId - The id of the key.
+   * @param {Buffer|string} key - The key, as a Buffer or hex string.
+   * @param {Object} [options={}] - Options.
+   * @param {boolean} [options.activate=false] - Whether the new key becomes the active key.
+   * @throws {Error} If the id is empty, already used, or the key is invalid.
+   *
+   * @example
+   * cryptoManager.addKey('2024-01', oldKeyHex);
+   * cryptoManager.addKey('2025-01', cryptoManager.generateKey(), { activate: true });
+   */
+  addKey(keyId, key, { activate = false } = {}) {
+    if (typeof keyId !== 'string' || keyId.length === 0)
+      throw new Error('Invalid key id. Expected a non-empty string.');
+    if (this.hasKey(keyId))
+      throw new Error(`The keyring already has a key with the id "${keyId}".`);
+    this.#keyring.set(keyId, this.#toKeyBuffer(key));
+    if (activate) this.setActiveKey(keyId);
+  }
+
+  /**
+   * Removes a key from the keyring. The active key cannot be removed.
+   *
+   * @param {string} keyId - The id of the key.
+   * @returns {boolean} `true` if the key was removed, `false` if it was not in the keyring.
+   * @throws {Error} If the key is the active key.
+   */
+  removeKey(keyId) {
+    if (keyId === this.keyId) throw new Error('The active key cannot be removed.');
+    return this.#keyring.delete(keyId);
+  }
+
+  /**
+   * Checks whether the keyring has a key with the given id.
+   *
+   * @param {string} keyId - The id of the key.
+   * @returns {boolean}
+   */
+  hasKey(keyId) {
+    return keyId === this.keyId || this.#keyring.has(keyId);
+  }
+
+  /**
+   * Returns the ids of every key in the keyring, including the active one.
+   *
+   * @returns {string[]}
+   */
+  getKeyIds() {
+    const ids = new Set(this.#keyring.keys());
+    if (this.keyId !== null) ids.add(this.keyId);
+    return [...ids];
+  }
+
+  /**
+   * Makes a key of the keyring the active key. New data is always encrypted with the active key.
+   *
+   * @param {string} keyId - The id of the key.
+   * @throws {Error} If the keyring has no key with this id.
+   */
+  setActiveKey(keyId) {
+    if (keyId === this.keyId) return;
+    const key = this.#keyring.get(keyId);
+    if (!key) throw new Error(`No key with the id "${keyId}" was found in the keyring.`);
+    if (this.keyId !== null) this.#keyring.set(this.keyId, this.key);
+    this.key = key;
+    this.keyId = keyId;
+    this.kdf = null;
+  }
+
+  /**
+   * Rotates the active key. The new key is added to the keyring and activated, while the old keys
+   * stay available to decrypt existing data (see `reencrypt()`).
+   *
+   * @param {string} keyId - The id of the new key.
+   * @param {Buffer|string} [key=this.generateKey()] - The new key. A random key is generated if omitted.
+   * @returns {Buffer} The new key.
+   * @throws {Error} If the id is already used or the key is invalid.
+   *
+   * @example
+   * cryptoManager.rotateKey('2025-01');
+   */
+  rotateKey(keyId, key = this.generateKey()) {
+    this.addKey(keyId, key, { activate: true });
+    return this.key;
   }
 
   /**
    * Generates a secure random cryptographic key.
    *
-   * @param {number} [value=32] - The number of bytes to generate. Default is 32 bytes (256 bits), suitable for AES-256.
+   * @param {number} [value] - The number of bytes to generate. Defaults to the key length of the algorithm
+   * (32 bytes for AES-256-GCM and ChaCha20-Poly1305, 64 bytes for AES-CBC+HMAC).
    * @returns {Buffer} A securely generated random key as a Buffer.
    *
    * @example
    * const key = cryptoManager.generateKey(); // Generates a 32-byte key
    * const customKey = cryptoManager.generateKey(16); // Generates a 16-byte key (e.g. for AES-128)
    */
-  generateKey(value = 32) {
-    return randomBytes(value); // 256-bit
+  generateKey(value = getAlgorithm(this.algorithm).keyLength) {
+    return randomBytes(value);
   }
 
   /**
    * Generates a secure random Initialization Vector (IV).
    *
-   * @param {number} [value=12] - The number of bytes to generate. Default is 12 bytes (96 bits), the recommended size for AES-GCM.
+   * @param {number} [value] - The number of bytes to generate. Defaults to the IV length of the algorithm
+   * (12 bytes for AES-GCM and ChaCha20-Poly1305, 16 bytes for AES-CBC+HMAC).
    * @returns {Buffer} A securely generated IV as a Buffer.
    *
    * @example
-   * const iv = cryptoManager.generateIV(); // Generates a 12-byte IV
-   * const customIV = cryptoManager.generateIV(16); // Generates a 16-byte IV if needed for other algorithms
+   * const iv = cryptoManager.generateIV(); // Generates a 12-byte IV with AES-GCM
+   * const customIV = cryptoManager.generateIV(16); // Generates a 16-byte IV
    */
-  generateIV(value = 12) {
-    return randomBytes(value); // 96-bit padrão para GCM
+  generateIV(value = getAlgorithm(this.algorithm).ivLength) {
+    return randomBytes(value);
   }
 
   /**
@@ -137,8 +528,43 @@ class TinyCrypto {
    * @property {string} iv - The Initialization Vector (IV) used in encryption, encoded with the output encoding.
    * @property {string} encrypted - The encrypted data to decrypt, encoded with the output encoding.
    * @property {string} authTag - The authentication tag used to verify the integrity of the encrypted data.
+   * @property {string} [keyId] - The id of the key used in encryption. Only present when the key has an id.
+   */
+
+  /**
+   * @typedef {Object} AadOptions
+   * @property {string|Buffer|Uint8Array|null} [aad=null] - Optional additional authenticated data (AAD).
+   * It is not encrypted or stored, but it is authenticated together with the ciphertext, so decryption
+   * fails unless exactly the same AAD is given again (e.g. a record id, user id or table name).
+   * Strings are read as UTF-8.
+   */
+
+  /**
+   * @typedef {Object} EncryptOptions
+   * @property {string|Buffer|Uint8Array|null} [aad=null] - Optional additional authenticated data (see {@link AadOptions}).
+   * @property {OutputMode} [outputMode=this.outputMode] - Overrides the output mode of the instance for this call.
+   */
+
+  /**
+   * @typedef {Object} EnvelopeOptions
+   * @property {string|Buffer|Uint8Array|null} [aad=null] - Optional additional authenticated data (see {@link AadOptions}).
+   * @property {string[]} [algorithms=[this.algorithm]] - The algorithms accepted in the envelope header.
    */
 
+  /**
+   * Converts the public `aad` option into bytes.
+   *
+   * @param {string|Buffer|Uint8Array|null} [aad=null] - The AAD value.
+   * @returns {Buffer|null} The AAD bytes, or `null` if no AAD was given.
+   * @throws {Error} If the AAD has an unsupported type.
+   */
+  #toAad(aad = null) {
+    if (aad === null) return null;
+    if (typeof aad === 'string') return Buffer.from(aad, 'utf8');
+    if (aad instanceof Uint8Array) return Buffer.from(aad.buffer, aad.byteOffset, aad.byteLength);
+    throw new Error('Invalid AAD. Expected a string, Buffer or Uint8Array.');
+  }
+
   /**
    * Encrypts a given value (string, number, object, etc.)
    *
@@ -146,7 +572,8 @@ class TinyCrypto {
    *
    * @param {*} data - The data to encrypt. Can be of any supported type (string, number, boolean, Date, JSON, etc.).
    * @param {Buffer} [iv=this.generateIV()] - Optional Initialization Vector (IV). If not provided, a secure random IV is generated.
-   * @returns {EncryptedDataParams} An object containing the encrypted data.
+   * @param {EncryptOptions} [options={}] - Optional additional authenticated data and output mode.
+   * @returns {EncryptedDataParams|Buffer} An object containing the encrypted data, or a single Buffer in binary output mode.
    *
    * @example
    * const result = cryptoManager.encrypt('Hello, world!');
@@ -155,24 +582,278 @@ class TinyCrypto {
    * //   encrypted: 'c1d5...',
    * //   authTag: 'aa93...'
    * // }
+   *
+   * // Bind the ciphertext to a database row
+   * const bound = cryptoManager.encrypt(user.email, undefined, { aad: `users:${user.id}:email` });
+   *
+   * // A single Buffer: key id | iv | authTag | ciphertext
+   * const packed = cryptoManager.encrypt('Hello, world!', undefined, { outputMode: 'binary' });
    */
-  encrypt(data, iv = this.generateIV()) {
+  encrypt(data, iv = this.generateIV(), { aad = null, outputMode = this.outputMode } = {}) {
+    const { encrypted, authTag } = this.#encryptBuffer(this.#serializeToBuffer(data), iv, {
+      aad: this.#toAad(aad),
+    });
+    return this.#toEncryptedParams(iv, encrypted, authTag, outputMode);
+  }
+
+  /**
+   * Async version of `encrypt()` that runs the cipher on the configured backend (see `setBackend()`).
+   *
+   * The output has the same format as `encrypt()`, so data encrypted in a browser with WebCrypto
+   * can be decrypted in Node.js with `decrypt()`, and the other way around.
+   *
+   * Unlike `encrypt()`, it also accepts `Blob` and `File` values (alone or nested in deep mode),
+   * because their bytes can only be read asynchronously.
+   *
+   * @param {*} data - The data to encrypt. Can be of any supported type.
+   * @param {Buffer} [iv=this.generateIV()] - Optional Initialization Vector (IV).
+   * @param {EncryptOptions} [options={}] - Optional additional authenticated data and output mode.
+   * @returns {Promise<EncryptedDataParams|Buffer>} An object containing the encrypted data, or a single Buffer in binary output mode.
+   *
+   * @example
+   * const result = await cryptoManager.encryptAsync({ hello: 'world' });
+   *
+   * // A draft with an attachment
+   * cryptoManager.setDeepMode(true);
+   * const draft = await cryptoManager.encryptAsync({ link: new URL(url), attachment: file });
+   */
+  async encryptAsync(
+    data,
+    iv = this.generateIV(),
+    { aad = null, outputMode = this.outputMode } = {},
+  ) {
+    const { encrypted, authTag } = await this.#encryptBufferAsync(
+      await this.#serializeToBufferAsync(data),
+      iv,
+      { aad: this.#toAad(aad) },
+    );
+    return this.#toEncryptedParams(iv, encrypted, authTag, outputMode);
+  }
+
+  /**
+   * Serializes a value with the current codec, mode and input encoding.
+   *
+   * @param {*} data - The value.
+   * @returns {Buffer} The serialized bytes.
+   */
+  #serializeToBuffer(data) {
+    if (this.codec === 'binary') return this.#parser.serializeBinary(data);
     const plainText = this.isDeep ? this.#parser.serializeDeep(data) : this.#parser.serialize(data);
+    return Buffer.from(plainText, this.inputEncoding);
+  }
 
-    const cipher = createCipheriv(this.algorithm, this.key, iv, {
-      // @ts-ignore
-      authTagLength: this.authTagLength,
-    });
+  /**
+   * Async version of `#serializeToBuffer()`, which can also read `Blob` and `File` values.
+   *
+   * @param {*} data - The value.
+   * @returns {Promise<Buffer>} The serialized bytes.
+   */
+  async #serializeToBufferAsync(data) {
+    if (this.codec === 'binary') return this.#parser.serializeBinaryAsync(data);
+    const plainText = this.isDeep
+      ? await this.#parser.serializeDeepAsync(data)
+      : await this.#parser.serializeAsync(data);
+    return Buffer.from(plainText, this.inputEncoding);
+  }
 
-    let encrypted = cipher.update(plainText, this.inputEncoding);
-    encrypted = Buffer.concat([encrypted, cipher.final()]);
-    const authTag = cipher.getAuthTag();
+  /**
+   * Deserializes decrypted bytes. The settings default to the ones of the instance.
+   *
+   * @param {Buffer} decrypted - The decrypted bytes.
+   * @param {ValueSchema|null} expectedType - The expected type or schema, if any.
+   * @param {Object} [settings={}] - The settings used in serialization.
+   * @param {Codec} [settings.codec=this.codec] - The codec.
+   * @param {boolean} [settings.deep=this.isDeep] - Whether the deep mode was used (JSON codec).
+   * @param {BufferEncoding} [settings.input=this.inputEncoding] - The input encoding (JSON codec).
+   * @returns {{ value: any, type: string }} The value and its type.
+   */
+  #deserializeBuffer(
+    decrypted,
+    expectedType,
+    { codec = this.codec, deep = this.isDeep, input = this.inputEncoding } = {},
+  ) {
+    if (codec === 'binary') return this.#parser.deserializeBinary(decrypted, expectedType);
+    const text = decrypted.toString(input);
+    return deep
+      ? this.#parser.deserializeDeep(text, expectedType)
+      : this.#parser.deserialize(text, expectedType);
+  }
 
-    return {
+  /**
+   * Deserializes decrypted bytes with the current codec, mode and input encoding.
+   *
+   * @param {Buffer} decrypted - The decrypted bytes.
+   * @param {ValueSchema|null} expectedType - The expected type or schema, if any.
+   * @returns {*} The value.
+   */
+  #deserializeFromBuffer(decrypted, expectedType) {
+    return this.#deserializeBuffer(decrypted, expectedType).value;
+  }
+
+  /**
+   * Builds the public result of an encryption.
+   *
+   * @param {Buffer} iv - The IV.
+   * @param {Buffer} encrypted - The encrypted bytes.
+   * @param {Buffer} authTag - The auth tag.
+   * @param {OutputMode} [outputMode=this.outputMode] - The output mode.
+   * @returns {EncryptedDataParams|Buffer}
+   */
+  #toEncryptedParams(iv, encrypted, authTag, outputMode = this.outputMode) {
+    if (outputMode === 'binary')
+      return packEncrypted({ iv, authTag, encrypted, keyId: this.keyId ?? undefined });
+    /** @type {EncryptedDataParams} */
+    const result = {
       iv: iv.toString(this.outputEncoding),
       encrypted: encrypted.toString(this.outputEncoding),
       authTag: authTag.toString(this.outputEncoding),
     };
+    if (this.keyId !== null) result.keyId = this.keyId;
+    return result;
+  }
+
+  /**
+   * Reads the parts of an encrypted value made by `encrypt()`, in object or binary format.
+   *
+   * @param {EncryptedDataParams|Buffer|Uint8Array} data - The encrypted value.
+   * @returns {{ iv: Buffer, encrypted: Buffer, authTag: Buffer, settings: CipherSettings }}
+   * The decoded parts and the cipher settings (key and auth tag length) needed to decrypt them.
+   * @throws {Error} If the binary data is malformed, its auth tag length is not the one of the instance,
+   * or the key id is not in the keyring.
+   */
+  #readEncrypted(data) {
+    if (data instanceof Uint8Array) {
+      const { iv, encrypted, authTag, keyId } = unpackEncrypted(data);
+      // The tag length of the header is not authenticated, so a shorter tag is never trusted
+      if (authTag.length !== this.authTagLength)
+        throw new Error(
+          `Invalid packed data: expected an auth tag of ${this.authTagLength} bytes, got ${authTag.length}.`,
+        );
+      return { iv, encrypted, authTag, settings: { key: this.#getKeyById(keyId) } };
+    }
+    return {
+      iv: Buffer.from(data.iv, this.outputEncoding),
+      encrypted: Buffer.from(data.encrypted, this.outputEncoding),
+      authTag: Buffer.from(data.authTag, this.outputEncoding),
+      settings: { key: this.#getKeyById(data.keyId) },
+    };
+  }
+
+  /**
+   * @typedef {Object} CipherSettings
+   * @property {Buffer|null} [aad=null] - Optional additional authenticated data.
+   * @property {string} [algorithm=this.algorithm] - The encryption algorithm.
+   * @property {number} [authTagLength=this.authTagLength] - The authentication tag length.
+   * @property {Buffer} [key=this.key] - The cryptographic key.
+   */
+
+  /**
+   * Encrypts raw bytes. By default, it uses the instance key, algorithm and auth tag length.
+   *
+   * @param {Buffer} plain - The bytes to encrypt.
+   * @param {Buffer} iv - The Initialization Vector (IV).
+   * @param {CipherSettings} [settings={}] - Optional cipher settings.
+   * @returns {{ encrypted: Buffer, authTag: Buffer }} The encrypted bytes and their auth tag.
+   * @throws {Error} Throws if the algorithm is not supported or a size doesn't fit the algorithm.
+   */
+  #encryptBuffer(
+    plain,
+    iv,
+    {
+      aad = null,
+      algorithm = this.algorithm,
+      authTagLength = this.authTagLength,
+      key = this.key,
+    } = {},
+  ) {
+    return getNodeRuntime('Synchronous encryption').ciphers.encryptBytes(plain, {
+      algorithm,
+      key,
+      iv,
+      authTagLength,
+      aad,
+    });
+  }
+
+  /**
+   * Decrypts raw bytes. By default, it uses the instance key, algorithm and auth tag length.
+   *
+   * @param {Buffer} encrypted - The bytes to decrypt.
+   * @param {Buffer} iv - The Initialization Vector (IV).
+   * @param {Buffer} authTag - The authentication tag.
+   * @param {CipherSettings} [settings={}] - Optional cipher settings.
+   * @returns {Buffer} The decrypted bytes.
+   * @throws {Error} Throws if the authentication tag doesn't match.
+   * @throws {Error} Throws if the algorithm is not supported or a size doesn't fit the algorithm.
+   */
+  #decryptBuffer(
+    encrypted,
+    iv,
+    authTag,
+    {
+      aad = null,
+      algorithm = this.algorithm,
+      authTagLength = this.authTagLength,
+      key = this.key,
+    } = {},
+  ) {
+    return getNodeRuntime('Synchronous decryption').ciphers.decryptBytes(encrypted, authTag, {
+      algorithm,
+      key,
+      iv,
+      authTagLength,
+      aad,
+    });
+  }
+
+  /**
+   * Async version of `#encryptBuffer()` that runs on the configured backend.
+   *
+   * @param {Buffer} plain - The bytes to encrypt.
+   * @param {Buffer} iv - The Initialization Vector (IV).
+   * @param {CipherSettings} [settings={}] - Optional cipher settings.
+   * @returns {Promise<{ encrypted: Buffer, authTag: Buffer }>} The encrypted bytes and their auth tag.
+   */
+  #encryptBufferAsync(
+    plain,
+    iv,
+    {
+      aad = null,
+      algorithm = this.algorithm,
+      authTagLength = this.authTagLength,
+      key = this.key,
+    } = {},
+  ) {
+    return this.getBackend(algorithm).encrypt(plain, { algorithm, key, iv, authTagLength, aad });
+  }
+
+  /**
+   * Async version of `#decryptBuffer()` that runs on the configured backend.
+   *
+   * @param {Buffer} encrypted - The bytes to decrypt.
+   * @param {Buffer} iv - The Initialization Vector (IV).
+   * @param {Buffer} authTag - The authentication tag.
+   * @param {CipherSettings} [settings={}] - Optional cipher settings.
+   * @returns {Promise<Buffer>} The decrypted bytes.
+   */
+  #decryptBufferAsync(
+    encrypted,
+    iv,
+    authTag,
+    {
+      aad = null,
+      algorithm = this.algorithm,
+      authTagLength = this.authTagLength,
+      key = this.key,
+    } = {},
+  ) {
+    return this.getBackend(algorithm).decrypt(encrypted, authTag, {
+      algorithm,
+      key,
+      iv,
+      authTagLength,
+      aad,
+    });
   }
 
   /**
@@ -180,11 +861,15 @@ class TinyCrypto {
    *
    * The method checks the integrity of the data using the authentication tag (`authTag`) and ensures the data is properly decrypted.
    * After decryption, it automatically deserializes the data back to its original type.
+   * If the data has a `keyId`, the matching key of the keyring is used.
+   * Both the object and the binary output of `encrypt()` are accepted.
    *
-   * @param {EncryptedDataParams} params - An object containing the encrypted data.
-   * @param {string|null} [expectedType=null] - Optionally specify the expected type of the decrypted data. If provided, the method will validate the type of the deserialized value.
+   * @param {EncryptedDataParams|Buffer|Uint8Array} params - An object containing the encrypted data, or a Buffer made in binary output mode.
+   * @param {ValueSchema|null} [expectedType=null] - Optionally specify the expected type of the decrypted data, or a schema of its nested shape. If provided, the method will validate the type of the deserialized value.
+   * @param {AadOptions} [options={}] - The additional authenticated data used during encryption, if any.
    * @returns {*} The decrypted value, which will be the original type of the data before encryption.
-   * @throws {Error} Throws if the authentication tag doesn't match or the data has been tampered with.
+   * @throws {Error} Throws if the authentication tag doesn't match, the AAD is different or the data has been tampered with.
+   * @throws {Error} Throws if the keyring has no key with the `keyId` of the data.
    * @throws {Error} Throws if the deserialized value doesn't match the `expectedType`.
    *
    * @example
@@ -196,25 +881,36 @@ class TinyCrypto {
    * const decrypted = cryptoManager.decrypt(encryptedData, 'string');
    * console.log(decrypted); // Outputs: 'Hello, world!'
    */
-  decrypt({ iv, encrypted, authTag }, expectedType = null) {
-    const ivBuffer = Buffer.from(iv, this.outputEncoding);
-    const encryptedBuffer = Buffer.from(encrypted, this.outputEncoding);
-    const authTagBuffer = Buffer.from(authTag, this.outputEncoding);
-
-    const decipher = createDecipheriv(this.algorithm, this.key, ivBuffer, {
-      // @ts-ignore
-      authTagLength: this.authTagLength,
+  decrypt(params, expectedType = null, { aad = null } = {}) {
+    const { iv, encrypted, authTag, settings } = this.#readEncrypted(params);
+    const decrypted = this.#decryptBuffer(encrypted, iv, authTag, {
+      ...settings,
+      aad: this.#toAad(aad),
     });
+    return this.#deserializeFromBuffer(decrypted, expectedType);
+  }
 
-    decipher.setAuthTag(authTagBuffer);
-
-    /** @type {string} */
-    let decrypted = decipher.update(encryptedBuffer, undefined, this.inputEncoding);
-    decrypted += decipher.final(this.inputEncoding);
-    const { value } = this.isDeep
-      ? this.#parser.deserializeDeep(decrypted, expectedType)
-      : this.#parser.deserialize(decrypted, expectedType);
-    return value;
+  /**
+   * Async version of `decrypt()` that runs the cipher on the configured backend (see `setBackend()`).
+   * It accepts the output of both `encrypt()` and `encryptAsync()`, in object or binary format.
+   *
+   * @param {EncryptedDataParams|Buffer|Uint8Array} params - An object containing the encrypted data, or a Buffer made in binary output mode.
+   * @param {ValueSchema|null} [expectedType=null] - Optionally specify the expected type of the decrypted data, or a schema of its nested shape.
+   * @param {AadOptions} [options={}] - The additional authenticated data used during encryption, if any.
+   * @returns {Promise<*>} The decrypted value.
+   * @throws {Error} Throws if the authentication tag doesn't match, the AAD is different or the data has been tampered with.
+   * @throws {Error} Throws if the keyring has no key with the `keyId` of the data.
+   *
+   * @example
+   * const value = await cryptoManager.decryptAsync(result, 'object');
+   */
+  async decryptAsync(params, expectedType = null, { aad = null } = {}) {
+    const { iv, encrypted, authTag, settings } = this.#readEncrypted(params);
+    const decrypted = await this.#decryptBufferAsync(encrypted, iv, authTag, {
+      ...settings,
+      aad: this.#toAad(aad),
+    });
+    return this.#deserializeFromBuffer(decrypted, expectedType);
   }
 
   /**
@@ -223,7 +919,8 @@ class TinyCrypto {
    * This method decrypts the encrypted data and extracts its type information without fully deserializing the value.
    * It is useful when you need to verify the type of the encrypted data before fully decrypting it.
    *
-   * @param {EncryptedDataParams} params - An object containing the encrypted data.
+   * @param {EncryptedDataParams|Buffer|Uint8Array} params - An object containing the encrypted data, or a Buffer made in binary output mode.
+   * @param {AadOptions} [options={}] - The additional authenticated data used during encryption, if any.
    * @returns {string} The type of the original data (e.g., 'string', 'number', 'date', etc.).
    *
    * @example
@@ -235,31 +932,566 @@ class TinyCrypto {
    * const dataType = cryptoManager.getTypeFromEncrypted(encryptedData);
    * console.log(dataType); // Outputs: 'string'
    */
-  getTypeFromEncrypted({ iv, encrypted, authTag }) {
-    const ivBuffer = Buffer.from(iv, this.outputEncoding);
-    const encryptedBuffer = Buffer.from(encrypted, this.outputEncoding);
-    const authTagBuffer = Buffer.from(authTag, this.outputEncoding);
+  getTypeFromEncrypted(params, { aad = null } = {}) {
+    const { iv, encrypted, authTag, settings } = this.#readEncrypted(params);
+    const decrypted = this.#decryptBuffer(encrypted, iv, authTag, {
+      ...settings,
+      aad: this.#toAad(aad),
+    });
+
+    const { type } =
+      this.codec === 'binary'
+        ? this.#parser.deserializeBinary(decrypted)
+        : this.#parser.deserialize(decrypted.toString(this.inputEncoding));
+    return typeof type === 'string' ? type : 'unknown';
+  }
+
+  /**
+   * Encrypts a value into a self-describing, versioned envelope.
+   *
+   * The envelope stores a header with the format version, algorithm, key id, encodings,
+   * IV length and auth tag length, followed by the IV, auth tag and ciphertext. The header is
+   * authenticated together with the ciphertext, so it cannot be changed without breaking decryption.
+   * `decryptEnvelope()` reads its settings from the header, not from the instance defaults.
+   *
+   * @param {*} data - The data to encrypt. Can be of any supported type.
+   * @param {Object} [options={}] - Envelope options.
+   * @param {'string'|'binary'} [options.format='string'] - Return a compact string or a binary Buffer.
+   * @param {Buffer} [options.iv=this.generateIV()] - Optional Initialization Vector (IV).
+   * @param {string|Buffer|Uint8Array|null} [options.aad=null] - Optional additional authenticated data.
+   * It is authenticated after the header, but it is not stored inside the envelope.
+   * @returns {string|Buffer} The envelope.
+   *
+   * @example
+   * const envelope = cryptoManager.encryptToEnvelope({ hello: 'world' });
+   * // 'tce1.eyJ2IjoxLCJhbGciOiJhZXMtMjU2LWdjbSIs....3f9a....91bc....c0de...'
+   */
+  encryptToEnvelope(data, { format = 'string', iv = this.generateIV(), aad = null } = {}) {
+    /** @type {import('./lib/envelope.mjs').EnvelopeHeader} */
+    const header = {
+      v: ENVELOPE_VERSION,
+      alg: this.algorithm,
+      kid: this.keyId ?? '',
+      enc: ENVELOPE_ENCODINGS.includes(this.outputEncoding) ? this.outputEncoding : 'base64url',
+      tag: this.authTagLength,
+      iv: iv.length,
+      input: this.inputEncoding,
+      deep: this.isDeep,
+    };
+    if (this.codec === 'binary') header.fmt = 'binary';
+
+    const headerBytes = encodeEnvelopeHeader(header);
+    const { encrypted, authTag } = this.#encryptBuffer(this.#serializeToBuffer(data), iv, {
+      aad: this.#envelopeAad(headerBytes, aad),
+    });
+    return packEnvelope(headerBytes, header, iv, authTag, encrypted, format);
+  }
+
+  /**
+   * Builds the AAD of an envelope: the header bytes, followed by the user AAD (if any).
+   *
+   * @param {Buffer} headerBytes - The encoded envelope header.
+   * @param {string|Buffer|Uint8Array|null} aad - The user AAD.
+   * @returns {Buffer}
+   */
+  #envelopeAad(headerBytes, aad) {
+    const extra = this.#toAad(aad);
+    return extra ? Buffer.concat([headerBytes, extra]) : headerBytes;
+  }
+
+  /**
+   * Builds the cipher settings of an envelope from its header.
+   *
+   * The header is only authenticated by the cipher it names, so the algorithm must be one the caller
+   * accepts, and the auth tag can't be shorter than the one of the instance.
+   *
+   * @param {import('./lib/envelope.mjs').EnvelopeHeader} header - The envelope header.
+   * @param {Buffer} headerBytes - The encoded envelope header.
+   * @param {string|Buffer|Uint8Array|null} aad - The user AAD.
+   * @param {string[]} algorithms - The accepted algorithms.
+   * @returns {CipherSettings}
+   * @throws {Error} If the algorithm is not accepted, the auth tag is too short or the key id is not in the keyring.
+   */
+  #envelopeSettings(header, headerBytes, aad, algorithms) {
+    if (!algorithms.includes(header.alg))
+      throw new Error(
+        `The envelope algorithm "${header.alg}" is not accepted. Expected one of: ${algorithms.join(', ')}.`,
+      );
+    if (header.tag < this.authTagLength)
+      throw new Error(
+        `Invalid envelope: expected an auth tag of at least ${this.authTagLength} bytes, got ${header.tag}.`,
+      );
+    return {
+      aad: this.#envelopeAad(headerBytes, aad),
+      algorithm: header.alg,
+      authTagLength: header.tag,
+      key: this.#getKeyById(header.kid),
+    };
+  }
+
+  /**
+   * Decrypts an envelope created by `encryptToEnvelope()`.
+   *
+   * The encodings, auth tag length, codec and serialization mode are read from the envelope
+   * header, so envelopes stay readable after the instance defaults change. The key is picked from
+   * the keyring using the key id of the header. The algorithm of the header must be in `algorithms`
+   * (by default, only the instance algorithm), and its auth tag can't be shorter than `authTagLength`.
+   *
+   * @param {string|Buffer|Uint8Array} envelope - The string or binary envelope.
+   * @param {ValueSchema|null} [expectedType=null] - Optionally specify the expected type of the decrypted data, or a schema of its nested shape.
+   * @param {EnvelopeOptions} [options={}] - The additional authenticated data used during encryption, if any,
+   * and the accepted algorithms.
+   * @returns {*} The decrypted value.
+   * @throws {Error} If the envelope is malformed, was tampered with, has a different AAD, or its key id is not in the keyring.
+   * @throws {Error} If the algorithm of the envelope is not accepted or its auth tag is too short.
+   *
+   * @example
+   * const value = cryptoManager.decryptEnvelope(envelope, 'object');
+   * const legacy = cryptoManager.decryptEnvelope(oldEnvelope, null, {
+   *   algorithms: ['aes-256-gcm', 'chacha20-poly1305'],
+   * });
+   */
+  decryptEnvelope(
+    envelope,
+    expectedType = null,
+    { aad = null, algorithms = [this.algorithm] } = {},
+  ) {
+    const { header, headerBytes, iv, authTag, encrypted } = unpackEnvelope(envelope);
+    const decrypted = this.#decryptBuffer(
+      encrypted,
+      iv,
+      authTag,
+      this.#envelopeSettings(header, headerBytes, aad, algorithms),
+    );
+
+    const { value } = this.#deserializeBuffer(decrypted, expectedType, {
+      codec: header.fmt ?? 'json',
+      deep: header.deep,
+      input: header.input,
+    });
+    return value;
+  }
+
+  /**
+   * Re-encrypts data with the active key, without deserializing it.
+   *
+   * Accepts the objects and buffers made by `encrypt()` and the envelopes made by `encryptToEnvelope()`,
+   * and returns the same kind of value. The old key is picked from the keyring, so this is the way to
+   * migrate stored data after `rotateKey()`.
+   *
+   * @param {EncryptedDataParams|string|Buffer|Uint8Array} data - Encrypted object, binary output of `encrypt()` or envelope.
+   * @param {EnvelopeOptions} [options={}] - The additional authenticated data of the data, if any. It is kept in the new ciphertext.
+   * `algorithms` lists the algorithms accepted in envelope headers (see `decryptEnvelope()`).
+   * @returns {EncryptedDataParams|string|Buffer} The data encrypted with the active key.
+   * @throws {Error} If the data can't be decrypted or its key id is not in the keyring.
+   *
+   * @example
+   * cryptoManager.rotateKey('2025-01');
+   * const migrated = cryptoManager.reencrypt(oldEncrypted);
+   */
+  reencrypt(data, { aad = null, algorithms = [this.algorithm] } = {}) {
+    const aadBytes = this.#toAad(aad);
+    if (typeof data === 'string' || this.#isBinaryEnvelope(data)) {
+      const { header, headerBytes, iv, authTag, encrypted } = unpackEnvelope(data);
+      const plain = this.#decryptBuffer(
+        encrypted,
+        iv,
+        authTag,
+        this.#envelopeSettings(header, headerBytes, aadBytes, algorithms),
+      );
+
+      const newIv = this.generateIV();
+      /** @type {import('./lib/envelope.mjs').EnvelopeHeader} */
+      const newHeader = {
+        ...header,
+        alg: this.algorithm,
+        kid: this.keyId ?? '',
+        tag: this.authTagLength,
+        iv: newIv.length,
+      };
 
-    const decipher = createDecipheriv(this.algorithm, this.key, ivBuffer, {
-      // @ts-ignore
+      const newHeaderBytes = encodeEnvelopeHeader(newHeader);
+      const result = this.#encryptBuffer(plain, newIv, {
+        aad: this.#envelopeAad(newHeaderBytes, aadBytes),
+      });
+      return packEnvelope(
+        newHeaderBytes,
+        newHeader,
+        newIv,
+        result.authTag,
+        result.encrypted,
+        typeof data === 'string' ? 'string' : 'binary',
+      );
+    }
+
+    const old = this.#readEncrypted(data);
+    const plain = this.#decryptBuffer(old.encrypted, old.iv, old.authTag, {
+      ...old.settings,
+      aad: aadBytes,
+    });
+
+    const iv = this.generateIV();
+    const { encrypted, authTag } = this.#encryptBuffer(plain, iv, { aad: aadBytes });
+    return this.#toEncryptedParams(
+      iv,
+      encrypted,
+      authTag,
+      data instanceof Uint8Array ? 'binary' : 'object',
+    );
+  }
+
+  /**
+   * Checks whether bytes are a binary envelope (they start with the envelope magic bytes).
+   *
+   * @param {*} data - The value to check.
+   * @returns {data is Uint8Array}
+   */
+  #isBinaryEnvelope(data) {
+    return (
+      data instanceof Uint8Array &&
+      data.length >= ENVELOPE_MAGIC.length &&
+      ENVELOPE_MAGIC.equals(data.subarray(0, ENVELOPE_MAGIC.length))
+    );
+  }
+
+  /**
+   * @typedef {Object} StreamOptions
+   * @property {number} [chunkSize=65536] - Amount of plaintext bytes inside each encrypted chunk.
+   */
+
+  /**
+   * Creates the frame encoder used by the encryption streams.
+   *
+   * Each chunk is encrypted with the instance key, algorithm and auth tag length. The nonce of
+   * each chunk is made from a random prefix and the chunk counter, and the counter plus the
+   * final-chunk flag are authenticated, so truncation and reordering are detected.
+   *
+   * @param {StreamOptions} [options={}] - Stream options.
+   * @param {boolean} [useBackend=false] - Whether the chunks are encrypted by the configured backend.
+   * @returns {ChunkFrameEncoder}
+   */
+  #createFrameEncoder({ chunkSize = DEFAULT_CHUNK_SIZE } = {}, useBackend = false) {
+    const ivLength = this.generateIV().length;
+    if (ivLength <= 4) throw new Error('The IV of the algorithm is too small for streaming.');
+    return new ChunkFrameEncoder({
+      chunkSize,
+      prefix: this.generateIV(ivLength - 4),
+      encryptChunk: (plain, iv, aad) =>
+        useBackend
+          ? this.#encryptBufferAsync(plain, iv, { aad })
+          : this.#encryptBuffer(plain, iv, { aad }),
+    });
+  }
+
+  /**
+   * Creates the frame decoder used by the decryption streams.
+   * @param {boolean} [useBackend=false] - Whether the chunks are decrypted by the configured backend.
+   * @returns {ChunkFrameDecoder}
+   */
+  #createFrameDecoder(useBackend = false) {
+    return new ChunkFrameDecoder({
       authTagLength: this.authTagLength,
+      decryptChunk: (encrypted, iv, authTag, aad) =>
+        useBackend
+          ? this.#decryptBufferAsync(encrypted, iv, authTag, { aad })
+          : this.#decryptBuffer(encrypted, iv, authTag, { aad }),
+    });
+  }
+
+  /**
+   * Creates a Node.js `Transform` stream that encrypts everything written into it.
+   *
+   * Unlike `encrypt()`, the data is not serialized: the raw bytes are split into chunks
+   * (64 KiB by default), and each chunk is encrypted with its own auth tag. The last chunk is
+   * marked as final, so `createDecryptStream()` rejects truncated or reordered streams.
+   *
+   * @param {StreamOptions} [options={}] - Stream options.
+   * @returns {import('stream').Transform} A transform stream that outputs the encrypted bytes.
+   *
+   * @example
+   * fs.createReadStream('backup.tar')
+   *   .pipe(cryptoManager.createEncryptStream())
+   *   .pipe(fs.createWriteStream('backup.tar.enc'));
+   */
+  createEncryptStream(options = {}) {
+    const { Transform } = getNodeRuntime('createEncryptStream()');
+    const encoder = this.#createFrameEncoder(options);
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        encoder.push(chunk).then((frames) => {
+          for (const frame of frames) this.push(frame);
+          callback();
+        }, callback);
+      },
+      flush(callback) {
+        encoder.finish().then((frames) => {
+          for (const frame of frames) this.push(frame);
+          callback();
+        }, callback);
+      },
     });
+  }
 
-    decipher.setAuthTag(authTagBuffer);
+  /**
+   * Creates a Node.js `Transform` stream that decrypts data produced by `createEncryptStream()`.
+   *
+   * Every chunk is verified before being emitted. The stream fails if a chunk was tampered with,
+   * if the chunks were reordered, or if the stream ends before the final chunk.
+   *
+   * @returns {import('stream').Transform} A transform stream that outputs the decrypted bytes.
+   *
+   * @example
+   * fs.createReadStream('backup.tar.enc')
+   *   .pipe(cryptoManager.createDecryptStream())
+   *   .pipe(fs.createWriteStream('backup.tar'));
+   */
+  createDecryptStream() {
+    const { Transform } = getNodeRuntime('createDecryptStream()');
+    const decoder = this.#createFrameDecoder();
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        decoder.push(chunk).then((chunks) => {
+          for (const plain of chunks) this.push(plain);
+          callback();
+        }, callback);
+      },
+      flush(callback) {
+        try {
+          decoder.finish();
+          callback();
+        } catch (err) {
+          callback(/** @type {Error} */ (err));
+        }
+      },
+    });
+  }
 
-    let decrypted = decipher.update(encryptedBuffer, undefined, this.inputEncoding);
-    decrypted += decipher.final(this.inputEncoding);
+  /**
+   * Creates a WHATWG `TransformStream` that encrypts everything written into it.
+   *
+   * It uses the same chunked format as `createEncryptStream()`, so data encrypted with one
+   * can be decrypted with the other. The chunks are encrypted by the configured backend (see `setBackend()`).
+   *
+   * @param {StreamOptions} [options={}] - Stream options.
+   * @returns {TransformStream<Uint8Array|string, Uint8Array>} A transform stream that outputs the encrypted bytes.
+   *
+   * @example
+   * const encrypted = file.stream().pipeThrough(cryptoManager.createEncryptWebStream());
+   */
+  createEncryptWebStream(options = {}) {
+    const encoder = this.#createFrameEncoder(options, true);
+    return new TransformStream({
+      async transform(chunk, controller) {
+        for (const frame of await encoder.push(chunk)) controller.enqueue(new Uint8Array(frame));
+      },
+      async flush(controller) {
+        for (const frame of await encoder.finish()) controller.enqueue(new Uint8Array(frame));
+      },
+    });
+  }
 
-    const { type } = this.#parser.deserialize(decrypted);
-    return typeof type === 'string' ? type : 'unknown';
+  /**
+   * Creates a WHATWG `TransformStream` that decrypts data produced by `createEncryptWebStream()`
+   * or `createEncryptStream()`. The chunks are decrypted by the configured backend.
+   *
+   * @returns {TransformStream<Uint8Array, Uint8Array>} A transform stream that outputs the decrypted bytes.
+   *
+   * @example
+   * const decrypted = response.body.pipeThrough(cryptoManager.createDecryptWebStream());
+   */
+  createDecryptWebStream() {
+    const decoder = this.#createFrameDecoder(true);
+    return new TransformStream({
+      async transform(chunk, controller) {
+        for (const plain of await decoder.push(chunk)) controller.enqueue(new Uint8Array(plain));
+      },
+      flush() {
+        decoder.finish();
+      },
+    });
   }
 
+  /**
+   * Reads a WHATWG stream into a Blob.
+   *
+   * @param {ReadableStream<Uint8Array>} stream - The stream to read.
+   * @param {string} type - The MIME type of the Blob.
+   * @returns {Promise<Blob>}
+   */
+  async #streamToBlob(stream, type) {
+    /** @type {Uint8Array[]} */
+    const parts = [];
+    const reader = stream.getReader();
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parts.push(value);
+    }
+    return new Blob(parts, { type });
+  }
+
+  /**
+   * Triggers the browser download of a Blob.
+   *
+   * @param {Blob} blob - The content of the file.
+   * @param {string} filename - The name of the downloaded file.
+   */
+  #downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Encrypts a Blob (or a browser `File`) with the chunked stream format.
+   *
+   * The result can be decrypted with `decryptBlob()`, `decryptFile()` or any decryption stream,
+   * so a file encrypted in the browser can be decrypted in Node.js.
+   *
+   * @param {Blob} blob - The Blob or File to encrypt.
+   * @param {StreamOptions} [options={}] - Stream options.
+   * @returns {Promise<Blob>} The encrypted Blob (`application/octet-stream`).
+   *
+   * @example
+   * const encrypted = await cryptoManager.encryptBlob(input.files[0]);
+   */
+  async encryptBlob(blob, options = {}) {
+    if (!(blob instanceof Blob)) throw new Error('The value to encrypt must be a Blob or File.');
+    return this.#streamToBlob(
+      blob.stream().pipeThrough(this.createEncryptWebStream(options)),
+      'application/octet-stream',
+    );
+  }
+
+  /**
+   * Decrypts a Blob made by `encryptBlob()`, `encryptFile()` or any encryption stream.
+   *
+   * @param {Blob} blob - The encrypted Blob or File.
+   * @param {Object} [options={}] - Options.
+   * @param {string} [options.type='application/octet-stream'] - The MIME type of the decrypted Blob.
+   * @returns {Promise<Blob>} The decrypted Blob.
+   * @throws {Error} If the data was tampered with or truncated.
+   */
+  async decryptBlob(blob, { type = 'application/octet-stream' } = {}) {
+    if (!(blob instanceof Blob)) throw new Error('The value to decrypt must be a Blob or File.');
+    return this.#streamToBlob(blob.stream().pipeThrough(this.createDecryptWebStream()), type);
+  }
+
+  /**
+   * Loads the Node.js file and stream functions used by `encryptFile()` and `decryptFile()`.
+   * They are imported on demand, so browser bundles don't have to resolve them.
+   *
+   * @returns {Promise<{ createReadStream: typeof import('fs').createReadStream, createWriteStream: typeof import('fs').createWriteStream, rm: typeof import('fs/promises').rm, pipeline: typeof import('stream/promises').pipeline }>}
+   */
+  async #loadNodeFileModules() {
+    const [{ createReadStream, createWriteStream }, { rm }, { pipeline }] = await Promise.all([
+      import(/* webpackIgnore: true */ 'fs'),
+      import(/* webpackIgnore: true */ 'fs/promises'),
+      import(/* webpackIgnore: true */ 'stream/promises'),
+    ]);
+    return { createReadStream, createWriteStream, rm, pipeline };
+  }
+
+  /**
+   * Encrypts a file with the chunked stream format, without loading it fully into memory.
+   *
+   * If running in Node.js, `input` and `output` are file paths.
+   * If running in a browser, `input` is a `File` or Blob, `output` is the name of the downloaded
+   * file, and the encrypted Blob is returned.
+   *
+   * @param {string|Blob} input - The file path (Node.js) or File/Blob (browser) to encrypt.
+   * @param {string} [output] - The output file path (Node.js) or download name (browser). Defaults to the input name plus `.enc`.
+   * @param {StreamOptions} [options={}] - Stream options.
+   * @returns {Promise<Blob|void>} The encrypted Blob in browsers.
+   * @throws {Error} If the file cannot be read or written.
+   *
+   * @example
+   * // In Node.js
+   * await cryptoManager.encryptFile('backup.tar', 'backup.tar.enc');
+   *
+   * // In a browser, triggers the download of 'photo.png.enc'
+   * await cryptoManager.encryptFile(input.files[0]);
+   */
+  async encryptFile(input, output, options = {}) {
+    if (isBrowser()) {
+      if (!(input instanceof Blob)) throw new Error('In browser, the file must be a File or Blob');
+      const encrypted = await this.encryptBlob(input, options);
+      const name = input instanceof File ? input.name : 'file';
+      this.#downloadBlob(encrypted, output ?? `${name}.enc`);
+      return encrypted;
+    }
+
+    if (typeof input !== 'string') throw new Error('In Node.js, the file must be a file path');
+    const outPath = output ?? `${input}.enc`;
+    if (outPath === input)
+      throw new Error('The output path must be different from the input path.');
+    const { createReadStream, createWriteStream, pipeline } = await this.#loadNodeFileModules();
+    await pipeline(
+      createReadStream(input),
+      this.createEncryptStream(options),
+      createWriteStream(outPath),
+    );
+  }
+
+  /**
+   * Decrypts a file made by `encryptFile()`, `encryptBlob()` or any encryption stream.
+   *
+   * If running in Node.js, `input` and `output` are file paths. The output file is removed if the
+   * decryption fails, so no unverified data is left on disk.
+   * If running in a browser, `input` is a `File` or Blob, `output` is the name of the downloaded
+   * file, and the decrypted Blob is returned.
+   *
+   * @param {string|Blob} input - The file path (Node.js) or File/Blob (browser) to decrypt.
+   * @param {string} [output] - The output file path (Node.js) or download name (browser). Defaults to the input name without `.enc`.
+   * @returns {Promise<Blob|void>} The decrypted Blob in browsers.
+   * @throws {Error} If the file cannot be read or written, or the data was tampered with or truncated.
+   *
+   * @example
+   * await cryptoManager.decryptFile('backup.tar.enc', 'backup.tar');
+   */
+  async decryptFile(input, output) {
+    if (isBrowser()) {
+      if (!(input instanceof Blob)) throw new Error('In browser, the file must be a File or Blob');
+      const decrypted = await this.decryptBlob(input);
+      const name = input instanceof File ? input.name : 'file.enc';
+      this.#downloadBlob(decrypted, output ?? name.replace(/\.enc$/, ''));
+      return decrypted;
+    }
+
+    if (typeof input !== 'string') throw new Error('In Node.js, the file must be a file path');
+    const outPath = output ?? input.replace(/\.enc$/, '');
+    if (outPath === input)
+      throw new Error('The output path must be different from the input path.');
+    const { createReadStream, createWriteStream, pipeline, rm } = await this.#loadNodeFileModules();
+    try {
+      await pipeline(
+        createReadStream(input),
+        this.createDecryptStream(),
+        createWriteStream(outPath),
+      );
+    } catch (err) {
+      await rm(outPath, { force: true });
+      throw err;
+    }
+  }
+
+  /**
+   * @typedef {Object} ProtectOptions
+   * @property {string|Buffer} passphrase - Passphrase used to wrap the key.
+   * @property {KdfOptions} [kdf={}] - Key derivation options of the passphrase (scrypt by default).
+   */
+
   /**
    * Saves the cryptographic key to a file.
    *
    * If running in a browser, the method generates a download link for the key as a text file.
    * If running in Node.js, the method saves the key to the specified file path.
    *
+   * The key is saved in plain text. Use `saveKeyToFileEncrypted()` to protect it with a passphrase.
+   *
    * @param {string} [filename='secret.key'] - The name of the file to save the key. Defaults to 'secret.key'.
    * @throws {Error} Throws an error if the file cannot be written in Node.js.
    *
@@ -271,16 +1503,27 @@ class TinyCrypto {
    * cryptoManager.saveKeyToFile('myKey.key');
    */
   saveKeyToFile(filename = 'secret.key') {
-    const data = this.key.toString('hex');
-    if (isBrowser()) {
-      const blob = new Blob([data], { type: 'text/plain' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      a.click();
-      URL.revokeObjectURL(url);
-    } else writeFileSync(filename, data);
+    this.#writeTextFile(filename, this.key.toString('hex'), 'text/plain');
+  }
+
+  /**
+   * Saves the cryptographic key to a file, protected by a passphrase.
+   *
+   * The file holds a JSON keystore instead of the raw hex key: the key is wrapped with a key derived
+   * from the passphrase, together with the KDF parameters, salt and a MAC.
+   * Load it with `loadKeyFromFileEncrypted()`.
+   *
+   * @param {string} filename - The name of the file to save the key.
+   * @param {ProtectOptions} options - Passphrase options.
+   * @returns {Promise<void>} A promise that resolves when the file is written.
+   * @throws {Error} Throws an error if the passphrase is empty, the KDF options are invalid or the file cannot be written.
+   *
+   * @example
+   * await cryptoManager.saveKeyToFileEncrypted('myKey.key', { passphrase: 'correct horse battery staple' });
+   */
+  async saveKeyToFileEncrypted(filename, { passphrase, kdf = {} }) {
+    const keystore = await createKeystore(this.key, passphrase, { type: 'key', kdf });
+    this.#writeTextFile(filename, JSON.stringify(keystore, null, 2), 'application/json');
   }
 
   /**
@@ -289,6 +1532,9 @@ class TinyCrypto {
    * If running in a browser, the method generates a download link for the configuration as a JSON file.
    * If running in Node.js, the method saves the configuration to the specified file path.
    *
+   * The key and keyring are saved in plain text. Use `saveConfigToFileEncrypted()` to protect them
+   * with a passphrase.
+   *
    * @param {string} [filename='crypto-config.json'] - The name of the file to save the configuration. Defaults to 'crypto-config.json'.
    * @throws {Error} Throws an error if the file cannot be written in Node.js.
    *
@@ -300,16 +1546,88 @@ class TinyCrypto {
    * cryptoManager.saveConfigToFile('myConfig.json');
    */
   saveConfigToFile(filename = 'crypto-config.json') {
-    const configData = JSON.stringify(this.exportConfig(), null, 2);
+    const config = JSON.stringify(this.exportConfig(), null, 2);
+    this.#writeTextFile(filename, config, 'application/json');
+  }
+
+  /**
+   * Saves the current cryptographic configuration to a JSON file, protected by a passphrase.
+   *
+   * The key and keyring are removed from the JSON and stored inside a `keystore` property,
+   * wrapped with a key derived from the passphrase. The other settings stay readable.
+   * Load it with `loadConfigFromFileEncrypted()`.
+   *
+   * @param {string} filename - The name of the file to save the configuration.
+   * @param {ProtectOptions} options - Passphrase options.
+   * @returns {Promise<void>} A promise that resolves when the file is written.
+   * @throws {Error} Throws an error if the passphrase is empty, the KDF options are invalid or the file cannot be written.
+   *
+   * @example
+   * await cryptoManager.saveConfigToFileEncrypted('myConfig.json', { passphrase: 'correct horse battery staple' });
+   */
+  async saveConfigToFileEncrypted(filename, { passphrase, kdf = {} }) {
+    const { key, keyring, ...settings } = this.exportConfig();
+    const secrets = Buffer.from(JSON.stringify({ key, keyring }), 'utf8');
+    const keystore = await createKeystore(secrets, passphrase, { type: 'config', kdf });
+    this.#writeTextFile(
+      filename,
+      JSON.stringify({ ...settings, keystore }, null, 2),
+      'application/json',
+    );
+  }
+
+  /**
+   * Writes a text file: a download in the browser, or a file path in Node.js.
+   *
+   * @param {string} filename - The file name or path.
+   * @param {string} data - The file content.
+   * @param {string} type - The MIME type of the download.
+   * @throws {Error} If the file cannot be written in Node.js.
+   */
+  #writeTextFile(filename, data, type) {
+    if (isBrowser()) this.#downloadBlob(new Blob([data], { type }), filename);
+    else getNodeRuntime('Writing files').writeFileSync(filename, data);
+  }
+
+  /**
+   * Reads a text file.
+   *
+   * @param {File|string} file - A `File` object in the browser, or a file path in Node.js.
+   * @returns {Promise<string>} The file content.
+   * @throws {Error} If the file cannot be read.
+   */
+  #readTextFile(file) {
     if (isBrowser()) {
-      const blob = new Blob([configData], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      a.click();
-      URL.revokeObjectURL(url);
-    } else writeFileSync(filename, configData);
+      return new Promise((resolve, reject) => {
+        if (!(file instanceof File))
+          return reject(new Error('In browser, the file must be a File object'));
+        const reader = new FileReader();
+        reader.onload = () => resolve(typeof reader.result === 'string' ? reader.result : '');
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+      });
+    }
+    const { readFileSync } = getNodeRuntime('Reading files');
+    return Promise.resolve(readFileSync(/** @type {string} */ (file), 'utf8'));
+  }
+
+  /**
+   * Reads a configuration file.
+   *
+   * @param {File|string} file - A `File` object in the browser, or a file path in Node.js.
+   * @returns {Promise<Record<string, any>>} The parsed configuration.
+   * @throws {Error} If the file cannot be read or is not valid JSON.
+   */
+  async #readConfigFile(file) {
+    const raw = await this.#readTextFile(file);
+    let config;
+    try {
+      config = JSON.parse(raw);
+    } catch {
+      throw new Error('Invalid config JSON file');
+    }
+    if (typeof config !== 'object' || config === null) throw new Error('Invalid config JSON file');
+    return config;
   }
 
   /**
@@ -319,9 +1637,13 @@ class TinyCrypto {
    * parses the JSON, and imports the configuration.
    * If running in Node.js, the method reads the file synchronously and imports the configuration.
    *
+   * Configurations saved with `saveConfigToFileEncrypted()` must be loaded with
+   * `loadConfigFromFileEncrypted()`.
+   *
    * @param {File|string} file - The file to load the configuration from. In the browser, this is a `File` object, and in Node.js, it's a file path.
    * @returns {Promise<void>} A promise that resolves when the configuration is successfully loaded and imported.
    * @throws {Error} Throws an error if the JSON file is invalid or the file cannot be read.
+   * @throws {Error} Throws an error if the configuration is protected by a passphrase.
    *
    * @example
    * // In a browser, prompt user to select a file and load the configuration
@@ -335,27 +1657,39 @@ class TinyCrypto {
    *   .catch(err => console.error('Error loading config:', err));
    */
   async loadConfigFromFile(file) {
-    if (isBrowser()) {
-      return new Promise((resolve, reject) => {
-        if (!(file instanceof File))
-          return reject(new Error('In browser, the file must be a File object'));
-        const reader = new FileReader();
-        reader.onload = () => {
-          try {
-            const config = typeof reader.result === 'string' ? JSON.parse(reader.result) : {};
-            resolve(this.importConfig(config));
-          } catch (err) {
-            reject(new Error('Invalid config JSON file'));
-          }
-        };
-        reader.onerror = () => reject(reader.error);
-        reader.readAsText(file);
-      });
-    } else {
-      const raw = readFileSync(/** @type {string} */ (file), 'utf8');
-      const config = JSON.parse(raw);
-      return this.importConfig(config);
-    }
+    const config = await this.#readConfigFile(file);
+    if (isKeystore(config.keystore))
+      throw new Error(
+        'The config file is protected by a passphrase. Use loadConfigFromFileEncrypted().',
+      );
+    return this.importConfig(/** @type {any} */ (config));
+  }
+
+  /**
+   * Loads and imports a cryptographic configuration saved with `saveConfigToFileEncrypted()`.
+   *
+   * The key and keyring are unwrapped with the passphrase used to save them.
+   *
+   * @param {File|string} file - The file to load the configuration from. In the browser, this is a `File` object, and in Node.js, it's a file path.
+   * @param {Object} options - Options.
+   * @param {string|Buffer} options.passphrase - Passphrase of the configuration.
+   * @returns {Promise<void>} A promise that resolves when the configuration is successfully loaded and imported.
+   * @throws {Error} Throws an error if the JSON file is invalid or the file cannot be read.
+   * @throws {Error} Throws an error if the configuration is not protected or the passphrase is wrong.
+   *
+   * @example
+   * await cryptoManager.loadConfigFromFileEncrypted('myConfig.json', {
+   *   passphrase: 'correct horse battery staple',
+   * });
+   */
+  async loadConfigFromFileEncrypted(file, { passphrase }) {
+    const { keystore, ...settings } = await this.#readConfigFile(file);
+    if (!isKeystore(keystore))
+      throw new Error(
+        'The config file is not protected by a passphrase. Use loadConfigFromFile().',
+      );
+    const secrets = await openKeystore(keystore, passphrase, 'config');
+    return this.importConfig({ ...settings, ...JSON.parse(secrets.toString('utf8')) });
   }
 
   /**
@@ -366,9 +1700,13 @@ class TinyCrypto {
    * If running in Node.js, the method reads the file synchronously, parses the hexadecimal key,
    * and loads it into the current instance.
    *
+   * Key files saved with `saveKeyToFileEncrypted()` must be loaded with `loadKeyFromFileEncrypted()`.
+   * Like `setKey()`, the loaded key has no key id, and the previous key stays in the keyring.
+   *
    * @param {File|string} file - The file to load the key from. In the browser, this is a `File` object, and in Node.js, it's a file path.
    * @returns {Promise<Buffer>} A promise that resolves with the key as a `Buffer` when the file is successfully loaded.
    * @throws {Error} Throws an error if the file cannot be read or if the key is invalid.
+   * @throws {Error} Throws an error if the key file is protected by a passphrase.
    *
    * @example
    * // In a browser, prompt user to select a file and load the key
@@ -382,28 +1720,61 @@ class TinyCrypto {
    *   .catch(err => console.error('Error loading key:', err));
    */
   async loadKeyFromFile(file) {
-    if (isBrowser()) {
-      return new Promise((resolve, reject) => {
-        if (!(file instanceof File))
-          return reject(new Error('In browser, the file must be a File object'));
-        const reader = new FileReader();
-        reader.onload = () => {
-          const hexKey = typeof reader.result === 'string' ? reader.result.trim() : '';
-          const keyBuffer = Buffer.from(hexKey, 'hex');
-          this.key = keyBuffer;
-          resolve(keyBuffer);
-        };
-        reader.onerror = () => reject(reader.error);
-        reader.readAsText(file);
-      });
-    } else {
-      const hexKey = readFileSync(/** @type {string} */ (file), 'utf8');
-      const keyBuffer = Buffer.from(hexKey, 'hex');
-      this.key = keyBuffer;
-      return keyBuffer;
+    const raw = (await this.#readTextFile(file)).trim();
+    if (raw.startsWith('{'))
+      throw new Error('The key file is protected by a passphrase. Use loadKeyFromFileEncrypted().');
+    const keyBuffer = Buffer.from(raw, 'hex');
+    this.#setKeyWithoutId(keyBuffer);
+    return keyBuffer;
+  }
+
+  /**
+   * Loads a cryptographic key saved with `saveKeyToFileEncrypted()` and sets it for encryption/decryption.
+   *
+   * The key is unwrapped with the passphrase used to save it. Like `setKey()`, the loaded key has
+   * no key id, and the previous key stays in the keyring.
+   *
+   * @param {File|string} file - The file to load the key from. In the browser, this is a `File` object, and in Node.js, it's a file path.
+   * @param {Object} options - Options.
+   * @param {string|Buffer} options.passphrase - Passphrase of the key file.
+   * @returns {Promise<Buffer>} A promise that resolves with the key as a `Buffer` when the file is successfully loaded.
+   * @throws {Error} Throws an error if the file cannot be read or is not a protected key file.
+   * @throws {Error} Throws an error if the passphrase is wrong.
+   *
+   * @example
+   * const key = await cryptoManager.loadKeyFromFileEncrypted('myKey.key', {
+   *   passphrase: 'correct horse battery staple',
+   * });
+   */
+  async loadKeyFromFileEncrypted(file, { passphrase }) {
+    const raw = (await this.#readTextFile(file)).trim();
+    if (!raw.startsWith('{'))
+      throw new Error('The key file is not protected by a passphrase. Use loadKeyFromFile().');
+    let keystore;
+    try {
+      keystore = JSON.parse(raw);
+    } catch {
+      throw new Error('Invalid key file.');
     }
+    const keyBuffer = await openKeystore(keystore, passphrase, 'key');
+    this.#setKeyWithoutId(keyBuffer);
+    return keyBuffer;
   }
 
+  /**
+   * @typedef {Object} ExportedConfig
+   * @property {string} algorithm - The encryption algorithm.
+   * @property {BufferEncoding} outputEncoding - The output encoding format.
+   * @property {BufferEncoding} inputEncoding - The input encoding format.
+   * @property {OutputMode} outputMode - What `encrypt()` returns.
+   * @property {Codec} codec - How values are serialized before encryption.
+   * @property {string} [key] - The cryptographic key in hexadecimal format (omitted when `includeKey` is false).
+   * @property {number} authTagLength - The authentication tag length.
+   * @property {KdfParams} [kdf] - The parameters used to derive the key from a password, if any.
+   * @property {string} [keyId] - The id of the key, if any.
+   * @property {Record<string, string>} [keyring] - Every key of the keyring (key id → hex key). Omitted when `includeKey` is false or the keyring is empty.
+   */
+
   /**
    * Exports the current cryptographic configuration as a JSON object.
    *
@@ -411,7 +1782,13 @@ class TinyCrypto {
    * input encoding format, the cryptographic key (in hexadecimal format), and the authentication tag length.
    * This method does not include any sensitive data like the raw key, only its hexadecimal representation.
    *
-   * @returns {{algorithm: string, outputEncoding: BufferEncoding, inputEncoding: BufferEncoding, key: string, authTagLength: number }} The exported configuration as a plain JavaScript object.
+   * When the key was derived with `deriveKeyFromPassword()`, the KDF parameters (including the salt) are
+   * exported as `kdf`. Pass `{ includeKey: false }` to leave the key out, so it can only be rebuilt with the password.
+   * The keys of the keyring are exported as `keyring`, and `keyId` marks the active key.
+   *
+   * @param {Object} [options={}] - Export options.
+   * @param {boolean} [options.includeKey=true] - Whether the key is included in the export.
+   * @returns {ExportedConfig} The exported configuration as a plain JavaScript object.
    * @example
    * const config = cryptoManager.exportConfig();
    * console.log(config);
@@ -420,18 +1797,31 @@ class TinyCrypto {
    * //   algorithm: 'aes-256-gcm',
    * //   outputEncoding: 'hex',
    * //   inputEncoding: 'utf8',
+   * //   outputMode: 'object',
+   * //   codec: 'json',
    * //   key: 'abcdef1234567890...',
    * //   authTagLength: 16
    * // }
    */
-  exportConfig() {
-    return {
+  exportConfig({ includeKey = true } = {}) {
+    /** @type {ExportedConfig} */
+    const config = {
       algorithm: this.algorithm,
       outputEncoding: this.outputEncoding,
       inputEncoding: this.inputEncoding,
-      key: this.key.toString('hex'),
+      outputMode: this.outputMode,
+      codec: this.codec,
       authTagLength: this.authTagLength,
     };
+    if (includeKey) config.key = this.key.toString('hex');
+    if (this.kdf) config.kdf = { ...this.kdf };
+    if (this.keyId !== null) config.keyId = this.keyId;
+    if (includeKey && this.getKeyIds().length > 0) {
+      config.keyring = {};
+      for (const keyId of this.getKeyIds())
+        config.keyring[keyId] = this.#getKeyById(keyId).toString('hex');
+    }
+    return config;
   }
 
   /**
@@ -446,9 +1836,17 @@ class TinyCrypto {
    * @param {BufferEncoding} config.outputEncoding - The output encoding format (e.g., 'hex').
    * @param {BufferEncoding} config.inputEncoding - The input encoding format (e.g., 'utf8').
    * @param {number} config.authTagLength - The authentication tag length (e.g., 16).
-   * @param {string} config.key - The cryptographic key in hexadecimal string format.
+   * @param {OutputMode} [config.outputMode] - What `encrypt()` returns ('object' or 'binary').
+   * @param {Codec} [config.codec] - How values are serialized before encryption ('json' or 'binary').
+   * @param {string} [config.key] - The cryptographic key in hexadecimal string format.
+   * @param {KdfParams} [config.kdf] - The KDF parameters used to rebuild the key with `deriveKeyFromPassword()`.
+   * @param {string|null} [config.keyId] - The id of the active key.
+   * @param {Record<string, string>} [config.keyring] - Keys of the keyring (key id → hex key). It replaces the current keyring.
+   * When `key` is omitted, the active key is taken from the keyring using `keyId`.
    *
    * @throws {Error} If any required property is missing or has an invalid type.
+   * @throws {Error} If the algorithm is not supported or the auth tag length doesn't fit it.
+   * The instance is only updated when the whole config is valid.
    * @example
    * const config = {
    *   algorithm: 'aes-256-gcm',
@@ -460,25 +1858,82 @@ class TinyCrypto {
    * cryptoManager.importConfig(config);
    */
   importConfig(config) {
-    if (typeof config.algorithm === 'string') this.algorithm = config.algorithm;
-    else if (typeof config.algorithm !== 'undefined')
+    // Everything is validated first, so an invalid config leaves the instance unchanged
+    let { algorithm, outputEncoding, inputEncoding, outputMode, codec, authTagLength } = this;
+    let { keyId, key, kdf } = this;
+    let keyring = this.#keyring;
+
+    if (typeof config.algorithm === 'string') {
+      getAlgorithm(config.algorithm);
+      algorithm = config.algorithm;
+    } else if (typeof config.algorithm !== 'undefined')
       throw new Error('Invalid or missing "algorithm" property. Expected a string.');
 
-    if (typeof config.outputEncoding === 'string') this.outputEncoding = config.outputEncoding;
+    if (typeof config.outputEncoding === 'string') outputEncoding = config.outputEncoding;
     else if (typeof config.outputEncoding !== 'undefined')
       throw new Error('Invalid or missing "outputEncoding" property. Expected a string.');
 
-    if (typeof config.inputEncoding === 'string') this.inputEncoding = config.inputEncoding;
+    if (typeof config.inputEncoding === 'string') inputEncoding = config.inputEncoding;
     else if (typeof config.inputEncoding !== 'undefined')
       throw new Error('Invalid or missing "inputEncoding" property. Expected a string.');
 
-    if (typeof config.authTagLength === 'number') this.authTagLength = config.authTagLength;
+    if (typeof config.outputMode !== 'undefined') {
+      this.#checkOutputMode(config.outputMode);
+      outputMode = config.outputMode;
+    }
+    if (typeof config.codec !== 'undefined') {
+      this.#checkCodec(config.codec);
+      codec = config.codec;
+    }
+
+    if (typeof config.authTagLength === 'number') authTagLength = config.authTagLength;
     else if (typeof config.authTagLength !== 'undefined')
       throw new Error('Invalid or missing "authTagLength" property. Expected a number.');
+    checkAuthTagLength(algorithm, authTagLength);
+
+    if (typeof config.keyring === 'object' && config.keyring !== null) {
+      keyring = new Map();
+      for (const [id, hex] of Object.entries(config.keyring)) {
+        if (typeof hex !== 'string' || !/^([a-fA-F0-9]{2})+$/.test(hex))
+          throw new Error(`Invalid "keyring" property. The key "${id}" must be a hex string.`);
+        keyring.set(id, Buffer.from(hex, 'hex'));
+      }
+    } else if (typeof config.keyring !== 'undefined')
+      throw new Error('Invalid "keyring" property. Expected an object.');
 
-    if (typeof config.key === 'string') this.key = Buffer.from(config.key, 'hex');
-    else if (typeof config.key !== 'undefined')
+    if (typeof config.keyId === 'string' || config.keyId === null) {
+      keyId = config.keyId;
+      const activeKey = keyId !== null ? keyring.get(keyId) : undefined;
+      if (activeKey && typeof config.key === 'undefined') {
+        key = activeKey;
+        kdf = null;
+      }
+    } else if (typeof config.keyId !== 'undefined')
+      throw new Error('Invalid "keyId" property. Expected a string or null.');
+
+    if (typeof config.kdf === 'object' && config.kdf !== null) {
+      if (typeof config.kdf.salt !== 'string')
+        throw new Error('Invalid "kdf" property. The salt is required to rebuild the key.');
+      kdf = this.#normalizeKdf(config.kdf, algorithm);
+    } else if (typeof config.kdf !== 'undefined')
+      throw new Error('Invalid "kdf" property. Expected an object.');
+
+    if (typeof config.key === 'string') {
+      key = Buffer.from(config.key, 'hex');
+      if (typeof config.kdf === 'undefined') kdf = null;
+    } else if (typeof config.key !== 'undefined')
       throw new Error('Invalid or missing "key" property. Expected a hexadecimal string.');
+
+    this.algorithm = algorithm;
+    this.outputEncoding = outputEncoding;
+    this.inputEncoding = inputEncoding;
+    this.outputMode = outputMode;
+    this.codec = codec;
+    this.authTagLength = authTagLength;
+    this.#keyring = keyring;
+    this.keyId = keyId;
+    this.key = key;
+    this.kdf = kdf;
   }
 }
 
@@ -1,10 +1,15 @@
 import { TinyPromiseQueue } from 'tiny-essentials';
 import { EventEmitter } from 'events';
+import { Buffer } from 'buffer';
 
 import TinyCryptoParser from '../lib/TinyCryptoParser.mjs';
 import tinyOlm from './TinyOlmModule.mjs';
 import TinyOlmEvents from './TinyOlmEvents.mjs';
 
+/** @typedef {import('../lib/TinyCryptoParser.mjs').ValueSchema} ValueSchema */
+/** @typedef {import('../lib/TinyCryptoParser.mjs').ClassOptions} ClassOptions */
+/** @typedef {import('../lib/TinyCryptoParser.mjs').SafeModeOptions} SafeModeOptions */
+
 /**
  * TinyOlm instance is a lightweight wrapper for handling encryption sessions using the Olm cryptographic library.
  *
@@ -282,6 +287,35 @@ class TinyOlmInstance {
     return this.#parser.addValueType(typeName, getFunction, convertFunction);
   }
 
+  /**
+   * Registers a class, so its instances are serialized with their class tag and
+   * restored with their prototype. See `TinyCryptoParser.registerClass()`.
+   * @param {Function} Class - The class.
+   * @param {ClassOptions} [options] - The class name, `toJSON` and `fromJSON`.
+   */
+  registerClass(Class, options) {
+    return this.#parser.registerClass(Class, options);
+  }
+
+  /**
+   * Enables or disables the safe mode of the parser, which blocks dangerous types and limits
+   * the nesting depth, string length and collection size of decoded data.
+   * See `TinyCryptoParser.setSafeMode()`.
+   * @param {boolean|SafeModeOptions} options - `true` for the defaults, `false` to disable, or the options.
+   * @throws {Error} If an option is invalid.
+   */
+  setSafeMode(options) {
+    return this.#parser.setSafeMode(options);
+  }
+
+  /**
+   * Returns the current safe mode options, or `null` when the safe mode is off.
+   * @returns {Required<SafeModeOptions>|null}
+   */
+  getSafeMode() {
+    return this.#parser.getSafeMode();
+  }
+
   /**
    * Indicates whether the serialization or deserialization should be performed deeply.
    * @type {boolean}
@@ -302,6 +336,26 @@ class TinyOlmInstance {
     this.isDeep = value;
   }
 
+  /**
+   * How values are serialized before encryption: the JSON format of `TinyCryptoParser` ('json'),
+   * or its compact binary format ('binary'), sent as base64 because Olm messages are strings.
+   * @type {'json'|'binary'}
+   */
+  codec = 'json';
+
+  /**
+   * Sets how values are serialized before encryption.
+   * Both sides of a conversation must use the same codec.
+   *
+   * @param {'json'|'binary'} codec - The codec.
+   * @throws {Error} Throws if the codec is invalid.
+   */
+  setCodec(codec) {
+    if (codec !== 'json' && codec !== 'binary')
+      throw new Error('Invalid codec. Expected "json" or "binary".');
+    this.codec = codec;
+  }
+
   /**
    * Checks if the current environment is a browser with IndexedDB support.
    * @throws {Error} If not running in a browser or if IndexedDB is unavailable.
@@ -1435,16 +1489,19 @@ class TinyOlmInstance {
    * @throws {Error}
    */
   #encrypt(data) {
+    if (this.codec === 'binary') return this.#parser.serializeBinary(data).toString('base64');
     return this.isDeep ? this.#parser.serializeDeep(data) : this.#parser.serialize(data);
   }
 
   /**
    * @param {string} decrypted
-   * @param {string|null} [expectedType=null]
+   * @param {ValueSchema|null} [expectedType=null]
    * @returns {*}
    * @throws {Error}
    */
   #decrypt(decrypted, expectedType = null) {
+    if (this.codec === 'binary')
+      return this.#parser.deserializeBinary(Buffer.from(decrypted, 'base64'), expectedType).value;
     const { value } = this.isDeep
       ? this.#parser.deserializeDeep(decrypted, expectedType)
       : this.#parser.deserialize(decrypted, expectedType);
@@ -1507,7 +1564,7 @@ class TinyOlmInstance {
    * @param {string} roomId
    * @param {string} userId
    * @param {EncryptedData} encryptedMessage
-   * @param {string|null} [expectedType=null]
+   * @param {ValueSchema|null} [expectedType=null]
    * @returns {DecryptedGroupContent}
    * @throws {Error}
    */
@@ -1569,7 +1626,7 @@ class TinyOlmInstance {
    * @param {string} fromUsername - The userId of the sender.
    * @param {number} messageType - The type of the message (0: pre-key, 1: message).
    * @param {string} plaintext - The decrypted content to decrypt.
-   * @param {string|null} [expectedType=null] - Optionally specify the expected type of the decrypted data. If provided, the method will validate the type of the deserialized value.
+   * @param {ValueSchema|null} [expectedType=null] - Optionally specify the expected type of the decrypted data, or a schema of its nested shape. If provided, the method will validate the type of the deserialized value.
    * @returns {*} The decrypted plaintext message.
    * @throws {Error} Throws an error if no session exists with the given userId.
    */
@@ -1621,7 +1678,7 @@ class TinyOlmInstance {
    * @param {string} roomId
    * @param {string} userId
    * @param {EncryptedData} encryptedMessage
-   * @param {string|null} [expectedType=null] - Optionally specify the expected type of the decrypted data. If provided, the method will validate the type of the deserialized value.
+   * @param {ValueSchema|null} [expectedType=null] - Optionally specify the expected type of the decrypted data, or a schema of its nested shape. If provided, the method will validate the type of the deserialized value.
    * @returns {DecryptedGroupContent}
    * @throws {Error} If no inbound session exists for the given room and userId.
    */
@@ -1717,7 +1774,7 @@ class TinyOlmInstance {
    * @param {string} fromUsername - The userId of the sender.
    * @param {number} messageType - The type of the message (0: pre-key, 1: message).
    * @param {string} plaintext - The decrypted content to decrypt.
-   * @param {string|null} [expectedType=null] - Optionally specify the expected type of the decrypted data. If provided, the method will validate the type of the deserialized value.
+   * @param {ValueSchema|null} [expectedType=null] - Optionally specify the expected type of the decrypted data, or a schema of its nested shape. If provided, the method will validate the type of the deserialized value.
    * @returns {Promise<*>} The decrypted plaintext message.
    * @throws {Error} Throws an error if no session exists with the given userId.
    */
@@ -1822,7 +1879,7 @@ class TinyOlmInstance {
    * @param {string} roomId
    * @param {string} userId
    * @param {EncryptedData} encryptedMessage
-   * @param {string|null} [expectedType=null] - Optionally specify the expected type of the decrypted data. If provided, the method will validate the type of the deserialized value.
+   * @param {ValueSchema|null} [expectedType=null] - Optionally specify the expected type of the decrypted data, or a schema of its nested shape. If provided, the method will validate the type of the deserialized value.
    * @returns {Promise<DecryptedGroupContent>}
    * @throws {Error} If no inbound session exists for the given room and userId.
    */
@@ -1,3 +1,4 @@
+import '../lib/registerNodeRuntime.mjs';
 import TinyCertCrypto from '../TinyCertCrypto.mjs';
 
 export { TinyCertCrypto };
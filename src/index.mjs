@@ -1,3 +1,4 @@
+import './lib/registerNodeRuntime.mjs';
 import TinyCrypto from './TinyCrypto.mjs';
 import TinyCertCrypto from './TinyCertCrypto.mjs';
 import TinyCryptoParser from './lib/TinyCryptoParser.mjs';
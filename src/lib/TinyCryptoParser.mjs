@@ -1,11 +1,389 @@
 import { Buffer } from 'buffer';
-import { objType } from 'tiny-essentials';
+import { objType } from 'tiny-essentials/basics';
+
+import { BinaryReader, BinaryWriter, EXT_TYPES } from './binaryCodec.mjs';
+
+/**
+ * TypedArray classes supported by the parser, by type name.
+ * @type {Record<string, new (buffer: ArrayBuffer) => ArrayBufferView>}
+ */
+const TYPED_ARRAYS = {
+  int8array: Int8Array,
+  uint8array: Uint8Array,
+  uint8clampedarray: Uint8ClampedArray,
+  int16array: Int16Array,
+  uint16array: Uint16Array,
+  int32array: Int32Array,
+  uint32array: Uint32Array,
+  float32array: Float32Array,
+  float64array: Float64Array,
+  bigint64array: BigInt64Array,
+  biguint64array: BigUint64Array,
+};
+
+/**
+ * Standard Error classes supported by the parser, from the most specific to `Error`.
+ * @type {Record<string, ErrorConstructor|AggregateErrorConstructor>}
+ */
+const ERROR_CLASSES = {
+  AggregateError,
+  EvalError,
+  RangeError,
+  ReferenceError,
+  SyntaxError,
+  TypeError,
+  URIError,
+  Error,
+};
+
+/** Error properties that are stored on their own, and not as extra properties. */
+const ERROR_FIELDS = ['name', 'message', 'stack', 'cause', 'errors'];
+
+/**
+ * Defines a non-enumerable property, like the native `stack` and `cause` of errors.
+ *
+ * @param {object} target
+ * @param {string} key
+ * @param {*} value
+ */
+const defineHidden = (target, key, value) =>
+  Object.defineProperty(target, key, {
+    value,
+    writable: true,
+    enumerable: false,
+    configurable: true,
+  });
+
+/**
+ * Reads the fields of an error kept by the parser: its standard class, `name`, `message`, `stack`,
+ * `cause`, the `errors` of an `AggregateError` and its own enumerable properties.
+ *
+ * @param {Error & Record<string, any>} error - The error.
+ * @param {(value: any) => any} mapChild - Converts the nested values (cause, errors and properties).
+ * @returns {Record<string, any>} The error fields.
+ */
+const errorToFields = (error, mapChild) => {
+  /** @type {Record<string, any>} */
+  const fields = {
+    type: Object.keys(ERROR_CLASSES).find((name) => error instanceof ERROR_CLASSES[name]),
+    name: error.name,
+    message: error.message,
+  };
+  if (typeof error.stack === 'string') fields.stack = error.stack;
+  if ('cause' in error) fields.cause = mapChild(error.cause);
+  if (error instanceof AggregateError) fields.errors = error.errors.map(mapChild);
+
+  const keys = Object.keys(error).filter((key) => !ERROR_FIELDS.includes(key));
+  if (keys.length > 0) {
+    fields.props = {};
+    for (const key of keys) fields.props[key] = mapChild(error[key]);
+  }
+  return fields;
+};
+
+/**
+ * Rebuilds an error from the fields made by {@link errorToFields}.
+ *
+ * @param {Record<string, any>} fields - The error fields.
+ * @param {(value: any) => any} mapChild - Restores the nested values (cause, errors and properties).
+ * @returns {Error} The error, with its original standard class.
+ */
+const fieldsToError = (fields, mapChild) => {
+  const ErrorClass = Object.hasOwn(ERROR_CLASSES, fields.type) ? ERROR_CLASSES[fields.type] : Error;
+  /** @type {Error & Record<string, any>} */
+  const error =
+    ErrorClass === AggregateError
+      ? new AggregateError((fields.errors ?? []).map(mapChild), fields.message)
+      : new /** @type {ErrorConstructor} */ (ErrorClass)(fields.message);
+
+  if (fields.name !== error.name) defineHidden(error, 'name', fields.name);
+  if (typeof fields.stack === 'string') defineHidden(error, 'stack', fields.stack);
+  else delete error.stack;
+  if ('cause' in fields) defineHidden(error, 'cause', mapChild(fields.cause));
+  for (const key in fields.props) error[key] = mapChild(fields.props[key]);
+  return error;
+};
+
+/**
+ * Copies base64 bytes into a new, unshared ArrayBuffer.
+ *
+ * @param {string} value - The base64 string.
+ * @returns {ArrayBuffer}
+ */
+const base64ToArrayBuffer = (value) => {
+  const bytes = Buffer.from(value, 'base64');
+  const result = new ArrayBuffer(bytes.length);
+  new Uint8Array(result).set(bytes);
+  return result;
+};
+
+/**
+ * Encodes the bytes seen by a view (or a whole ArrayBuffer) as base64.
+ *
+ * @param {ArrayBufferView|ArrayBuffer} data
+ * @returns {string}
+ */
+const toBase64 = (data) =>
+  data instanceof ArrayBuffer
+    ? Buffer.from(data).toString('base64')
+    : Buffer.from(data.buffer, data.byteOffset, data.byteLength).toString('base64');
+
+/**
+ * The metadata of a Blob or File, stored next to its bytes.
+ *
+ * @typedef {Object} BlobFields
+ * @property {string} type - The MIME type.
+ * @property {string} [name] - The file name (File only).
+ * @property {number} [lastModified] - The last modification time in milliseconds (File only).
+ */
+
+/**
+ * Rebuilds a Blob, or a File when the fields have a name.
+ *
+ * @param {ArrayBuffer} bytes - The content.
+ * @param {BlobFields} fields - The metadata.
+ * @returns {Blob|File}
+ * @throws {Error} If the environment has no Blob or File API.
+ */
+const toBlob = (bytes, { type, name, lastModified }) => {
+  if (typeof name === 'string') {
+    if (typeof File === 'undefined')
+      throw new Error('File deserialization is not supported in this environment.');
+    return new File([bytes], name, { type, lastModified });
+  }
+  if (typeof Blob === 'undefined')
+    throw new Error('Blob deserialization is not supported in this environment.');
+  return new Blob([bytes], { type });
+};
+
+/**
+ * Describes the expected shape of a deserialized value. A type name or a list of type names
+ * is a shorthand for `{ type }`.
+ *
+ * @typedef {string|string[]|SchemaObject} ValueSchema
+ */
+
+/**
+ * @typedef {Object} SchemaObject
+ * @property {string|string[]} [type] - Accepted type names, as returned by the parser (e.g. `'date'`, `'map'`, `'null'`).
+ * Omit it or use `'any'` to accept any type.
+ * @property {boolean} [optional=false] - Whether the value may be missing (`undefined`).
+ * @property {Record<string, ValueSchema>} [properties] - Schemas of the object keys. Keys that are not listed are allowed.
+ * @property {ValueSchema} [items] - Schema of every array or Set item.
+ * @property {ValueSchema} [keys] - Schema of every Map key.
+ * @property {ValueSchema} [values] - Schema of every Map value.
+ */
+
+/**
+ * Options of `registerClass()`.
+ *
+ * @typedef {Object} ClassOptions
+ * @property {string} [name=Class.name] - The type name (class tag) stored in the serialized data.
+ * @property {(instance: any) => Record<string, any>} [toJSON] - Returns the fields to store.
+ * Defaults to the own enumerable properties of the instance.
+ * @property {(fields: Record<string, any>) => any} [fromJSON] - Rebuilds an instance from its fields.
+ * Defaults to an object with the class prototype and the fields, without calling the constructor.
+ */
+
+/**
+ * A class added with `registerClass()`.
+ *
+ * @typedef {Object} RegisteredClass
+ * @property {Function} Class - The class.
+ * @property {(instance: any) => Record<string, any>} toJSON - Returns the fields to store.
+ * @property {((fields: Record<string, any>) => any)|null} fromJSON - The custom rebuild function, if any.
+ */
+
+/**
+ * Options of `serializeDeep()` and `serializeBinary()`.
+ *
+ * @typedef {Object} SerializeOptions
+ * @property {boolean} [canonical=false] - Makes the output deterministic: the same content always
+ * gives the same bytes, whatever the key or insertion order.
+ */
+
+/**
+ * Options of the safe mode, which restricts what can be decoded from untrusted data.
+ *
+ * @typedef {Object} SafeModeOptions
+ * @property {string[]|null} [allowTypes=null] - If set, only these types can be decoded. Plain types
+ * (`'object'`, `'array'`, `'string'`, `'number'`...) must be listed too.
+ * @property {string[]} [denyTypes=['htmlElement', 'regexp']] - Types that can't be decoded.
+ * @property {number} [maxDepth=100] - Maximum nesting depth of objects, arrays, Maps, Sets, errors and class instances.
+ * @property {number} [maxStringLength=16777216] - Maximum length of a string, or of the bytes of a binary value in the binary format.
+ * @property {number} [maxCollectionSize=1000000] - Maximum number of items of an array, object, Map or Set.
+ */
+
+/**
+ * The safe mode options, as used by the parser.
+ *
+ * @typedef {Object} SafeModeState
+ * @property {Set<string>|null} allowTypes
+ * @property {Set<string>} denyTypes
+ * @property {number} maxDepth
+ * @property {number} maxStringLength
+ * @property {number} maxCollectionSize
+ */
+
+/**
+ * Default options of the safe mode. `htmlElement` writes `innerHTML`, and `regexp` builds
+ * a pattern that may take exponential time to match (ReDoS).
+ * @type {Readonly<Required<SafeModeOptions>>}
+ */
+export const SAFE_MODE_DEFAULTS = Object.freeze({
+  allowTypes: null,
+  denyTypes: ['htmlElement', 'regexp'],
+  maxDepth: 100,
+  maxStringLength: 16 * 1024 * 1024,
+  maxCollectionSize: 1000000,
+});
+
+/**
+ * Maximum nesting depth of the values given to `serializeDeep()` and `serializeBinary()`, and of
+ * the values read by `deserializeDeep()` and `deserializeBinary()`.
+ * Deeper values would overflow the call stack.
+ * @type {number}
+ */
+export const MAX_SERIALIZE_DEPTH = 1000;
+
+/**
+ * Validates safe mode options, filling the missing ones with {@link SAFE_MODE_DEFAULTS}.
+ *
+ * @param {SafeModeOptions} options
+ * @returns {SafeModeState}
+ * @throws {Error} If an option is invalid.
+ */
+const normalizeSafeMode = ({
+  allowTypes = SAFE_MODE_DEFAULTS.allowTypes,
+  denyTypes = SAFE_MODE_DEFAULTS.denyTypes,
+  maxDepth = SAFE_MODE_DEFAULTS.maxDepth,
+  maxStringLength = SAFE_MODE_DEFAULTS.maxStringLength,
+  maxCollectionSize = SAFE_MODE_DEFAULTS.maxCollectionSize,
+}) => {
+  /** @param {any} list */
+  const isTypeList = (list) =>
+    Array.isArray(list) && list.every((item) => typeof item === 'string');
+  if (allowTypes !== null && !isTypeList(allowTypes))
+    throw new Error('allowTypes must be an array of type names or null.');
+  if (!isTypeList(denyTypes)) throw new Error('denyTypes must be an array of type names.');
+
+  for (const [name, limit] of Object.entries({ maxDepth, maxStringLength, maxCollectionSize }))
+    if (limit !== Infinity && (!Number.isSafeInteger(limit) || limit < 1))
+      throw new Error(`${name} must be a positive integer or Infinity.`);
+
+  return {
+    allowTypes: allowTypes ? new Set(allowTypes) : null,
+    denyTypes: new Set(denyTypes),
+    maxDepth,
+    maxStringLength,
+    maxCollectionSize,
+  };
+};
+
+/**
+ * Type names of the native values of the binary format.
+ * @type {Record<string, string>}
+ */
+const NATIVE_TYPE_NAMES = {
+  nil: 'null',
+  boolean: 'boolean',
+  number: 'number',
+  string: 'string',
+  binary: 'buffer',
+  array: 'array',
+  map: 'object',
+};
+
+/**
+ * Type names of the binary extensions that are decoded as a type of the same name, plus the
+ * sparse arrays (type `array`).
+ * @type {Map<number, string>}
+ */
+const EXT_TYPE_NAMES = new Map([
+  ...Object.entries(EXT_TYPES)
+    .filter(([name]) => !['typedarray', 'ref', 'shared', 'custom', 'sparsearray'].includes(name))
+    .map(([name, code]) => /** @type {[number, string]} */ ([code, name])),
+  [EXT_TYPES.sparsearray, 'array'],
+]);
+
+/**
+ * Copies fields into an object as own data properties. Keys like `__proto__` are kept as
+ * plain fields instead of changing the prototype.
+ *
+ * @param {Record<string, any>} target - The object to fill.
+ * @param {Record<string, any>} fields - The fields.
+ * @returns {Record<string, any>} The target.
+ */
+const assignFields = (target, fields) => {
+  for (const key of Object.keys(fields)) defineField(target, key, fields[key]);
+  return target;
+};
+
+/**
+ * Defines an enumerable own data property. Unlike an assignment, a `__proto__` key doesn't
+ * change the prototype.
+ *
+ * @param {object} target
+ * @param {string} key
+ * @param {*} value
+ */
+const defineField = (target, key, value) =>
+  Object.defineProperty(target, key, {
+    value,
+    writable: true,
+    enumerable: true,
+    configurable: true,
+  });
+
+/**
+ * Checks whether an array has no holes and no extra properties, so it can be stored as a
+ * plain list of items.
+ *
+ * @param {any[]} array
+ * @returns {boolean}
+ */
+const isDenseArray = (array) => {
+  const keys = Object.keys(array);
+  if (keys.length !== array.length) return false;
+  for (let i = 0; i < keys.length; i++) if (keys[i] !== String(i)) return false;
+  return true;
+};
+
+/**
+ * Checks whether a Map key is kept as is by JSON.
+ *
+ * @param {*} key
+ * @returns {boolean}
+ */
+const isJsonKey = (key) =>
+  typeof key === 'string' ||
+  typeof key === 'boolean' ||
+  key === null ||
+  (Number.isFinite(key) && !Object.is(key, -0));
+
+/**
+ * Checks whether a value is a valid array length.
+ *
+ * @param {*} length
+ * @returns {boolean}
+ */
+const isArrayLength = (length) => Number.isInteger(length) && length >= 0 && length <= 0xffffffff;
+
+/**
+ * Formats the path of an object property, for validation errors.
+ *
+ * @param {string} path - The path of the object.
+ * @param {string} key - The property name.
+ * @returns {string}
+ */
+const propertyPath = (path, key) =>
+  /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
 
 /**
  * TinyCryptoParser provides serialization and deserialization utilities for complex JavaScript data types.
  *
- * This class enables conversion of various JavaScript values (such as `Map`, `Set`, `Buffer`, `Date`, `BigInt`, `Symbol`, `HTMLElement`, and others)
- * into JSON-compatible formats, allowing safe encryption, transmission, or storage.
+ * This class enables conversion of various JavaScript values (such as `Map`, `Set`, `Buffer`, typed arrays, `ArrayBuffer`, `DataView`,
+ * `Date`, `BigInt`, `Symbol`, `Error`, `HTMLElement`, and others) into JSON-compatible formats, allowing safe encryption, transmission, or storage.
  * It also supports deserialization, restoring the original JavaScript objects from the serialized data.
  *
  * Unsupported types like `WeakMap`, `WeakSet`, `Promise`, and `Function` will throw explicit errors when an attempt is made to serialize them.
@@ -16,7 +394,12 @@ import { objType } from 'tiny-essentials';
  * @class
  */
 class TinyCryptoParser {
-  constructor() {
+  /**
+   * @param {Object} [options={}] - Parser options.
+   * @param {boolean|SafeModeOptions} [options.safeMode=false] - Restricts what can be decoded.
+   * See `setSafeMode()`.
+   */
+  constructor({ safeMode = false } = {}) {
     // Regex
     this.addValueType(
       'regexp',
@@ -83,8 +466,8 @@ class TinyCryptoParser {
        * @returns {number} The deserialized number.
        */
       (value) => Number(value),
-      // Convert
-      (data) => ({ __type: 'number', value: String(data) }),
+      // Convert (`String(-0)` is `'0'`)
+      (data) => ({ __type: 'number', value: Object.is(data, -0) ? '-0' : String(data) }),
     );
 
     // Boolean
@@ -118,30 +501,48 @@ class TinyCryptoParser {
        * @param {*} value - The serialized array of key-value pairs for Map deserialization.
        * @returns {Map<any, any>} The deserialized Map object.
        */
-      (value) => new Map(value),
+      (value) => (Array.isArray(value) ? new Map(value) : value),
       // Convert
       (data) => ({
         __type: 'map',
-        value: Array.from(data.entries()),
+        value: data instanceof Map ? Array.from(data.entries()) : data,
       }),
-      // Serialization
+      // Serialization. Keys that JSON can't keep (e.g. objects, dates or `-0`) are serialized too.
       (data) => {
-        const result = new Map();
-        data.forEach(
-          /** @param {*} value @param {*} key */ (value, key) => {
-            result.set(key, this.serializeDeep(value));
-          },
-        );
-        return result;
+        const items = this.#orderItems(data);
+        if ([...items.keys()].every(isJsonKey)) {
+          const result = new Map();
+          items.forEach(
+            /** @param {*} value @param {*} key */ (value, key) => {
+              result.set(key, this.serializeDeep(value));
+            },
+          );
+          return result;
+        }
+        return {
+          entries: Array.from(items, ([key, value]) => [
+            this.serializeDeep(key),
+            this.serializeDeep(value),
+          ]),
+        };
       },
       // Deserialization
-      (value) => {
-        const result = new Map();
-        value.forEach(
-          /** @param {*} value @param {*} key */ (value, key) => {
-            result.set(key, this.deserializeDeep(value).value);
-          },
-        );
+      (value, result = new Map()) => {
+        if (value instanceof Map) {
+          value.forEach(
+            /** @param {*} value @param {*} key */ (value, key) => {
+              result.set(key, this.deserializeDeep(value).value);
+            },
+          );
+          return result;
+        }
+
+        const entries = value?.entries;
+        if (!Array.isArray(entries) || !entries.every((entry) => Array.isArray(entry)))
+          throw new Error('Invalid Map.');
+        this.#checkSafeSize(entries.length);
+        for (const [key, item] of entries)
+          result.set(this.deserializeDeep(key).value, this.deserializeDeep(item).value);
         return result;
       },
     );
@@ -153,25 +554,27 @@ class TinyCryptoParser {
        * @param {*} value - The serialized array of values for Set deserialization.
        * @returns {Set<*>} The deserialized Set object.
        */
-      (value) => new Set(value),
+      (value) => (Array.isArray(value) ? new Set(value) : value),
       // Convert
       (data) => ({
         __type: 'set',
-        value: Array.from(data.values()),
+        value: data instanceof Set ? Array.from(data.values()) : data,
       }),
-      // Serialization
+      // Serialization. Different items with the same serialization (e.g. two empty objects) are
+      // stored as a list, since a Set of the serialized items would merge them.
       (data) => {
-        const result = new Set();
-        data.forEach(
-          /** @param {*} value */ (value) => {
-            result.add(this.serializeDeep(value));
-          },
-        );
-        return result;
+        const items = Array.from(this.#orderItems(data), (item) => this.serializeDeep(item));
+        const result = new Set(items);
+        return result.size === items.length ? result : { items };
       },
       // Deserialization
-      (value) => {
-        const result = new Set();
+      (value, result = new Set()) => {
+        if (!(value instanceof Set)) {
+          if (!Array.isArray(value?.items)) throw new Error('Invalid Set.');
+          this.#checkSafeSize(value.items.length);
+          for (const item of value.items) result.add(this.deserializeDeep(item).value);
+          return result;
+        }
         value.forEach(
           /** @param {*} item */ (item) => {
             result.add(this.deserializeDeep(item).value);
@@ -203,10 +606,39 @@ class TinyCryptoParser {
       (value) => value,
       // Convert
       (data) => ({ __type: 'array', value: data }),
-      // Serialization
-      (data) => data.map(/** @param {*} item */ (item) => this.serializeDeep(item)),
+      // Serialization. Arrays with holes or extra properties are stored as their length and
+      // their own keys.
+      (data) => {
+        if (isDenseArray(data))
+          return data.map(/** @param {*} item */ (item) => this.serializeDeep(item));
+        const keys = this.#orderKeys(Object.keys(data));
+        return {
+          length: data.length,
+          entries: Object.fromEntries(keys.map((key) => [key, this.serializeDeep(data[key])])),
+        };
+      },
       // Deserialization
-      (value) => value.map(/** @param {*} item */ (item) => this.deserializeDeep(item).value),
+      (value, /** @type {any[]} */ result = []) => {
+        if (Array.isArray(value)) {
+          for (const item of value) result.push(this.deserializeDeep(item).value);
+          return result;
+        }
+
+        const { length, entries } = value ?? {};
+        if (
+          !isArrayLength(length) ||
+          typeof entries !== 'object' ||
+          entries === null ||
+          Object.hasOwn(entries, 'length')
+        )
+          throw new Error('Invalid sparse array.');
+        this.#checkSafeSize(length);
+        result.length = length;
+        for (const key of Object.keys(entries))
+          defineField(result, key, this.deserializeDeep(entries[key]).value);
+        if (result.length !== length) throw new Error('Invalid sparse array.');
+        return result;
+      },
     );
 
     // Object
@@ -223,14 +655,16 @@ class TinyCryptoParser {
       (data) => {
         /** @type {Record<string|number, any>} */
         const result = {};
-        for (const key in data) result[key] = this.serializeDeep(data[key]);
+        /** @type {string[]} */
+        const keys = [];
+        for (const key in data) keys.push(key);
+        for (const key of this.#orderKeys(keys))
+          defineField(result, key, this.serializeDeep(data[key]));
         return result;
       },
       // Deserialization
-      (value) => {
-        /** @type {Record<string|number, any>} */
-        const result = {};
-        for (const key in value) result[key] = this.deserializeDeep(value[key]).value;
+      (value, /** @type {Record<string|number, any>} */ result = {}) => {
+        for (const key in value) defineField(result, key, this.deserializeDeep(value[key]).value);
         return result;
       },
     );
@@ -246,6 +680,163 @@ class TinyCryptoParser {
       // Convert
       (data) => ({ __type: 'buffer', value: data.toString('base64') }),
     );
+
+    // URL
+    this.addValueType(
+      'url',
+      /**
+       * @param {*} value - The absolute URL string.
+       * @returns {URL} The deserialized URL.
+       */
+      (value) => new URL(value),
+      // Convert
+      (data) => ({ __type: 'url', value: data.href }),
+    );
+
+    // URLSearchParams
+    this.addValueType(
+      'urlsearchparams',
+      /**
+       * @param {*} value - The query string.
+       * @returns {URLSearchParams} The deserialized URLSearchParams.
+       */
+      (value) => new URLSearchParams(value),
+      // Convert
+      (data) => ({ __type: 'urlsearchparams', value: data.toString() }),
+    );
+
+    // Blob and File (the bytes must be read first by an async serialization method)
+    this.addValueType(
+      'blob',
+      /**
+       * @param {*} value - The MIME type and the base64-encoded bytes.
+       * @returns {Blob} The deserialized Blob.
+       */
+      (value) => toBlob(base64ToArrayBuffer(value.data), { type: value.type }),
+      // Convert
+      (data) => ({
+        __type: 'blob',
+        value: { type: data.type, data: toBase64(this.#getBlobBytes(data)) },
+      }),
+    );
+    this.addValueType(
+      'file',
+      /**
+       * @param {*} value - The name, MIME type, last modification time and base64-encoded bytes.
+       * @returns {File} The deserialized File.
+       */
+      (value) =>
+        /** @type {File} */ (
+          toBlob(base64ToArrayBuffer(value.data), {
+            type: value.type,
+            name: String(value.name),
+            lastModified: Number(value.lastModified),
+          })
+        ),
+      // Convert
+      (data) => ({
+        __type: 'file',
+        value: {
+          name: data.name,
+          type: data.type,
+          lastModified: data.lastModified,
+          data: toBase64(this.#getBlobBytes(data)),
+        },
+      }),
+    );
+
+    // Typed arrays (the bytes are stored in the byte order of the platform, little-endian in practice)
+    for (const [typeName, TypedArray] of Object.entries(TYPED_ARRAYS))
+      this.addValueType(
+        typeName,
+        /**
+         * @param {*} value - The base64-encoded bytes of the typed array.
+         * @returns {ArrayBufferView} The deserialized typed array, with the original element type.
+         */
+        (value) => new TypedArray(base64ToArrayBuffer(value)),
+        // Convert
+        (data) => ({ __type: typeName, value: toBase64(data) }),
+      );
+
+    // ArrayBuffer
+    this.addValueType(
+      'arraybuffer',
+      /**
+       * @param {*} value - The base64-encoded bytes of the ArrayBuffer.
+       * @returns {ArrayBuffer} The deserialized ArrayBuffer.
+       */
+      (value) => base64ToArrayBuffer(value),
+      // Convert
+      (data) => ({ __type: 'arraybuffer', value: toBase64(data) }),
+    );
+
+    // DataView
+    this.addValueType(
+      'dataview',
+      /**
+       * @param {*} value - The base64-encoded bytes seen by the DataView.
+       * @returns {DataView} The deserialized DataView, over a new ArrayBuffer.
+       */
+      (value) => new DataView(base64ToArrayBuffer(value)),
+      // Convert
+      (data) => ({ __type: 'dataview', value: toBase64(data) }),
+    );
+
+    // Error
+    this.addValueType(
+      'error',
+      /**
+       * @param {*} value - The serialized error (class, name, message, stack, cause, errors and extra properties).
+       * @returns {Error} The deserialized error, rebuilt with its original standard class.
+       */
+      (value) =>
+        fieldsToError(
+          value,
+          /** @param {string} item */ (item) => this.deserializeDeep(item).value,
+        ),
+      // Convert
+      (data) => ({
+        __type: 'error',
+        value: errorToFields(data, (item) => this.serializeDeep(item)),
+      }),
+    );
+
+    this.setSafeMode(safeMode);
+  }
+
+  /**
+   * Detects the type name of a value.
+   *
+   * Classes added with `registerClass()` are checked first (the nearest one in the prototype chain),
+   * followed by the types that `objType()` doesn't know (typed arrays, `ArrayBuffer`, `DataView`,
+   * `URL`, `URLSearchParams`, `Blob`, `File`, errors and `NaN`). `Buffer` keeps its own `buffer` type.
+   *
+   * @param {any} data - The value.
+   * @returns {string|boolean} The type name.
+   */
+  #getType(data) {
+    if (this.#classPrototypes.size > 0 && typeof data === 'object' && data !== null) {
+      let proto = Object.getPrototypeOf(data);
+      while (proto !== null) {
+        const name = this.#classPrototypes.get(proto);
+        if (name) return name;
+        proto = Object.getPrototypeOf(proto);
+      }
+    }
+    if (Number.isNaN(data)) return 'number';
+    if (data instanceof ArrayBuffer) return 'arraybuffer';
+    if (data instanceof DataView) return 'dataview';
+    if (typeof URL !== 'undefined' && data instanceof URL) return 'url';
+    if (typeof URLSearchParams !== 'undefined' && data instanceof URLSearchParams)
+      return 'urlsearchparams';
+    if (typeof File !== 'undefined' && data instanceof File) return 'file';
+    if (typeof Blob !== 'undefined' && data instanceof Blob) return 'blob';
+    if (data instanceof Error) return 'error';
+    if (ArrayBuffer.isView(data) && !Buffer.isBuffer(data)) {
+      for (const [typeName, TypedArray] of Object.entries(TYPED_ARRAYS))
+        if (data.constructor === TypedArray) return typeName;
+    }
+    return objType(data) || 'undefined';
   }
 
   /**
@@ -304,16 +895,379 @@ class TinyCryptoParser {
 
   /**
    * A mapping of data deserialization to their functions.
-   * @type {Record<string, (data: any) => any>}
+   *
+   * The functions of the built-in containers also accept the empty container to fill, so it can
+   * be registered as a reference before its children (which may point back to it) are read.
+   *
+   * @type {Record<string, (data: any, target?: any) => any>}
    */
   #deepDeserialize = {};
 
+  /**
+   * Creates the empty containers filled by the deep deserialization of the built-in types.
+   * @type {Record<string, () => any>}
+   */
+  #deepTargets = {
+    object: () => ({}),
+    array: () => [],
+    map: () => new Map(),
+    set: () => new Set(),
+  };
+
+  /**
+   * Classes added with `registerClass()`, by type name.
+   * @type {Map<string, RegisteredClass>}
+   */
+  #classes = new Map();
+
+  /**
+   * Type names of the registered classes, by prototype.
+   * @type {Map<object, string>}
+   */
+  #classPrototypes = new Map();
+
+  /**
+   * Reference state of the running `serializeDeep()` call.
+   * `shared` holds the objects found more than once, and `ids` the ids already given to them.
+   * `stack` holds the objects being serialized, to detect cycles that can't be tracked.
+   *
+   * @type {{ shared: Set<object>, ids: Map<object, number>, stack: Set<object> }|null}
+   */
+  #serializeRefs = null;
+
+  /**
+   * Values already read by the running `deserializeDeep()` call, by reference id.
+   * @type {Map<number, DeserializedData>|null}
+   */
+  #deserializeRefs = null;
+
   /**
    * A mapping of data serialization to their functions.
    * @type {Record<string, (data: any) => any>}
    */
   #deepSerialize = {};
 
+  /**
+   * Bytes of the Blobs and Files of the running async serialization call.
+   * @type {Map<Blob, Uint8Array>|null}
+   */
+  #blobBytes = null;
+
+  /**
+   * Returns the bytes of a Blob or File read by the running async serialization call.
+   *
+   * @param {Blob} blob
+   * @returns {Uint8Array}
+   * @throws {Error} If the bytes were not read, because a sync method was used.
+   */
+  #getBlobBytes(blob) {
+    const bytes = this.#blobBytes?.get(blob);
+    if (!bytes)
+      throw new Error(
+        'Blob and File values can only be serialized by the async methods (e.g. serializeDeepAsync()).',
+      );
+    return bytes;
+  }
+
+  /**
+   * Reads the bytes of every Blob and File inside a value, then runs a serialization with them.
+   *
+   * @template T
+   * @param {any} data - The value to serialize.
+   * @param {() => T} serialize - The sync serialization.
+   * @returns {Promise<T>}
+   */
+  async #withBlobBytes(data, serialize) {
+    /** @type {Blob[]} */
+    const blobs = [];
+    this.#findShared(data, (item, type) => {
+      if (type === 'blob' || type === 'file') blobs.push(/** @type {Blob} */ (item));
+    });
+    const entries = await Promise.all(
+      blobs.map(
+        async (blob) =>
+          /** @type {[Blob, Uint8Array]} */ ([blob, new Uint8Array(await blob.arrayBuffer())]),
+      ),
+    );
+
+    // Nothing is awaited from here, so other calls can't see these bytes
+    this.#blobBytes = new Map(entries);
+    try {
+      return serialize();
+    } finally {
+      this.#blobBytes = null;
+    }
+  }
+
+  /**
+   * Async version of `serialize()`. Needed when the value is a `Blob` or `File`,
+   * because their bytes can only be read asynchronously.
+   *
+   * @param {any} data - The data to be serialized.
+   * @returns {Promise<string>} The serialized data in JSON format.
+   * @throws {Error} If the data type is unsupported for serialization.
+   */
+  serializeAsync(data) {
+    return this.#withBlobBytes(data, () => this.serialize(data));
+  }
+
+  /**
+   * Async version of `serializeDeep()`. Needed when the value has `Blob` or `File` values,
+   * because their bytes can only be read asynchronously.
+   *
+   * @param {any} data - The data to be deeply serialized.
+   * @param {SerializeOptions} [options={}] - Serialization options.
+   * @returns {Promise<string>} The deeply serialized data in JSON format.
+   * @throws {Error} If the data type is unsupported for serialization.
+   */
+  serializeDeepAsync(data, options) {
+    return this.#withBlobBytes(data, () => this.serializeDeep(data, options));
+  }
+
+  /**
+   * Async version of `serializeBinary()`. Needed when the value has `Blob` or `File` values,
+   * because their bytes can only be read asynchronously.
+   *
+   * @param {any} data - The data to be serialized.
+   * @param {SerializeOptions} [options={}] - Serialization options.
+   * @returns {Promise<Buffer>} The serialized bytes.
+   * @throws {Error} If the data type is unsupported for serialization.
+   */
+  serializeBinaryAsync(data, options) {
+    return this.#withBlobBytes(data, () => this.serializeBinary(data, options));
+  }
+
+  /**
+   * Whether the running `serializeDeep()` or `serializeBinary()` call is canonical.
+   * @type {boolean}
+   */
+  #canonical = false;
+
+  /**
+   * The Map and Set items whose canonical keys are being computed, to stop at cycles.
+   * @type {Set<any>}
+   */
+  #canonicalKeying = new Set();
+
+  /**
+   * Returns object keys in the order they are serialized: sorted in canonical mode.
+   * @param {string[]} keys - The keys, in insertion order.
+   * @returns {string[]}
+   */
+  #orderKeys(keys) {
+    return this.#canonical ? keys.sort() : keys;
+  }
+
+  /**
+   * Returns the entries of a Map or the items of a Set in the order they are serialized.
+   * In canonical mode they are sorted by the canonical serialization of the key (or item).
+   *
+   * @template {Map<any, any>|Set<any>} T
+   * @param {T} collection - The Map or Set.
+   * @returns {T} The collection itself, or a sorted copy.
+   */
+  #orderItems(collection) {
+    if (!this.#canonical || collection.size < 2) return collection;
+    const items = [...collection.entries()].map((entry) => ({
+      entry,
+      key: this.#canonicalKey(entry[0]),
+    }));
+    items.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+    const entries = items.map(({ entry }) => entry);
+    return /** @type {T} */ (
+      collection instanceof Map ? new Map(entries) : new Set(entries.map(([item]) => item))
+    );
+  }
+
+  /**
+   * Serializes a value on its own, in canonical mode, to sort Map and Set items.
+   * A value that is already being keyed (a cycle) gets an empty key, so it keeps its place.
+   *
+   * @param {any} value
+   * @returns {string}
+   */
+  #canonicalKey(value) {
+    if (this.#canonicalKeying.has(value)) return '';
+    const refs = this.#serializeRefs;
+    this.#serializeRefs = null;
+    this.#canonicalKeying.add(value);
+    try {
+      return this.serializeDeep(value, { canonical: true });
+    } finally {
+      this.#canonicalKeying.delete(value);
+      this.#serializeRefs = refs;
+    }
+  }
+
+  /**
+   * Nesting depth of the running `deserializeDeep()` call.
+   * @type {number}
+   */
+  #deserializeDepth = 0;
+
+  /**
+   * Errors thrown by `deserializeDeep()` (safe mode, schema, references...). A value type that
+   * reads nested values (e.g. the cause of an error) must not hide them as an unknown value.
+   * @type {WeakSet<Error>}
+   */
+  #deserializeErrors = new WeakSet();
+
+  /**
+   * Nesting depth of the running `serializeDeep()` or `serializeBinary()` call.
+   * @type {number}
+   */
+  #serializeDepth = 0;
+
+  /**
+   * Enters one nesting level of a serialization.
+   *
+   * @throws {Error} If the value is nested deeper than {@link MAX_SERIALIZE_DEPTH}.
+   */
+  #enterSerializeLevel() {
+    if (this.#serializeDepth >= MAX_SERIALIZE_DEPTH)
+      throw new Error(
+        `The value is nested too deeply to be serialized (more than ${MAX_SERIALIZE_DEPTH} levels).`,
+      );
+    this.#serializeDepth++;
+  }
+
+  /**
+   * Throws if a value being deserialized is nested too deeply, before it can overflow the call stack.
+   *
+   * Serialized values have at most {@link MAX_SERIALIZE_DEPTH} nested objects. The values inside
+   * the deepest objects, and their own payload (e.g. the description of a symbol), add two levels.
+   *
+   * @param {number} depth - The depth of the value (the root is 1).
+   * @throws {Error} If the depth is over the limit.
+   */
+  #checkDeserializeDepth(depth) {
+    if (depth > MAX_SERIALIZE_DEPTH + 2)
+      throw new Error(
+        `The data is nested too deeply to be deserialized (more than ${MAX_SERIALIZE_DEPTH} levels).`,
+      );
+  }
+
+  /**
+   * The safe mode options, or `null` when the safe mode is off.
+   * @type {SafeModeState|null}
+   */
+  #safeMode = null;
+
+  /**
+   * Enables or disables the safe mode, which restricts what can be decoded. Use it when
+   * the serialized data comes from someone you don't trust (e.g. a peer).
+   *
+   * - `true` enables it with {@link SAFE_MODE_DEFAULTS}: `htmlElement` and `regexp` are blocked,
+   *   and the nesting depth, string length and collection size are limited.
+   * - An object enables it with these options. The missing ones use the defaults.
+   * - `false` disables it.
+   *
+   * The serialization is not affected.
+   *
+   * @param {boolean|SafeModeOptions} options - The safe mode options.
+   * @throws {Error} If an option is invalid.
+   *
+   * @example
+   * parser.setSafeMode({ denyTypes: ['htmlElement'], maxDepth: 10 });
+   * parser.deserialize(untrusted); // throws if the data has an htmlElement or is too deep
+   */
+  setSafeMode(options) {
+    if (typeof options === 'boolean') {
+      this.#safeMode = options ? normalizeSafeMode({}) : null;
+      return;
+    }
+    if (typeof options !== 'object' || options === null || Array.isArray(options))
+      throw new Error('The safe mode must be a boolean or an options object.');
+    this.#safeMode = normalizeSafeMode(options);
+  }
+
+  /**
+   * Returns the current safe mode options, or `null` when the safe mode is off.
+   * @returns {Required<SafeModeOptions>|null}
+   */
+  getSafeMode() {
+    const safeMode = this.#safeMode;
+    if (!safeMode) return null;
+    return {
+      allowTypes: safeMode.allowTypes ? [...safeMode.allowTypes] : null,
+      denyTypes: [...safeMode.denyTypes],
+      maxDepth: safeMode.maxDepth,
+      maxStringLength: safeMode.maxStringLength,
+      maxCollectionSize: safeMode.maxCollectionSize,
+    };
+  }
+
+  /**
+   * Throws if the safe mode doesn't allow a type to be decoded.
+   * @param {string} type - The type name.
+   * @throws {Error} If the type is not allowed.
+   */
+  #checkSafeType(type) {
+    const safeMode = this.#safeMode;
+    if (!safeMode) return;
+    if (safeMode.denyTypes.has(type) || (safeMode.allowTypes && !safeMode.allowTypes.has(type)))
+      throw new Error(`Safe mode: the type "${type}" is not allowed.`);
+  }
+
+  /**
+   * Throws if a container is nested deeper than the safe mode allows.
+   * @param {number} depth - The depth of the container (the root is 1).
+   * @throws {Error} If the depth is over the limit.
+   */
+  #checkSafeDepth(depth) {
+    if (this.#safeMode && depth > this.#safeMode.maxDepth)
+      throw new Error(`Safe mode: the maximum depth of ${this.#safeMode.maxDepth} was exceeded.`);
+  }
+
+  /**
+   * Throws if a string (or binary value) is longer than the safe mode allows.
+   * @param {number} length - The length of the string, or the bytes of the binary value.
+   * @throws {Error} If the length is over the limit.
+   */
+  #checkSafeLength(length) {
+    if (this.#safeMode && length > this.#safeMode.maxStringLength)
+      throw new Error(
+        `Safe mode: a value of length ${length} exceeds the maximum of ${this.#safeMode.maxStringLength}.`,
+      );
+  }
+
+  /**
+   * Throws if a collection has more items than the safe mode allows.
+   * @param {number} size - The number of items.
+   * @throws {Error} If the size is over the limit.
+   */
+  #checkSafeSize(size) {
+    if (this.#safeMode && size > this.#safeMode.maxCollectionSize)
+      throw new Error(
+        `Safe mode: a collection of ${size} items exceeds the maximum of ${this.#safeMode.maxCollectionSize}.`,
+      );
+  }
+
+  /**
+   * Checks the safe mode limits on a parsed JSON value.
+   *
+   * @param {any} value - The parsed value.
+   * @param {number} depth - The depth of the value.
+   * @param {boolean} [shallow=false] - Only checks the value itself. Used for the containers of
+   * the deep mode, whose items are checked when they are read.
+   * @throws {Error} If a limit is exceeded.
+   */
+  #checkSafeValue(value, depth, shallow = false) {
+    if (!this.#safeMode) return;
+    /** @type {[any, number][]} */
+    const stack = [[value, depth]];
+    while (stack.length > 0) {
+      const [item, itemDepth] = /** @type {[any, number]} */ (stack.pop());
+      if (typeof item === 'string') this.#checkSafeLength(item.length);
+      if (typeof item !== 'object' || item === null) continue;
+
+      this.#checkSafeDepth(itemDepth);
+      const items = Array.isArray(item) ? item : Object.values(item);
+      this.#checkSafeSize(items.length);
+      if (!shallow) for (const child of items) stack.push([child, itemDepth + 1]);
+    }
+  }
+
   /**
    * Validates that the actual type of a deserialized value matches the expected type.
    * This method ensures that the type of the deserialized data matches what is expected,
@@ -328,13 +1282,111 @@ class TinyCryptoParser {
       throw new Error(`Type mismatch: expected ${expected}, but got ${actual}`);
   }
 
+  /**
+   * Checks a deserialized value against the `expectedType` of a deserialize call.
+   *
+   * @param {ValueSchema|null} expected - A type name, a schema, or nothing.
+   * @param {DeserializedData} result - The deserialized value and its type.
+   * @throws {Error} If the value doesn't match.
+   */
+  #validateExpected(expected, { value, type }) {
+    if (typeof expected === 'string') {
+      if (expected) this.#validateDeserializedType(expected, type);
+    } else if (typeof expected === 'object' && expected !== null)
+      this.validateSchema(value, expected);
+  }
+
+  /**
+   * Validates a value against a schema of nested shapes.
+   *
+   * Object keys, array and Set items, and Map keys and values are checked recursively.
+   * The error message has the path of the first invalid value, e.g.
+   * `value.items[3].date: expected date, got string`.
+   *
+   * @param {any} value - The value to validate.
+   * @param {ValueSchema} schema - The expected shape.
+   * @param {string} [path='value'] - The name of the value in error messages.
+   * @throws {Error} If the value doesn't match the schema, or the schema is invalid.
+   *
+   * @example
+   * parser.validateSchema(order, {
+   *   type: 'object',
+   *   properties: {
+   *     id: 'bigint',
+   *     items: { type: 'array', items: { type: 'object', properties: { date: 'date' } } },
+   *     note: { type: 'string', optional: true },
+   *   },
+   * });
+   */
+  validateSchema(value, schema, path = 'value') {
+    this.#validateSchemaNode(value, schema, path, new Map());
+  }
+
+  /**
+   * Validates one value of a `validateSchema()` call.
+   *
+   * @param {any} value - The value.
+   * @param {ValueSchema} schema - The expected shape.
+   * @param {string} path - The path of the value.
+   * @param {Map<object, Set<ValueSchema>>} seen - The schemas already checked for each object (for circular values).
+   * @throws {Error} If the value doesn't match the schema, or the schema is invalid.
+   */
+  #validateSchemaNode(value, schema, path, seen) {
+    /** @type {SchemaObject} */
+    const rule = typeof schema === 'string' || Array.isArray(schema) ? { type: schema } : schema;
+    if (typeof rule !== 'object' || rule === null) throw new Error(`Invalid schema at ${path}.`);
+    if (typeof value === 'undefined' && rule.optional) return;
+
+    const type = String(this.#getType(value));
+    const types = Array.isArray(rule.type) ? rule.type : [rule.type ?? 'any'];
+    if (!types.includes('any') && !types.includes(type))
+      throw new Error(`${path}: expected ${types.join(' or ')}, got ${type}`);
+
+    if (typeof value !== 'object' || value === null) return;
+    const checked = seen.get(value) ?? new Set();
+    if (checked.has(schema)) return;
+    checked.add(schema);
+    seen.set(value, checked);
+
+    /** @type {(item: any, itemSchema: ValueSchema, itemPath: string) => void} */
+    const check = (item, itemSchema, itemPath) =>
+      this.#validateSchemaNode(item, itemSchema, itemPath, seen);
+
+    if (rule.properties && (type === 'object' || this.#classes.has(type)))
+      for (const [key, propSchema] of Object.entries(rule.properties))
+        check(
+          Object.hasOwn(value, key) ? value[key] : undefined,
+          propSchema,
+          propertyPath(path, key),
+        );
+
+    if (rule.items && (type === 'array' || type === 'set')) {
+      let index = 0;
+      for (const item of value) check(item, rule.items, `${path}[${index++}]`);
+    }
+
+    if ((rule.keys || rule.values) && type === 'map') {
+      let index = 0;
+      for (const [key, item] of value) {
+        if (rule.keys) check(key, rule.keys, `${path}.keys()[${index}]`);
+        if (rule.values)
+          check(
+            item,
+            rule.values,
+            `${path}.get(${typeof key === 'string' ? JSON.stringify(key) : `<key ${index}>`})`,
+          );
+        index++;
+      }
+    }
+  }
+
   /**
    * Add a new value type and its converter function.
    * @param {string} typeName
    * @param {(data: any) => any} getFunction
    * @param {(data: any) => SerializedData} convertFunction
    * @param {(data: any) => any} [serializeDeep]
-   * @param {(data: any) => any} [deserializeDeep]
+   * @param {(data: any, target?: any) => any} [deserializeDeep]
    */
   addValueType(typeName, getFunction, convertFunction, serializeDeep, deserializeDeep) {
     // Basic features
@@ -354,6 +1406,81 @@ class TinyCryptoParser {
     }
   }
 
+  /**
+   * Registers a class, so its instances are serialized with their class tag instead of being
+   * flattened into plain objects.
+   *
+   * The fields returned by `toJSON` are serialized like an object: in deep mode (and in the binary
+   * format) nested values keep their types, and circular or shared references are kept.
+   * On deserialization, `fromJSON` rebuilds the instance. The default one restores the prototype
+   * and the fields without calling the constructor. Circular references to an instance need the
+   * default `fromJSON`, because the instance must exist before its fields are read.
+   *
+   * Subclasses are serialized as the nearest registered class in their prototype chain.
+   *
+   * @param {Function} Class - The class.
+   * @param {ClassOptions} [options={}] - The class options.
+   * @throws {Error} If the class is already registered, or the name is missing or already used.
+   *
+   * @example
+   * class Point {
+   *   constructor(x, y) {
+   *     this.x = x;
+   *     this.y = y;
+   *   }
+   * }
+   * parser.registerClass(Point);
+   * const { value } = parser.deserializeDeep(parser.serializeDeep(new Point(1, 2)));
+   * value instanceof Point; // true
+   */
+  registerClass(Class, { name = Class?.name, toJSON, fromJSON } = {}) {
+    if (typeof Class !== 'function' || typeof Class.prototype !== 'object' || !Class.prototype)
+      throw new Error('registerClass expects a class.');
+    if (typeof name !== 'string' || name.length === 0)
+      throw new Error('The class needs a name. Set it with the "name" option.');
+    if (typeof toJSON !== 'undefined' && typeof toJSON !== 'function')
+      throw new Error('toJSON must be a function.');
+    if (typeof fromJSON !== 'undefined' && typeof fromJSON !== 'function')
+      throw new Error('fromJSON must be a function.');
+    if (this.#classPrototypes.has(Class.prototype))
+      throw new Error(
+        `Class "${this.#classPrototypes.get(Class.prototype)}" is already registered.`,
+      );
+
+    /** @type {(instance: any) => Record<string, any>} */
+    const toFields = toJSON ?? ((instance) => ({ ...instance }));
+    /** @type {(fields: Record<string, any>) => any} */
+    const restore = fromJSON ?? ((fields) => assignFields(Object.create(Class.prototype), fields));
+
+    this.addValueType(
+      name,
+      // In deep mode the fields are still serialized here, so the deep deserializer restores them
+      (value) => (this.#deserializeRefs ? value : restore(value)),
+      // Convert (deep mode passes the fields already serialized)
+      (data) => ({ __type: name, value: data instanceof Class ? toFields(data) : data }),
+      // Serialization
+      (data) => {
+        /** @type {Record<string, string>} */
+        const result = {};
+        const fields = toFields(data);
+        for (const key of this.#orderKeys(Object.keys(fields)))
+          defineField(result, key, this.serializeDeep(fields[key]));
+        return result;
+      },
+      // Deserialization
+      (value, target) => {
+        /** @type {Record<string, any>} */
+        const fields = {};
+        for (const key of Object.keys(value))
+          defineField(fields, key, this.deserializeDeep(value[key]).value);
+        return target ? assignFields(target, fields) : restore(fields);
+      },
+    );
+    if (!fromJSON) this.#deepTargets[name] = () => Object.create(Class.prototype);
+    this.#classes.set(name, { Class, toJSON: toFields, fromJSON: fromJSON ?? null });
+    this.#classPrototypes.set(Class.prototype, name);
+  }
+
   /**
    * Serializes a given data value into a JSON-compatible format based on its type.
    * This method converts various JavaScript data types into their serialized representation
@@ -364,9 +1491,20 @@ class TinyCryptoParser {
    * @throws {Error} If the data type is unsupported for serialization.
    */
   serialize(data) {
-    const type = objType(data) || 'undefined';
+    return JSON.stringify(this.#convert(data));
+  }
+
+  /**
+   * Converts a value into its serialized representation, before it is turned into JSON.
+   *
+   * @param {any} data - The data to be converted.
+   * @param {string|boolean} [type=this.#getType(data)] - The type of the data.
+   * @returns {SerializedData} The serialized representation.
+   * @throws {Error} If the data type is unsupported for serialization.
+   */
+  #convert(data, type = this.#getType(data)) {
     if (typeof type === 'string' && this.#valueConvertTypes[type])
-      return JSON.stringify(this.#valueConvertTypes[type](data));
+      return this.#valueConvertTypes[type](data);
     throw new Error(`Unsupported data type for encryption: ${type}`);
   }
 
@@ -376,43 +1514,647 @@ class TinyCryptoParser {
    * (such as a `Date`, `Buffer`, `RegExp`, etc.). If the type is unknown or unsupported, it returns the raw value.
    *
    * @param {string} text - The serialized data to be deserialized.
-   * @param {string|null} [expectedType=null] - Optionally specify the expected type of the decrypted data. If provided, the method will validate the type of the deserialized value.
+   * @param {ValueSchema|null} [expectedType=null] - Optionally specify the expected type of the decrypted data, or a schema of its nested shape.
+   * If provided, the method will validate the deserialized value.
    * @returns {DeserializedData} An object containing the deserialized value and its type.
    * @throws {Error} If deserialization fails due to an invalid or unknown type.
    */
   deserialize(text, expectedType = null) {
-    /** @type {{ value: any; type: string }} */
-    const result = { value: null, type: 'unknown' };
+    const { value, type } = this.#readNode(text);
+    this.#validateExpected(expectedType, { value, type });
+    return { value, type };
+  }
+
+  /**
+   * @typedef {Object} SerializedNode
+   * @property {any} value - The deserialized value (not deep).
+   * @property {string} type - The type of the value.
+   * @property {number|null} id - The reference id of the value, if it is shared (deep mode).
+   * @property {number|null} ref - The id of the value this node points to, if it is a reference (deep mode).
+   */
+
+  /**
+   * Reads a serialized value, including the reference fields of the deep mode.
+   *
+   * @param {string} text - The serialized data.
+   * @returns {SerializedNode}
+   */
+  #readNode(text) {
+    /** @type {SerializedNode} */
+    const result = { value: text, type: 'unknown', id: null, ref: null };
+    /** @type {any} */
+    let parsed;
     try {
-      const parsed = JSON.parse(text);
-      const type = parsed.__type;
-      if (typeof type !== 'string') return { value: text, type: 'string' };
-      if (typeof this.#valueTypes[type] === 'function') {
-        result.value = this.#valueTypes[type](parsed.value);
-        result.type = type;
-      } else result.value = text;
+      parsed = JSON.parse(text);
     } catch {
-      result.value = text;
-      result.type = 'unknown';
+      parsed = null;
+    }
+    if (parsed === null) {
+      this.#checkSafeValue(text, 1);
+      return result;
+    }
+    if (this.#deserializeRefs && Number.isInteger(parsed.__ref))
+      return { value: null, type: 'ref', id: null, ref: parsed.__ref };
+
+    const type = parsed.__type;
+    if (typeof type !== 'string') {
+      this.#checkSafeType('string');
+      this.#checkSafeValue(text, 1);
+      return { value: text, type: 'string', id: null, ref: null };
+    }
+    if (typeof this.#valueTypes[type] !== 'function') {
+      this.#checkSafeValue(text, 1);
+      return result;
     }
 
-    if (expectedType) this.#validateDeserializedType(expectedType, result.type);
+    // The items of deep containers are checked when they are read
+    this.#checkSafeType(type);
+    this.#checkSafeValue(
+      parsed.value,
+      Math.max(this.#deserializeDepth, 1),
+      this.#deserializeRefs !== null && typeof this.#deepDeserialize[type] === 'function',
+    );
+    try {
+      result.value = this.#valueTypes[type](parsed.value);
+      result.type = type;
+      if (Number.isInteger(parsed.__id)) result.id = parsed.__id;
+    } catch (err) {
+      if (err instanceof Error && this.#deserializeErrors.has(err)) throw err;
+      // Values that the type can't read are kept as text, like in the legacy format
+      result.value = text;
+    }
     return result;
   }
 
+  /**
+   * Finds the objects that appear more than once inside a value (shared or circular references).
+   *
+   * Objects, arrays, Maps and Sets are walked without recursion, so deep or cyclic graphs can't
+   * overflow the stack here.
+   *
+   * @param {any} data - The root value.
+   * @param {(item: object, type: string|boolean) => void} [onVisit] - Called once for each object found.
+   * @returns {Set<object>} The objects found more than once.
+   */
+  #findShared(data, onVisit) {
+    /** @type {Set<object>} */
+    const seen = new Set();
+    /** @type {Set<object>} */
+    const shared = new Set();
+    const pending = [data];
+    while (pending.length > 0) {
+      const item = pending.pop();
+      if (typeof item !== 'object' || item === null) continue;
+      if (seen.has(item)) {
+        shared.add(item);
+        continue;
+      }
+      seen.add(item);
+
+      const type = this.#getType(item);
+      if (onVisit) onVisit(item, type);
+      if (type === 'set') for (const child of item) pending.push(child);
+      else if (type === 'map') for (const entry of item) pending.push(...entry);
+      else if (type === 'object' || type === 'array')
+        for (const key in item) pending.push(item[key]);
+      else if (typeof type === 'string' && this.#classes.has(type))
+        for (const child of Object.values(this.#classes.get(type)?.toJSON(item) ?? {}))
+          pending.push(child);
+    }
+    return shared;
+  }
+
   /**
    * Recursively serializes a given data value into a JSON-compatible format.
    * If the data is an object or array, it will traverse each entry and serialize them individually.
    *
+   * In canonical mode, the output only depends on the content of the value: object keys are
+   * sorted, Map entries and Set items are sorted by their own canonical serialization, and `-0`
+   * is written as `0`. Use it for hashes and signatures. Nested calls use the mode of the root call.
+   *
    * @param {any} data - The data to be deeply serialized.
+   * @param {SerializeOptions} [options={}] - Serialization options.
    * @returns {string} The deeply serialized data in JSON format.
-   * @throws {Error} If the data type is unsupported for serialization.
+   * @throws {Error} If the data type is unsupported for serialization, or the data is nested
+   * deeper than {@link MAX_SERIALIZE_DEPTH}.
+   */
+  serializeDeep(data, { canonical = false } = {}) {
+    if (this.#serializeRefs) return this.#serializeDeepNode(data, this.#serializeRefs);
+
+    const wasCanonical = this.#canonical;
+    this.#canonical = canonical;
+    this.#serializeRefs = { shared: this.#findShared(data), ids: new Map(), stack: new Set() };
+    try {
+      return this.#serializeDeepNode(data, this.#serializeRefs);
+    } finally {
+      this.#serializeRefs = null;
+      this.#canonical = wasCanonical;
+    }
+  }
+
+  /**
+   * Serializes one value of a `serializeDeep()` call.
+   *
+   * The first time a shared object is found, it is serialized with an `__id`. Later
+   * occurrences become `{ "__ref": id }`, so identity and cycles survive the round trip.
+   *
+   * @param {any} data - The value.
+   * @param {{ shared: Set<object>, ids: Map<object, number>, stack: Set<object> }} refs - The reference state.
+   * @returns {string} The serialized value in JSON format.
+   * @throws {Error} If the data type is unsupported or has a cycle that can't be tracked.
+   */
+  #serializeDeepNode(data, refs) {
+    if (this.#canonical && Object.is(data, -0)) data = 0;
+    /** @type {number|null} */
+    let id = null;
+    if (typeof data === 'object' && data !== null) {
+      const knownId = refs.ids.get(data);
+      if (typeof knownId === 'number') return JSON.stringify({ __ref: knownId });
+      // A cycle through a type the reference scan can't walk (errors or custom types)
+      if (refs.stack.has(data)) throw new Error('Circular reference could not be serialized.');
+      if (refs.shared.has(data)) {
+        id = refs.ids.size;
+        refs.ids.set(data, id);
+      }
+    }
+
+    const type = this.#getType(data);
+    const isObject = typeof data === 'object' && data !== null;
+    if (isObject) {
+      this.#enterSerializeLevel();
+      refs.stack.add(data);
+    }
+    try {
+      const node = this.#convert(
+        typeof type === 'string' && typeof this.#deepSerialize[type] === 'function'
+          ? this.#deepSerialize[type](data)
+          : data,
+        type,
+      );
+      return JSON.stringify(id !== null ? { ...node, __id: id } : node);
+    } finally {
+      if (isObject) {
+        refs.stack.delete(data);
+        this.#serializeDepth--;
+      }
+    }
+  }
+
+  /**
+   * Serializes a value into a compact, MessagePack-like binary format.
+   *
+   * Unlike the JSON format, there are no `{ __type, value }` wrappers: numbers, strings, arrays,
+   * objects and Buffers use the MessagePack encodings, and the other types (BigInt, Date, Map, Set,
+   * typed arrays, errors, etc.) use extension types. Buffers are stored as raw bytes. Nested values
+   * are always serialized (like the deep mode), with circular and shared references kept.
+   * Custom types added with `addValueType()` are stored with their type name and converted value.
+   * The canonical mode works like in `serializeDeep()`.
+   *
+   * @param {any} data - The data to be serialized.
+   * @param {SerializeOptions} [options={}] - Serialization options.
+   * @returns {Buffer} The serialized bytes.
+   * @throws {Error} If the data type is unsupported for serialization, or the data is nested
+   * deeper than {@link MAX_SERIALIZE_DEPTH}.
+   */
+  serializeBinary(data, { canonical = false } = {}) {
+    const writer = new BinaryWriter();
+    const wasCanonical = this.#canonical;
+    this.#canonical = canonical;
+    try {
+      this.#encodeBinary(writer, data, {
+        shared: this.#findShared(data),
+        ids: new Map(),
+        stack: new Set(),
+      });
+    } finally {
+      this.#canonical = wasCanonical;
+    }
+    return writer.toBuffer();
+  }
+
+  /**
+   * Writes one value of a `serializeBinary()` call, as a reference when it was already written.
+   *
+   * @param {BinaryWriter} writer - The output.
+   * @param {any} data - The value.
+   * @param {{ shared: Set<object>, ids: Map<object, number>, stack: Set<object> }} refs - The reference state.
+   * @throws {Error} If the data type is unsupported or has a cycle that can't be tracked.
    */
-  serializeDeep(data) {
-    const type = objType(data) || 'undefined';
-    if (typeof type === 'string' && typeof this.#deepSerialize[type] === 'function')
-      return this.serialize(this.#deepSerialize[type](data));
-    return this.serialize(data);
+  #encodeBinary(writer, data, refs) {
+    if (typeof data !== 'object' || data === null)
+      return this.#encodeBinaryValue(writer, data, refs);
+
+    const knownId = refs.ids.get(data);
+    if (typeof knownId === 'number')
+      return writer.writeExt(EXT_TYPES.ref, (payload) => payload.writeNumber(knownId));
+    if (refs.stack.has(data)) throw new Error('Circular reference could not be serialized.');
+    if (!refs.shared.has(data)) return this.#encodeBinaryValue(writer, data, refs);
+
+    const id = refs.ids.size;
+    refs.ids.set(data, id);
+    writer.writeExt(EXT_TYPES.shared, (payload) => {
+      payload.writeNumber(id);
+      this.#encodeBinaryValue(payload, data, refs);
+    });
+  }
+
+  /**
+   * Writes the representation of one value of a `serializeBinary()` call.
+   *
+   * @param {BinaryWriter} writer - The output.
+   * @param {any} data - The value.
+   * @param {{ shared: Set<object>, ids: Map<object, number>, stack: Set<object> }} refs - The reference state.
+   * @throws {Error} If the data type is unsupported.
+   */
+  #encodeBinaryValue(writer, data, refs) {
+    /** @param {BinaryWriter} output @param {any} item */
+    const encode = (output, item) => this.#encodeBinary(output, item, refs);
+    const type = this.#getType(data);
+    const isObject = typeof data === 'object' && data !== null;
+    if (isObject) {
+      this.#enterSerializeLevel();
+      refs.stack.add(data);
+    }
+    try {
+      switch (type) {
+        case 'null':
+          return writer.writeNil();
+        case 'undefined':
+          return writer.writeExt(EXT_TYPES.undefined, () => {});
+        case 'boolean':
+          return writer.writeBoolean(data);
+        case 'number':
+          return writer.writeNumber(this.#canonical && Object.is(data, -0) ? 0 : data);
+        case 'string':
+          return writer.writeString(data);
+        case 'buffer':
+          return writer.writeBinary(data);
+        case 'array':
+          if (!isDenseArray(data))
+            return writer.writeExt(EXT_TYPES.sparsearray, (payload) => {
+              const keys = this.#orderKeys(Object.keys(data));
+              payload.writeNumber(data.length);
+              payload.writeMapHeader(keys.length);
+              for (const key of keys) {
+                payload.writeString(key);
+                encode(payload, data[key]);
+              }
+            });
+          writer.writeArrayHeader(data.length);
+          for (const item of data) encode(writer, item);
+          return;
+        case 'object': {
+          const keys = this.#orderKeys(Object.keys(data));
+          writer.writeMapHeader(keys.length);
+          for (const key of keys) {
+            writer.writeString(key);
+            encode(writer, data[key]);
+          }
+          return;
+        }
+        case 'bigint':
+          return writer.writeExt(EXT_TYPES.bigint, (payload) => {
+            const magnitude = (data < 0n ? -data : data).toString(16);
+            payload.writeRaw(Buffer.from([data < 0n ? 1 : 0]));
+            payload.writeRaw(
+              Buffer.from(magnitude.length % 2 ? `0${magnitude}` : magnitude, 'hex'),
+            );
+          });
+        case 'date':
+          return writer.writeExt(EXT_TYPES.date, (payload) => payload.writeNumber(data.getTime()));
+        case 'regexp':
+          return writer.writeExt(EXT_TYPES.regexp, (payload) => {
+            payload.writeString(data.source);
+            payload.writeString(data.flags);
+          });
+        case 'symbol':
+          return writer.writeExt(EXT_TYPES.symbol, (payload) =>
+            typeof data.description === 'string'
+              ? payload.writeString(data.description)
+              : payload.writeNil(),
+          );
+        case 'map':
+          return writer.writeExt(EXT_TYPES.map, (payload) => {
+            payload.writeArrayHeader(data.size * 2);
+            for (const [key, value] of this.#orderItems(data)) {
+              encode(payload, key);
+              encode(payload, value);
+            }
+          });
+        case 'set':
+          return writer.writeExt(EXT_TYPES.set, (payload) => {
+            payload.writeArrayHeader(data.size);
+            for (const item of this.#orderItems(data)) encode(payload, item);
+          });
+        case 'arraybuffer':
+          return writer.writeExt(EXT_TYPES.arraybuffer, (payload) =>
+            payload.writeRaw(new Uint8Array(data)),
+          );
+        case 'dataview':
+          return writer.writeExt(EXT_TYPES.dataview, (payload) =>
+            payload.writeRaw(new Uint8Array(data.buffer, data.byteOffset, data.byteLength)),
+          );
+        case 'url':
+          return writer.writeExt(EXT_TYPES.url, (payload) => payload.writeString(data.href));
+        case 'urlsearchparams':
+          return writer.writeExt(EXT_TYPES.urlsearchparams, (payload) =>
+            payload.writeString(data.toString()),
+          );
+        case 'blob':
+          return writer.writeExt(EXT_TYPES.blob, (payload) => {
+            payload.writeString(data.type);
+            payload.writeRaw(this.#getBlobBytes(data));
+          });
+        case 'file':
+          return writer.writeExt(EXT_TYPES.file, (payload) => {
+            payload.writeString(data.name);
+            payload.writeString(data.type);
+            payload.writeNumber(data.lastModified);
+            payload.writeRaw(this.#getBlobBytes(data));
+          });
+        case 'error':
+          return writer.writeExt(EXT_TYPES.error, (payload) =>
+            encode(
+              payload,
+              errorToFields(data, (item) => item),
+            ),
+          );
+      }
+
+      if (typeof type === 'string' && Object.hasOwn(TYPED_ARRAYS, type))
+        return writer.writeExt(EXT_TYPES.typedarray, (payload) => {
+          payload.writeString(type);
+          payload.writeRaw(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+        });
+
+      // Custom types: the type name and the value made by the convert function
+      const node = this.#convert(data);
+      writer.writeExt(EXT_TYPES.custom, (payload) => {
+        payload.writeString(node.__type);
+        encode(payload, node.value);
+      });
+    } finally {
+      if (isObject) {
+        refs.stack.delete(data);
+        this.#serializeDepth--;
+      }
+    }
+  }
+
+  /**
+   * Deserializes bytes made by `serializeBinary()`.
+   *
+   * @param {Uint8Array} data - The serialized bytes.
+   * @param {ValueSchema|null} [expectedType=null] - Optionally specify the expected type of the decrypted data, or a schema of its nested shape.
+   * @returns {DeserializedData} An object containing the deserialized value and its type.
+   * @throws {Error} If the data is malformed, has an unknown type or doesn't match the `expectedType`.
+   * @throws {Error} If the data is nested deeper than {@link MAX_SERIALIZE_DEPTH}.
+   */
+  deserializeBinary(data, expectedType = null) {
+    if (!(data instanceof Uint8Array))
+      throw new Error('Invalid binary data: expected a Buffer or Uint8Array.');
+    const reader = new BinaryReader(data);
+    const result = this.#decodeBinary(reader, new Map());
+    if (!reader.done) throw new Error('Invalid binary data: unexpected trailing bytes.');
+    this.#validateExpected(expectedType, result);
+    return result;
+  }
+
+  /**
+   * Reads one value of a `deserializeBinary()` call.
+   *
+   * @param {BinaryReader} reader - The input.
+   * @param {Map<number, DeserializedData>} refs - The values read so far, by reference id.
+   * @param {number|null} [id=null] - The reference id of the value, if it is shared.
+   * Containers are registered before their items are read, so the items can point back to them.
+   * @param {number} [depth=1] - The nesting depth of the value.
+   * @returns {DeserializedData}
+   * @throws {Error} If the data is malformed, too deep, has an unknown type or is blocked by the safe mode.
+   */
+  #decodeBinary(reader, refs, id = null, depth = 1) {
+    /** @param {DeserializedData} result */
+    const register = (result) => {
+      if (id !== null) refs.set(id, result);
+      return result;
+    };
+    /** @returns {any} */
+    const decode = () => this.#decodeBinary(reader, refs, null, depth + 1).value;
+
+    this.#checkDeserializeDepth(depth);
+    const header = reader.readHeader();
+    const length = header.length ?? 0;
+    if (header.kind !== 'ext') {
+      this.#checkSafeType(NATIVE_TYPE_NAMES[header.kind]);
+      if (header.kind === 'string' || header.kind === 'binary') this.#checkSafeLength(length);
+      if (header.kind === 'array' || header.kind === 'map') {
+        this.#checkSafeDepth(depth);
+        this.#checkSafeSize(length);
+      }
+    }
+
+    switch (header.kind) {
+      case 'nil':
+      case 'boolean':
+      case 'number':
+        return register({ value: header.value, type: NATIVE_TYPE_NAMES[header.kind] });
+      case 'string':
+        return register({ value: reader.readStringBytes(length), type: 'string' });
+      case 'binary':
+        return register({ value: Buffer.from(reader.readBytes(length)), type: 'buffer' });
+      case 'array': {
+        /** @type {any[]} */
+        const value = [];
+        const result = register({ value, type: 'array' });
+        for (let i = 0; i < length; i++) value.push(decode());
+        return result;
+      }
+      case 'map': {
+        /** @type {Record<string, any>} */
+        const value = {};
+        const result = register({ value, type: 'object' });
+        for (let i = 0; i < length; i++) {
+          const key = reader.readString();
+          const item = decode();
+          if (key === '__proto__')
+            Object.defineProperty(value, key, {
+              value: item,
+              writable: true,
+              enumerable: true,
+              configurable: true,
+            });
+          else value[key] = item;
+        }
+        return result;
+      }
+    }
+
+    const type = /** @type {number} */ (header.type);
+    const typeName = EXT_TYPE_NAMES.get(type);
+    if (typeName) this.#checkSafeType(typeName);
+    const end = reader.position + length;
+    const result = this.#decodeBinaryExt(reader, refs, id, type, end, depth);
+    if (reader.position !== end) throw new Error('Invalid binary data: bad extension length.');
+    if (id !== null && !refs.has(id)) refs.set(id, result);
+    return result;
+  }
+
+  /**
+   * Reads the payload of an extension of a `deserializeBinary()` call.
+   *
+   * @param {BinaryReader} reader - The input.
+   * @param {Map<number, DeserializedData>} refs - The values read so far, by reference id.
+   * @param {number|null} id - The reference id of the value, if it is shared.
+   * @param {number} type - The extension code.
+   * @param {number} end - The position where the payload ends.
+   * @param {number} depth - The nesting depth of the value, for the safe mode.
+   * @returns {DeserializedData}
+   * @throws {Error} If the data is malformed, has an unknown type or is blocked by the safe mode.
+   */
+  #decodeBinaryExt(reader, refs, id, type, end, depth) {
+    /** @returns {any} */
+    const decode = () => this.#decodeBinary(reader, refs, null, depth + 1).value;
+    /** @returns {ArrayBuffer} */
+    const readArrayBuffer = () => {
+      this.#checkSafeLength(end - reader.position);
+      const bytes = reader.readBytes(end - reader.position);
+      const result = new ArrayBuffer(bytes.length);
+      new Uint8Array(result).set(bytes);
+      return result;
+    };
+
+    switch (type) {
+      case EXT_TYPES.undefined:
+        return { value: undefined, type: 'undefined' };
+      case EXT_TYPES.bigint: {
+        const bytes = reader.readBytes(end - reader.position);
+        if (bytes.length === 0) throw new Error('Invalid binary data: empty BigInt.');
+        const magnitude = bytes.length > 1 ? BigInt(`0x${bytes.subarray(1).toString('hex')}`) : 0n;
+        return { value: bytes[0] === 1 ? -magnitude : magnitude, type: 'bigint' };
+      }
+      case EXT_TYPES.date:
+        return { value: new Date(decode()), type: 'date' };
+      case EXT_TYPES.regexp: {
+        const source = reader.readString();
+        this.#checkSafeLength(source.length);
+        return { value: new RegExp(source, reader.readString()), type: 'regexp' };
+      }
+      case EXT_TYPES.symbol: {
+        const description = decode();
+        return { value: Symbol(description ?? undefined), type: 'symbol' };
+      }
+      case EXT_TYPES.map: {
+        const header = reader.readHeader();
+        if (header.kind !== 'array') throw new Error('Invalid binary data: bad Map.');
+        this.#checkSafeDepth(depth);
+        this.#checkSafeSize((header.length ?? 0) / 2);
+        /** @type {Map<any, any>} */
+        const value = new Map();
+        const result = { value, type: 'map' };
+        if (id !== null) refs.set(id, result);
+        for (let i = 0; i < (header.length ?? 0); i += 2) value.set(decode(), decode());
+        return result;
+      }
+      case EXT_TYPES.set: {
+        const header = reader.readHeader();
+        if (header.kind !== 'array') throw new Error('Invalid binary data: bad Set.');
+        this.#checkSafeDepth(depth);
+        this.#checkSafeSize(header.length ?? 0);
+        /** @type {Set<any>} */
+        const value = new Set();
+        const result = { value, type: 'set' };
+        if (id !== null) refs.set(id, result);
+        for (let i = 0; i < (header.length ?? 0); i++) value.add(decode());
+        return result;
+      }
+      case EXT_TYPES.typedarray: {
+        const typeName = reader.readString();
+        if (!Object.hasOwn(TYPED_ARRAYS, typeName))
+          throw new Error(`Invalid binary data: unknown typed array "${typeName}".`);
+        this.#checkSafeType(typeName);
+        return { value: new TYPED_ARRAYS[typeName](readArrayBuffer()), type: typeName };
+      }
+      case EXT_TYPES.arraybuffer:
+        return { value: readArrayBuffer(), type: 'arraybuffer' };
+      case EXT_TYPES.dataview:
+        return { value: new DataView(readArrayBuffer()), type: 'dataview' };
+      case EXT_TYPES.url:
+      case EXT_TYPES.urlsearchparams: {
+        const text = reader.readString();
+        this.#checkSafeLength(text.length);
+        return type === EXT_TYPES.url
+          ? { value: new URL(text), type: 'url' }
+          : { value: new URLSearchParams(text), type: 'urlsearchparams' };
+      }
+      case EXT_TYPES.blob: {
+        const mimeType = reader.readString();
+        return { value: toBlob(readArrayBuffer(), { type: mimeType }), type: 'blob' };
+      }
+      case EXT_TYPES.file: {
+        const name = reader.readString();
+        const mimeType = reader.readString();
+        const lastModified = decode();
+        if (typeof lastModified !== 'number') throw new Error('Invalid binary data: bad File.');
+        return {
+          value: toBlob(readArrayBuffer(), { type: mimeType, name, lastModified }),
+          type: 'file',
+        };
+      }
+      case EXT_TYPES.error:
+        this.#checkSafeDepth(depth);
+        return { value: fieldsToError(decode(), (item) => item), type: 'error' };
+      case EXT_TYPES.sparsearray: {
+        const length = reader.readHeader().value;
+        const header = reader.readHeader();
+        if (!isArrayLength(length) || header.kind !== 'map')
+          throw new Error('Invalid binary data: bad sparse array.');
+        this.#checkSafeDepth(depth);
+        this.#checkSafeSize(Math.max(length, header.length ?? 0));
+        /** @type {any[]} */
+        const value = [];
+        value.length = length;
+        const result = { value, type: 'array' };
+        if (id !== null) refs.set(id, result);
+        for (let i = 0; i < (header.length ?? 0); i++) {
+          const key = reader.readString();
+          if (key === 'length') throw new Error('Invalid binary data: bad sparse array.');
+          defineField(value, key, decode());
+        }
+        if (value.length !== length) throw new Error('Invalid binary data: bad sparse array.');
+        return result;
+      }
+      case EXT_TYPES.ref: {
+        const refId = decode();
+        const target = refs.get(refId);
+        if (!target) throw new Error(`Invalid reference: no value with the id ${refId}.`);
+        return target;
+      }
+      case EXT_TYPES.shared: {
+        if (id !== null) throw new Error('Invalid binary data: the value is already shared.');
+        const sharedId = decode();
+        if (!Number.isInteger(sharedId) || refs.has(sharedId))
+          throw new Error(`Invalid reference: duplicate id ${sharedId}.`);
+        return this.#decodeBinary(reader, refs, sharedId, depth);
+      }
+      case EXT_TYPES.custom: {
+        const typeName = reader.readString();
+        if (!Object.hasOwn(this.#valueTypes, typeName))
+          throw new Error(`Invalid binary data: unknown type "${typeName}".`);
+        this.#checkSafeType(typeName);
+        if (this.#deepDeserialize[typeName]) this.#checkSafeDepth(depth);
+
+        // Registered classes are created before their fields are read, so the fields can point back
+        const registered = this.#classes.get(typeName);
+        if (id !== null && registered && !registered.fromJSON) {
+          const result = { value: Object.create(registered.Class.prototype), type: typeName };
+          refs.set(id, result);
+          assignFields(result.value, decode());
+          return result;
+        }
+        return { value: this.#valueTypes[typeName](decode()), type: typeName };
+      }
+      default:
+        throw new Error(`Invalid binary data: unknown extension type ${type}.`);
+    }
   }
 
   /**
@@ -420,19 +2162,72 @@ class TinyCryptoParser {
    * If the data is an object or array, it will traverse each entry and deserialize them individually.
    *
    * @param {string} text - The serialized data to be deeply deserialized.
-   * @param {string|null} [expectedType=null] - Optionally specify the expected type of the decrypted data.
+   * @param {ValueSchema|null} [expectedType=null] - Optionally specify the expected type of the decrypted data, or a schema of its nested shape.
    * @returns {DeserializedData} An object containing the deserialized value and its type.
    * @throws {Error} If deserialization fails due to an invalid or unknown type.
+   * @throws {Error} If the data is nested deeper than {@link MAX_SERIALIZE_DEPTH}.
    */
   deserializeDeep(text, expectedType = null) {
-    const { value, type } = this.deserialize(text, expectedType);
-    return {
-      value:
-        typeof this.#deepDeserialize[type] === 'function'
-          ? this.#deepDeserialize[type](value)
-          : value,
-      type,
-    };
+    const typeName = typeof expectedType === 'string' ? expectedType : null;
+    const refs = this.#deserializeRefs ?? new Map();
+    const isRoot = refs !== this.#deserializeRefs;
+    if (isRoot) this.#deserializeRefs = refs;
+    this.#deserializeDepth++;
+    try {
+      this.#checkDeserializeDepth(this.#deserializeDepth);
+      const result = this.#deserializeDeepNode(text, typeName, refs);
+      if (typeName === null) this.#validateExpected(expectedType, result);
+      return result;
+    } catch (err) {
+      if (err instanceof Error) this.#deserializeErrors.add(err);
+      throw err;
+    } finally {
+      this.#deserializeDepth--;
+      if (isRoot) this.#deserializeRefs = null;
+    }
+  }
+
+  /**
+   * Deserializes one value of a `deserializeDeep()` call.
+   *
+   * Values with an `__id` are registered before their children are read, so the children can
+   * point back to them.
+   *
+   * @param {string} text - The serialized value.
+   * @param {string|null} expectedType - The expected type, if any.
+   * @param {Map<number, DeserializedData>} refs - The values read so far, by reference id.
+   * @returns {DeserializedData}
+   * @throws {Error} If a reference points to an unknown id, or the type doesn't match.
+   */
+  #deserializeDeepNode(text, expectedType, refs) {
+    const node = this.#readNode(text);
+    if (node.ref !== null) {
+      const target = refs.get(node.ref);
+      if (!target) throw new Error(`Invalid reference: no value with the id ${node.ref}.`);
+      if (expectedType) this.#validateDeserializedType(expectedType, target.type);
+      return target;
+    }
+
+    const { value, type, id } = node;
+    if (expectedType) this.#validateDeserializedType(expectedType, type);
+    if (id !== null && refs.has(id)) throw new Error(`Invalid reference: duplicate id ${id}.`);
+
+    const deserializeDeep = this.#deepDeserialize[type];
+    if (typeof deserializeDeep !== 'function') {
+      if (id !== null) refs.set(id, { value, type });
+      return { value, type };
+    }
+
+    if (id !== null && typeof this.#deepTargets[type] === 'function') {
+      const result = { value: this.#deepTargets[type](), type };
+      refs.set(id, result);
+      deserializeDeep(value, result.value);
+      return result;
+    }
+
+    const result = { value: deserializeDeep(value), type };
+    if (id !== null) refs.set(id, result);
+    return result;
   }
 }
 
@@ -0,0 +1,152 @@
+import { Buffer } from 'buffer';
+
+/**
+ * Describes how an algorithm is used by TinyCrypto.
+ *
+ * @typedef {Object} AlgorithmSpec
+ * @property {'aead'|'cbc-hmac'} mode - `aead` uses the cipher auth tag, `cbc-hmac` uses encrypt-then-MAC.
+ * @property {number} keyLength - Key length in bytes.
+ * @property {number} ivLength - Default IV length in bytes.
+ * @property {number} tagLength - Default authentication tag length in bytes.
+ * @property {number[]} tagLengths - Allowed authentication tag lengths.
+ * @property {string} [cipher] - Underlying block cipher (`cbc-hmac` only).
+ * @property {string} [digest] - HMAC digest (`cbc-hmac` only).
+ */
+
+/** Tag lengths accepted by AES-GCM. */
+const GCM_TAG_LENGTHS = [4, 8, 12, 13, 14, 15, 16];
+
+/**
+ * Algorithms supported by TinyCrypto.
+ * @type {Record<string, AlgorithmSpec>}
+ */
+export const ALGORITHMS = {
+  'aes-128-gcm': {
+    mode: 'aead',
+    keyLength: 16,
+    ivLength: 12,
+    tagLength: 16,
+    tagLengths: GCM_TAG_LENGTHS,
+  },
+  'aes-192-gcm': {
+    mode: 'aead',
+    keyLength: 24,
+    ivLength: 12,
+    tagLength: 16,
+    tagLengths: GCM_TAG_LENGTHS,
+  },
+  'aes-256-gcm': {
+    mode: 'aead',
+    keyLength: 32,
+    ivLength: 12,
+    tagLength: 16,
+    tagLengths: GCM_TAG_LENGTHS,
+  },
+  'chacha20-poly1305': {
+    mode: 'aead',
+    keyLength: 32,
+    ivLength: 12,
+    tagLength: 16,
+    tagLengths: [16],
+  },
+  'aes-256-cbc-hmac-sha256': {
+    mode: 'cbc-hmac',
+    keyLength: 64,
+    ivLength: 16,
+    tagLength: 32,
+    tagLengths: [16, 24, 32],
+    cipher: 'aes-256-cbc',
+    digest: 'sha256',
+  },
+};
+
+/**
+ * Returns the spec of a supported algorithm.
+ *
+ * @param {string} algorithm - The algorithm name.
+ * @returns {AlgorithmSpec}
+ * @throws {Error} If the algorithm is not supported.
+ */
+export function getAlgorithm(algorithm) {
+  if (typeof algorithm !== 'string' || !Object.hasOwn(ALGORITHMS, algorithm))
+    throw new Error(
+      `Unsupported algorithm "${algorithm}". Expected one of: ${Object.keys(ALGORITHMS).join(', ')}.`,
+    );
+  return ALGORITHMS[algorithm];
+}
+
+/**
+ * Checks that an authentication tag length is allowed by an algorithm.
+ *
+ * @param {string} algorithm - The algorithm name.
+ * @param {number} authTagLength - The tag length in bytes.
+ * @throws {Error} If the algorithm is not supported or the tag length is not allowed.
+ */
+export function checkAuthTagLength(algorithm, authTagLength) {
+  const { tagLengths } = getAlgorithm(algorithm);
+  if (!tagLengths.includes(authTagLength))
+    throw new Error(
+      `Invalid auth tag length ${authTagLength} for "${algorithm}". Expected one of: ${tagLengths.join(', ')}.`,
+    );
+}
+
+/**
+ * @typedef {Object} CipherParams
+ * @property {string} algorithm - The algorithm name.
+ * @property {Buffer} key - The key.
+ * @property {Buffer} iv - The IV.
+ * @property {number} authTagLength - The authentication tag length.
+ * @property {Buffer|null} [aad=null] - Additional authenticated data.
+ */
+
+/**
+ * Checks the algorithm and the key, IV and tag sizes before they reach the cipher.
+ *
+ * @param {CipherParams} params - Cipher parameters.
+ * @returns {AlgorithmSpec} The spec of the algorithm.
+ * @throws {Error} If the algorithm is not supported or a size is invalid.
+ */
+export function checkCipherParams({ algorithm, key, iv, authTagLength }) {
+  const spec = getAlgorithm(algorithm);
+  if (key.length !== spec.keyLength)
+    throw new Error(
+      `Invalid key length for "${algorithm}": expected ${spec.keyLength} bytes, got ${key.length}.`,
+    );
+  if (spec.mode === 'cbc-hmac' && iv.length !== spec.ivLength)
+    throw new Error(
+      `Invalid IV length for "${algorithm}": expected ${spec.ivLength} bytes, got ${iv.length}.`,
+    );
+  checkAuthTagLength(algorithm, authTagLength);
+  return spec;
+}
+
+/**
+ * Builds the bytes authenticated by the encrypt-then-MAC tag of `aes-*-cbc-hmac-*`:
+ * `aad | iv | ciphertext | AAD length in bits as uint64 BE`.
+ *
+ * @param {Buffer|null} aad
+ * @param {Buffer} iv
+ * @param {Buffer} encrypted
+ * @returns {Buffer}
+ */
+export function buildMacData(aad, iv, encrypted) {
+  const aadBytes = aad ?? Buffer.alloc(0);
+  const aadBits = Buffer.alloc(8);
+  aadBits.writeBigUInt64BE(BigInt(aadBytes.length) * 8n);
+  return Buffer.concat([aadBytes, iv, encrypted, aadBits]);
+}
+
+/**
+ * Compares two byte arrays in constant time. Unlike `crypto.timingSafeEqual()`, it also works
+ * with the browser polyfills of the `crypto` module.
+ *
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+export function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
@@ -0,0 +1,232 @@
+import { Buffer } from 'buffer';
+
+import { buildMacData, checkCipherParams, safeEqual } from './algorithms.mjs';
+import { getNodeRuntime, hasNodeRuntime } from './runtime.mjs';
+
+/** @typedef {import('./algorithms.mjs').CipherParams} CipherParams */
+
+/**
+ * A crypto backend runs the ciphers used by the async methods of TinyCrypto.
+ * Every backend must produce the same bytes, so data can move between them.
+ *
+ * @typedef {Object} CryptoBackend
+ * @property {string} name - The backend name.
+ * @property {(algorithm: string) => boolean} [supports] - Checks whether the backend can run an algorithm.
+ * @property {(plain: Buffer, params: CipherParams) => Promise<{ encrypted: Buffer, authTag: Buffer }>} encrypt - Encrypts bytes.
+ * @property {(encrypted: Buffer, authTag: Buffer, params: CipherParams) => Promise<Buffer>} decrypt - Decrypts bytes.
+ */
+
+/**
+ * @typedef {'auto'|'node'|'webcrypto'|CryptoBackend} BackendOption
+ */
+
+/**
+ * Loads the ciphers of the Node.js `crypto` module on first use, so runtimes that only use the
+ * WebCrypto backend never load them. Bundlers leave the import out of the browser build.
+ * @returns {Promise<typeof import('./nodeCrypto.mjs')>}
+ * @throws {Error} If the runtime has no Node.js `crypto` module.
+ */
+async function loadNodeCiphers() {
+  if (hasNodeRuntime()) return getNodeRuntime('The node backend').ciphers;
+  try {
+    return await import(/* webpackIgnore: true */ './nodeCrypto.mjs');
+  } catch {
+    throw new Error('The node backend needs the Node.js crypto module.');
+  }
+}
+
+/**
+ * Backend that uses the `crypto` module of Node.js. It supports every algorithm.
+ * @type {CryptoBackend}
+ */
+export const nodeBackend = {
+  name: 'node',
+  supports: () => true,
+  encrypt: async (plain, params) => (await loadNodeCiphers()).encryptBytes(plain, params),
+  decrypt: async (encrypted, authTag, params) =>
+    (await loadNodeCiphers()).decryptBytes(encrypted, authTag, params),
+};
+
+/** Algorithms available in every WebCrypto implementation. */
+const WEBCRYPTO_ALGORITHMS = ['aes-128-gcm', 'aes-256-gcm', 'aes-256-cbc-hmac-sha256'];
+
+/**
+ * Returns the WebCrypto `SubtleCrypto` object of the runtime, if any.
+ * @returns {SubtleCrypto|null}
+ */
+export function getSubtle() {
+  return globalThis.crypto?.subtle ?? null;
+}
+
+/** Biggest amount of bytes `crypto.getRandomValues()` accepts in a single call. */
+const MAX_RANDOM_VALUES = 65536;
+
+/**
+ * Generates random bytes with `crypto.getRandomValues()`, without the Node.js `crypto` module.
+ *
+ * @param {number} size - The number of bytes.
+ * @returns {Buffer}
+ */
+export function webRandomBytes(size) {
+  const bytes = Buffer.alloc(size);
+  for (let offset = 0; offset < size; offset += MAX_RANDOM_VALUES)
+    globalThis.crypto.getRandomValues(bytes.subarray(offset, offset + MAX_RANDOM_VALUES));
+  return bytes;
+}
+
+/**
+ * Generates random bytes, with `crypto.getRandomValues()` when the runtime has it and with the
+ * Node.js `crypto` module otherwise (Node.js 18 and older).
+ *
+ * @param {number} size - The number of bytes.
+ * @returns {Buffer}
+ * @throws {Error} If the runtime has no source of secure random bytes.
+ */
+export function randomBytes(size) {
+  if (typeof globalThis.crypto?.getRandomValues === 'function') return webRandomBytes(size);
+  return getNodeRuntime('Generating random bytes').ciphers.randomBytes(size);
+}
+
+/**
+ * Computes an HMAC-SHA256 with WebCrypto.
+ *
+ * @param {SubtleCrypto} subtle
+ * @param {Buffer} macKey
+ * @param {Buffer} data
+ * @returns {Promise<Buffer>}
+ */
+async function webHmac(subtle, macKey, data) {
+  const key = await subtle.importKey('raw', macKey, { name: 'HMAC', hash: 'SHA-256' }, false, [
+    'sign',
+  ]);
+  return Buffer.from(await subtle.sign('HMAC', key, data));
+}
+
+/**
+ * Computes an HMAC-SHA256, with WebCrypto when the runtime has it and with Node.js otherwise.
+ *
+ * @param {Buffer} macKey - The MAC key.
+ * @param {Buffer} data - The authenticated data.
+ * @returns {Promise<Buffer>}
+ */
+export async function hmacSha256(macKey, data) {
+  const subtle = getSubtle();
+  if (subtle) return webHmac(subtle, macKey, data);
+  return (await loadNodeCiphers()).hmac('sha256', macKey, data);
+}
+
+/**
+ * Computes the HMAC-SHA256 tag of the `aes-256-cbc-hmac-sha256` algorithm with WebCrypto.
+ *
+ * @param {SubtleCrypto} subtle
+ * @param {Buffer} macKey
+ * @param {CipherParams} params
+ * @param {Buffer} encrypted
+ * @returns {Promise<Buffer>}
+ */
+async function webMac(subtle, macKey, { iv, aad = null, authTagLength }, encrypted) {
+  const mac = await webHmac(subtle, macKey, buildMacData(aad, iv, encrypted));
+  return mac.subarray(0, authTagLength);
+}
+
+/**
+ * Backend that uses `globalThis.crypto.subtle` (browsers, Deno, Bun and Node.js 19+).
+ * It supports AES-128/256-GCM and AES-256-CBC+HMAC. ChaCha20-Poly1305 and AES-192 are not
+ * available in WebCrypto.
+ * @type {CryptoBackend}
+ */
+export const webCryptoBackend = {
+  name: 'webcrypto',
+  supports: (algorithm) => getSubtle() !== null && WEBCRYPTO_ALGORITHMS.includes(algorithm),
+
+  async encrypt(plain, params) {
+    const subtle = getSubtle();
+    if (!subtle || !WEBCRYPTO_ALGORITHMS.includes(params.algorithm))
+      throw new Error(`The WebCrypto backend does not support "${params.algorithm}".`);
+    const spec = checkCipherParams(params);
+    const { key, iv, aad = null, authTagLength } = params;
+
+    if (spec.mode === 'cbc-hmac') {
+      const half = spec.keyLength / 2;
+      const encKey = await subtle.importKey('raw', key.subarray(0, half), 'AES-CBC', false, [
+        'encrypt',
+      ]);
+      const encrypted = Buffer.from(await subtle.encrypt({ name: 'AES-CBC', iv }, encKey, plain));
+      return { encrypted, authTag: await webMac(subtle, key.subarray(half), params, encrypted) };
+    }
+
+    const cryptoKey = await subtle.importKey('raw', key, 'AES-GCM', false, ['encrypt']);
+    /** @type {AesGcmParams} */
+    const gcmParams = { name: 'AES-GCM', iv, tagLength: authTagLength * 8 };
+    if (aad) gcmParams.additionalData = aad;
+    // WebCrypto appends the auth tag to the ciphertext
+    const output = Buffer.from(await subtle.encrypt(gcmParams, cryptoKey, plain));
+    return {
+      encrypted: output.subarray(0, output.length - authTagLength),
+      authTag: output.subarray(output.length - authTagLength),
+    };
+  },
+
+  async decrypt(encrypted, authTag, params) {
+    const subtle = getSubtle();
+    if (!subtle || !WEBCRYPTO_ALGORITHMS.includes(params.algorithm))
+      throw new Error(`The WebCrypto backend does not support "${params.algorithm}".`);
+    const spec = checkCipherParams(params);
+    const { key, iv, aad = null, authTagLength } = params;
+
+    if (spec.mode === 'cbc-hmac') {
+      const half = spec.keyLength / 2;
+      const expected = await webMac(subtle, key.subarray(half), params, encrypted);
+      if (!safeEqual(authTag, expected))
+        throw new Error('Unsupported state or unable to authenticate data');
+      const encKey = await subtle.importKey('raw', key.subarray(0, half), 'AES-CBC', false, [
+        'decrypt',
+      ]);
+      return Buffer.from(await subtle.decrypt({ name: 'AES-CBC', iv }, encKey, encrypted));
+    }
+
+    const cryptoKey = await subtle.importKey('raw', key, 'AES-GCM', false, ['decrypt']);
+    /** @type {AesGcmParams} */
+    const gcmParams = { name: 'AES-GCM', iv, tagLength: authTagLength * 8 };
+    if (aad) gcmParams.additionalData = aad;
+    try {
+      return Buffer.from(
+        await subtle.decrypt(gcmParams, cryptoKey, Buffer.concat([encrypted, authTag])),
+      );
+    } catch {
+      // WebCrypto throws a generic OperationError, use the same message as the Node.js backend
+      throw new Error('Unsupported state or unable to authenticate data');
+    }
+  },
+};
+
+/**
+ * Picks the backend used for an algorithm.
+ *
+ * - `'auto'`: WebCrypto when the runtime has it and it supports the algorithm, Node.js otherwise.
+ * - `'node'` / `'webcrypto'`: always that backend.
+ * - An object: a custom {@link CryptoBackend}.
+ *
+ * @param {BackendOption} backend - The backend option.
+ * @param {string} algorithm - The algorithm name.
+ * @returns {CryptoBackend}
+ * @throws {Error} If the backend option is invalid.
+ */
+export function resolveBackend(backend, algorithm) {
+  if (backend === 'auto')
+    return getSubtle() !== null && WEBCRYPTO_ALGORITHMS.includes(algorithm)
+      ? webCryptoBackend
+      : nodeBackend;
+  if (backend === 'node') return nodeBackend;
+  if (backend === 'webcrypto') return webCryptoBackend;
+  if (
+    typeof backend === 'object' &&
+    backend !== null &&
+    typeof backend.encrypt === 'function' &&
+    typeof backend.decrypt === 'function'
+  )
+    return backend;
+  throw new Error(
+    'Invalid backend. Expected "auto", "node", "webcrypto" or an object with encrypt() and decrypt().',
+  );
+}
@@ -0,0 +1,364 @@
+import { Buffer } from 'buffer';
+
+/**
+ * Extension type codes of the binary format. Extensions carry the JavaScript types that have no
+ * native MessagePack representation.
+ * @type {Readonly<Record<string, number>>}
+ */
+export const EXT_TYPES = Object.freeze({
+  undefined: 1,
+  bigint: 2,
+  date: 3,
+  map: 4,
+  set: 5,
+  regexp: 6,
+  symbol: 7,
+  typedarray: 8,
+  arraybuffer: 9,
+  dataview: 10,
+  error: 11,
+  ref: 12,
+  shared: 13,
+  custom: 14,
+  url: 15,
+  urlsearchparams: 16,
+  blob: 17,
+  file: 18,
+  sparsearray: 19,
+});
+
+/**
+ * Writes values in a MessagePack-like binary format.
+ *
+ * The layout of nil, booleans, numbers, strings, binaries, arrays and maps follows MessagePack.
+ * Extensions use the MessagePack `ext 8/16/32` headers with the codes of {@link EXT_TYPES}.
+ *
+ * @class
+ */
+export class BinaryWriter {
+  /** @type {Buffer[]} */
+  #parts = [];
+
+  /** @type {number} */
+  #length = 0;
+
+  /**
+   * Appends raw bytes.
+   * @param {Buffer} bytes
+   */
+  #push(bytes) {
+    this.#parts.push(bytes);
+    this.#length += bytes.length;
+  }
+
+  /**
+   * Appends a header byte followed by an unsigned integer of 1, 2 or 4 bytes.
+   *
+   * @param {number} tag - The header byte.
+   * @param {number} size - The integer size in bytes.
+   * @param {number} value - The integer.
+   */
+  #pushSized(tag, size, value) {
+    const bytes = Buffer.alloc(1 + size);
+    bytes[0] = tag;
+    bytes.writeUIntBE(value, 1, size);
+    this.#push(bytes);
+  }
+
+  /**
+   * Appends a length header of a family of types (fix / 8 / 16 / 32 bits).
+   *
+   * @param {number} length - The length.
+   * @param {number|null} fixTag - The first tag of the fix variant, if any.
+   * @param {number} fixMax - The biggest length of the fix variant.
+   * @param {[number|null, number, number]} tags - The tags of the 8, 16 and 32 bits variants.
+   */
+  #pushLength(length, fixTag, fixMax, [tag8, tag16, tag32]) {
+    if (fixTag !== null && length <= fixMax) this.#push(Buffer.from([fixTag | length]));
+    else if (tag8 !== null && length <= 0xff) this.#pushSized(tag8, 1, length);
+    else if (length <= 0xffff) this.#pushSized(tag16, 2, length);
+    else if (length <= 0xffffffff) this.#pushSized(tag32, 4, length);
+    else throw new Error('Binary serialization failed: value too large.');
+  }
+
+  /** Writes `null`. */
+  writeNil() {
+    this.#push(Buffer.from([0xc0]));
+  }
+
+  /** @param {boolean} value */
+  writeBoolean(value) {
+    this.#push(Buffer.from([value ? 0xc3 : 0xc2]));
+  }
+
+  /**
+   * Writes a number. Safe integers use the smallest integer encoding, everything else
+   * (including `-0`, `NaN` and `Infinity`) is a float 64.
+   *
+   * @param {number} value
+   */
+  writeNumber(value) {
+    if (!Number.isSafeInteger(value) || Object.is(value, -0)) {
+      const bytes = Buffer.alloc(9);
+      bytes[0] = 0xcb;
+      bytes.writeDoubleBE(value, 1);
+      return this.#push(bytes);
+    }
+
+    if (value >= 0) {
+      if (value <= 0x7f) return this.#push(Buffer.from([value]));
+      if (value <= 0xff) return this.#pushSized(0xcc, 1, value);
+      if (value <= 0xffff) return this.#pushSized(0xcd, 2, value);
+      if (value <= 0xffffffff) return this.#pushSized(0xce, 4, value);
+      const bytes = Buffer.alloc(9);
+      bytes[0] = 0xcf;
+      bytes.writeBigUInt64BE(BigInt(value), 1);
+      return this.#push(bytes);
+    }
+
+    if (value >= -32) return this.#push(Buffer.from([value & 0xff]));
+    const bytes = Buffer.alloc(9);
+    if (value >= -0x80) {
+      bytes[0] = 0xd0;
+      bytes.writeInt8(value, 1);
+      return this.#push(bytes.subarray(0, 2));
+    }
+    if (value >= -0x8000) {
+      bytes[0] = 0xd1;
+      bytes.writeInt16BE(value, 1);
+      return this.#push(bytes.subarray(0, 3));
+    }
+    if (value >= -0x80000000) {
+      bytes[0] = 0xd2;
+      bytes.writeInt32BE(value, 1);
+      return this.#push(bytes.subarray(0, 5));
+    }
+    bytes[0] = 0xd3;
+    bytes.writeBigInt64BE(BigInt(value), 1);
+    this.#push(bytes);
+  }
+
+  /** @param {string} value */
+  writeString(value) {
+    const bytes = Buffer.from(value, 'utf8');
+    this.#pushLength(bytes.length, 0xa0, 31, [0xd9, 0xda, 0xdb]);
+    this.#push(bytes);
+  }
+
+  /** @param {Uint8Array} value */
+  writeBinary(value) {
+    this.#pushLength(value.length, null, 0, [0xc4, 0xc5, 0xc6]);
+    this.#push(Buffer.from(value.buffer, value.byteOffset, value.byteLength));
+  }
+
+  /**
+   * Writes the header of an array. The items must be written next.
+   * @param {number} length
+   */
+  writeArrayHeader(length) {
+    this.#pushLength(length, 0x90, 15, [null, 0xdc, 0xdd]);
+  }
+
+  /**
+   * Writes the header of a map. The keys and values must be written next, alternated.
+   * @param {number} length - The number of entries.
+   */
+  writeMapHeader(length) {
+    this.#pushLength(length, 0x80, 15, [null, 0xde, 0xdf]);
+  }
+
+  /**
+   * Writes an extension. The payload is written by `writePayload` into its own writer,
+   * so its length can be put in the header.
+   *
+   * @param {number} type - The extension code.
+   * @param {(writer: BinaryWriter) => void} writePayload - Writes the payload.
+   */
+  writeExt(type, writePayload) {
+    const payload = new BinaryWriter();
+    writePayload(payload);
+    const bytes = payload.toBuffer();
+    this.#pushLength(bytes.length, null, 0, [0xc7, 0xc8, 0xc9]);
+    this.#push(Buffer.from([type]));
+    this.#push(bytes);
+  }
+
+  /**
+   * Writes raw bytes, without any header. Only valid inside extension payloads.
+   * @param {Uint8Array} bytes
+   */
+  writeRaw(bytes) {
+    this.#push(Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+  }
+
+  /**
+   * Returns the written bytes.
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    return Buffer.concat(this.#parts, this.#length);
+  }
+}
+
+/**
+ * A header read by {@link BinaryReader}.
+ *
+ * @typedef {Object} BinaryHeader
+ * @property {'nil'|'boolean'|'number'|'string'|'binary'|'array'|'map'|'ext'} kind - The kind of value.
+ * @property {*} [value] - The value of nil, booleans and numbers.
+ * @property {number} [length] - The length of strings, binaries, arrays, maps and extensions.
+ * @property {number} [type] - The code of extensions.
+ */
+
+/**
+ * Reads values written by {@link BinaryWriter}.
+ *
+ * @class
+ */
+export class BinaryReader {
+  /** @type {Buffer} */
+  #data;
+
+  /** @type {number} */
+  #offset = 0;
+
+  /**
+   * @param {Uint8Array} data - The bytes to read.
+   */
+  constructor(data) {
+    this.#data = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  }
+
+  /**
+   * Whether every byte was read.
+   * @returns {boolean}
+   */
+  get done() {
+    return this.#offset >= this.#data.length;
+  }
+
+  /**
+   * The amount of bytes read so far.
+   * @returns {number}
+   */
+  get position() {
+    return this.#offset;
+  }
+
+  /**
+   * Moves the offset forward, checking that the bytes exist.
+   *
+   * @param {number} size - Amount of bytes.
+   * @returns {number} The offset before the move.
+   * @throws {Error} If the data is truncated.
+   */
+  #take(size) {
+    if (this.#offset + size > this.#data.length)
+      throw new Error('Invalid binary data: unexpected end of data.');
+    const start = this.#offset;
+    this.#offset += size;
+    return start;
+  }
+
+  /**
+   * Reads an unsigned big-endian integer.
+   * @param {number} size - The integer size in bytes.
+   * @returns {number}
+   */
+  #readUInt(size) {
+    return this.#data.readUIntBE(this.#take(size), size);
+  }
+
+  /**
+   * Reads the header of the next value.
+   *
+   * @returns {BinaryHeader}
+   * @throws {Error} If the data is truncated or has an unknown tag.
+   */
+  readHeader() {
+    const tag = this.#data[this.#take(1)];
+    if (tag <= 0x7f) return { kind: 'number', value: tag };
+    if (tag >= 0xe0) return { kind: 'number', value: tag - 0x100 };
+    if (tag >= 0xa0 && tag <= 0xbf) return { kind: 'string', length: tag & 0x1f };
+    if (tag >= 0x90 && tag <= 0x9f) return { kind: 'array', length: tag & 0x0f };
+    if (tag >= 0x80 && tag <= 0x8f) return { kind: 'map', length: tag & 0x0f };
+
+    switch (tag) {
+      case 0xc0:
+        return { kind: 'nil', value: null };
+      case 0xc2:
+        return { kind: 'boolean', value: false };
+      case 0xc3:
+        return { kind: 'boolean', value: true };
+      case 0xc4:
+      case 0xc5:
+      case 0xc6:
+        return { kind: 'binary', length: this.#readUInt(2 ** (tag - 0xc4)) };
+      case 0xc7:
+      case 0xc8:
+      case 0xc9: {
+        const length = this.#readUInt(2 ** (tag - 0xc7));
+        return { kind: 'ext', length, type: this.#readUInt(1) };
+      }
+      case 0xcb:
+        return { kind: 'number', value: this.#data.readDoubleBE(this.#take(8)) };
+      case 0xcc:
+      case 0xcd:
+      case 0xce:
+        return { kind: 'number', value: this.#readUInt(2 ** (tag - 0xcc)) };
+      case 0xcf:
+        return { kind: 'number', value: Number(this.#data.readBigUInt64BE(this.#take(8))) };
+      case 0xd0:
+        return { kind: 'number', value: this.#data.readInt8(this.#take(1)) };
+      case 0xd1:
+        return { kind: 'number', value: this.#data.readInt16BE(this.#take(2)) };
+      case 0xd2:
+        return { kind: 'number', value: this.#data.readInt32BE(this.#take(4)) };
+      case 0xd3:
+        return { kind: 'number', value: Number(this.#data.readBigInt64BE(this.#take(8))) };
+      case 0xd9:
+      case 0xda:
+      case 0xdb:
+        return { kind: 'string', length: this.#readUInt(2 ** (tag - 0xd9)) };
+      case 0xdc:
+      case 0xdd:
+        return { kind: 'array', length: this.#readUInt(tag === 0xdc ? 2 : 4) };
+      case 0xde:
+      case 0xdf:
+        return { kind: 'map', length: this.#readUInt(tag === 0xde ? 2 : 4) };
+      default:
+        throw new Error(`Invalid binary data: unknown tag 0x${tag.toString(16)}.`);
+    }
+  }
+
+  /**
+   * Reads the bytes of a string.
+   * @param {number} length
+   * @returns {string}
+   */
+  readStringBytes(length) {
+    const start = this.#take(length);
+    return this.#data.toString('utf8', start, start + length);
+  }
+
+  /**
+   * Reads raw bytes. The result shares memory with the data.
+   * @param {number} length
+   * @returns {Buffer}
+   */
+  readBytes(length) {
+    const start = this.#take(length);
+    return this.#data.subarray(start, start + length);
+  }
+
+  /**
+   * Reads a string value (header included).
+   * @returns {string}
+   * @throws {Error} If the next value is not a string.
+   */
+  readString() {
+    const header = this.readHeader();
+    if (header.kind !== 'string') throw new Error('Invalid binary data: expected a string.');
+    return this.readStringBytes(/** @type {number} */ (header.length));
+  }
+}
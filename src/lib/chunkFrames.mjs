@@ -0,0 +1,313 @@
+import { Buffer } from 'buffer';
+
+/**
+ * Magic bytes written at the start of every chunked stream ("TCS").
+ * @type {Buffer}
+ */
+export const FRAME_MAGIC = Buffer.from('TCS', 'ascii');
+
+/**
+ * Version of the chunked framing format.
+ * @type {number}
+ */
+export const FRAME_VERSION = 1;
+
+/** Flag used by regular data frames. */
+export const FRAME_DATA = 0x00;
+
+/** Flag used by the last frame of a stream. */
+export const FRAME_FINAL = 0x01;
+
+/** Default amount of plaintext bytes inside each frame (64 KiB). */
+export const DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Biggest amount of plaintext bytes inside each frame (16 MiB). The decoder buffers a whole frame
+ * before it can authenticate it, so the chunk size of the header is never trusted beyond this.
+ */
+export const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+
+/** Biggest counter value that fits inside the nonce suffix. */
+const MAX_COUNTER = 0xffffffff;
+
+/** Length of the fixed part of the stream header: magic, version, chunk size and prefix length. */
+const HEADER_LENGTH = FRAME_MAGIC.length + 6;
+
+/** Extra bytes a ciphertext may have over its plaintext (room for block padding). */
+const MAX_CHUNK_OVERHEAD = 64;
+
+/**
+ * @typedef {Object} ChunkCipherResult
+ * @property {Buffer} encrypted - The encrypted chunk.
+ * @property {Buffer} authTag - The authentication tag of the chunk.
+ */
+
+/**
+ * @callback EncryptChunk
+ * @param {Buffer} plain - Plaintext chunk.
+ * @param {Buffer} iv - Nonce used by this chunk.
+ * @param {Buffer} aad - Additional authenticated data (stream header + frame flag + counter).
+ * @returns {ChunkCipherResult|Promise<ChunkCipherResult>}
+ */
+
+/**
+ * @callback DecryptChunk
+ * @param {Buffer} encrypted - Encrypted chunk.
+ * @param {Buffer} iv - Nonce used by this chunk.
+ * @param {Buffer} authTag - Authentication tag of this chunk.
+ * @param {Buffer} aad - Additional authenticated data (stream header + frame flag + counter).
+ * @returns {Buffer|Promise<Buffer>}
+ */
+
+/**
+ * Builds the nonce and the additional authenticated data of a frame.
+ *
+ * The nonce is the random stream prefix followed by the 32-bit big-endian counter,
+ * and the AAD binds the stream header and the frame flag to the same counter, so reordered,
+ * dropped or re-flagged frames and a changed header fail authentication.
+ *
+ * @param {Buffer} header - The whole stream header, nonce prefix included.
+ * @param {Buffer} prefix - Random nonce prefix of the stream.
+ * @param {number} counter - Frame index.
+ * @param {number} flag - Frame flag.
+ * @returns {{ iv: Buffer, aad: Buffer }}
+ */
+function frameParams(header, prefix, counter, flag) {
+  const suffix = Buffer.alloc(4);
+  suffix.writeUInt32BE(counter);
+  const frame = Buffer.alloc(5);
+  frame.writeUInt8(flag, 0);
+  frame.writeUInt32BE(counter, 1);
+  return { iv: Buffer.concat([prefix, suffix]), aad: Buffer.concat([header, frame]) };
+}
+
+/**
+ * Encodes plaintext bytes into authenticated chunk frames.
+ *
+ * Layout of the produced stream:
+ * - Header: `"TCS"` | version (1 byte) | chunk size (uint32 BE) | prefix length (1 byte) | nonce prefix.
+ * - Frames: flag (1 byte) | ciphertext length (uint32 BE) | ciphertext | auth tag.
+ *
+ * The header is authenticated by every frame. The chunk size is at most {@link MAX_CHUNK_SIZE}.
+ *
+ * The last frame always carries the `FRAME_FINAL` flag (it may be empty), which lets the
+ * decoder detect truncated streams.
+ *
+ * @class
+ */
+export class ChunkFrameEncoder {
+  /** @type {Buffer} */
+  #pending = Buffer.alloc(0);
+  /** @type {Buffer} */
+  #header;
+  #counter = 0;
+  #headerSent = false;
+  #finished = false;
+
+  /**
+   * @param {Object} options
+   * @param {EncryptChunk} options.encryptChunk - Function that encrypts each chunk.
+   * @param {Buffer} options.prefix - Random nonce prefix (the IV length minus 4 bytes).
+   * @param {number} [options.chunkSize=DEFAULT_CHUNK_SIZE] - Plaintext bytes per frame.
+   * @throws {Error} If the options are invalid.
+   */
+  constructor({ encryptChunk, prefix, chunkSize = DEFAULT_CHUNK_SIZE }) {
+    if (typeof encryptChunk !== 'function') throw new Error('encryptChunk must be a function.');
+    if (!Buffer.isBuffer(prefix) || prefix.length < 1 || prefix.length > 255)
+      throw new Error('The nonce prefix must be a Buffer between 1 and 255 bytes.');
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE)
+      throw new Error(`chunkSize must be a positive integer up to ${MAX_CHUNK_SIZE}.`);
+    this.encryptChunk = encryptChunk;
+    this.prefix = prefix;
+    this.chunkSize = chunkSize;
+
+    const header = Buffer.alloc(HEADER_LENGTH);
+    FRAME_MAGIC.copy(header, 0);
+    header.writeUInt8(FRAME_VERSION, FRAME_MAGIC.length);
+    header.writeUInt32BE(chunkSize, FRAME_MAGIC.length + 1);
+    header.writeUInt8(prefix.length, FRAME_MAGIC.length + 5);
+    this.#header = Buffer.concat([header, prefix]);
+  }
+
+  /**
+   * Returns the stream header the first time it is called, and an empty list after that.
+   * @returns {Buffer[]}
+   */
+  #takeHeader() {
+    if (this.#headerSent) return [];
+    this.#headerSent = true;
+    return [this.#header];
+  }
+
+  /**
+   * Encrypts a single frame.
+   * @param {Buffer} plain
+   * @param {number} flag
+   * @returns {Promise<Buffer>}
+   */
+  async #frame(plain, flag) {
+    if (this.#counter > MAX_COUNTER) throw new Error('Too many chunks for a single stream.');
+    const { iv, aad } = frameParams(this.#header, this.prefix, this.#counter, flag);
+    this.#counter++;
+    const { encrypted, authTag } = await this.encryptChunk(plain, iv, aad);
+    const head = Buffer.alloc(5);
+    head.writeUInt8(flag, 0);
+    head.writeUInt32BE(encrypted.length, 1);
+    return Buffer.concat([head, encrypted, authTag]);
+  }
+
+  /**
+   * Adds plaintext bytes and returns every frame that became complete.
+   *
+   * @param {Buffer|Uint8Array|string} data - Plaintext bytes (strings are read as UTF-8).
+   * @returns {Promise<Buffer[]>} Header and frames ready to be written.
+   * @throws {Error} If the encoder was already finished.
+   */
+  async push(data) {
+    if (this.#finished) throw new Error('Cannot write after the stream was finished.');
+    const output = this.#takeHeader();
+    const bytes = typeof data === 'string' ? Buffer.from(data, 'utf8') : Buffer.from(data);
+    this.#pending = Buffer.concat([this.#pending, bytes]);
+    // Keep at least one byte pending, so the final frame is never empty without need
+    while (this.#pending.length > this.chunkSize) {
+      const chunk = this.#pending.subarray(0, this.chunkSize);
+      this.#pending = this.#pending.subarray(this.chunkSize);
+      output.push(await this.#frame(chunk, FRAME_DATA));
+    }
+    return output;
+  }
+
+  /**
+   * Flushes the remaining bytes inside the final frame.
+   *
+   * @returns {Promise<Buffer[]>} The last frames of the stream.
+   * @throws {Error} If the encoder was already finished.
+   */
+  async finish() {
+    if (this.#finished) throw new Error('The stream was already finished.');
+    const output = this.#takeHeader();
+    this.#finished = true;
+    output.push(await this.#frame(this.#pending, FRAME_FINAL));
+    this.#pending = Buffer.alloc(0);
+    return output;
+  }
+}
+
+/**
+ * Decodes a stream produced by {@link ChunkFrameEncoder}, verifying every frame.
+ *
+ * @class
+ */
+export class ChunkFrameDecoder {
+  /** @type {Buffer} */
+  #pending = Buffer.alloc(0);
+  /** @type {Buffer|null} */
+  #header = null;
+  /** @type {Buffer|null} */
+  #prefix = null;
+  #chunkSize = 0;
+  #counter = 0;
+  #finished = false;
+
+  /**
+   * @param {Object} options
+   * @param {DecryptChunk} options.decryptChunk - Function that decrypts each chunk.
+   * @param {number} options.authTagLength - Length of the authentication tag of each frame.
+   * @throws {Error} If the options are invalid.
+   */
+  constructor({ decryptChunk, authTagLength }) {
+    if (typeof decryptChunk !== 'function') throw new Error('decryptChunk must be a function.');
+    if (!Number.isInteger(authTagLength) || authTagLength < 1)
+      throw new Error('authTagLength must be a positive integer.');
+    this.decryptChunk = decryptChunk;
+    this.authTagLength = authTagLength;
+  }
+
+  /**
+   * Reads the stream header once enough bytes are available.
+   * @returns {boolean} Whether the header is loaded.
+   * @throws {Error} If the header is invalid.
+   */
+  #readHeader() {
+    if (this.#header) return true;
+    if (this.#pending.length < HEADER_LENGTH) return false;
+    if (!this.#pending.subarray(0, FRAME_MAGIC.length).equals(FRAME_MAGIC))
+      throw new Error('Invalid encrypted stream: missing header.');
+    const version = this.#pending.readUInt8(FRAME_MAGIC.length);
+    if (version !== FRAME_VERSION)
+      throw new Error(`Unsupported encrypted stream version: ${version}.`);
+    const chunkSize = this.#pending.readUInt32BE(FRAME_MAGIC.length + 1);
+    // The header is only authenticated with the first frame, which is read with this size
+    if (chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE)
+      throw new Error(`Invalid encrypted stream: unsupported chunk size ${chunkSize}.`);
+    const prefixLength = this.#pending.readUInt8(FRAME_MAGIC.length + 5);
+    const headerLength = HEADER_LENGTH + prefixLength;
+    if (this.#pending.length < headerLength) return false;
+    this.#chunkSize = chunkSize;
+    this.#header = Buffer.from(this.#pending.subarray(0, headerLength));
+    this.#prefix = this.#header.subarray(HEADER_LENGTH);
+    this.#pending = this.#pending.subarray(headerLength);
+    return true;
+  }
+
+  /**
+   * Adds encrypted bytes and returns every plaintext chunk that could be verified.
+   *
+   * @param {Buffer|Uint8Array} data - Encrypted bytes.
+   * @returns {Promise<Buffer[]>} Decrypted chunks.
+   * @throws {Error} If a frame is malformed, fails authentication or comes after the final frame.
+   */
+  async push(data) {
+    this.#pending = Buffer.concat([this.#pending, Buffer.from(data)]);
+    /** @type {Buffer[]} */
+    const output = [];
+    if (!this.#readHeader()) return output;
+    const header = /** @type {Buffer} */ (this.#header);
+    const prefix = /** @type {Buffer} */ (this.#prefix);
+
+    while (this.#pending.length > 0) {
+      if (this.#finished) throw new Error('Invalid encrypted stream: data after the final chunk.');
+      if (this.#pending.length < 5) break;
+
+      const flag = this.#pending.readUInt8(0);
+      const size = this.#pending.readUInt32BE(1);
+      if (flag !== FRAME_DATA && flag !== FRAME_FINAL)
+        throw new Error(`Invalid encrypted stream: unknown frame flag ${flag}.`);
+      if (size > this.#chunkSize + MAX_CHUNK_OVERHEAD)
+        throw new Error('Invalid encrypted stream: chunk is bigger than the declared size.');
+
+      const frameLength = 5 + size + this.authTagLength;
+      if (this.#pending.length < frameLength) break;
+      if (this.#counter > MAX_COUNTER) throw new Error('Too many chunks for a single stream.');
+
+      const encrypted = this.#pending.subarray(5, 5 + size);
+      const authTag = this.#pending.subarray(5 + size, frameLength);
+      const { iv, aad } = frameParams(header, prefix, this.#counter, flag);
+      this.#counter++;
+
+      let plain;
+      try {
+        plain = await this.decryptChunk(encrypted, iv, authTag, aad);
+      } catch {
+        throw new Error(
+          `Invalid encrypted stream: chunk ${this.#counter - 1} failed authentication (tampered or reordered).`,
+        );
+      }
+
+      this.#pending = this.#pending.subarray(frameLength);
+      if (flag === FRAME_FINAL) this.#finished = true;
+      if (plain.length > 0) output.push(plain);
+    }
+
+    return output;
+  }
+
+  /**
+   * Checks that the stream ended with a complete final frame.
+   * @throws {Error} If the stream was truncated.
+   */
+  finish() {
+    if (!this.#finished || this.#pending.length > 0)
+      throw new Error('Invalid encrypted stream: the stream was truncated.');
+  }
+}
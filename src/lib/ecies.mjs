@@ -0,0 +1,214 @@
+import {
+  createHash,
+  createPrivateKey,
+  createPublicKey,
+  diffieHellman,
+  generateKeyPairSync,
+  hkdfSync,
+  randomBytes,
+} from 'crypto';
+import { Buffer } from 'buffer';
+
+import { decryptBytes, encryptBytes } from './nodeCrypto.mjs';
+
+/** @typedef {import('crypto').KeyObject} KeyObject */
+
+/** Version byte of the ECIES format. */
+const ECIES_VERSION = 1;
+
+/** Cipher of the ECIES format. */
+const ECIES_ALGORITHM = 'aes-256-gcm';
+
+/** HKDF info prefix, followed by the recipient public key. */
+const ECIES_INFO = Buffer.from('TinyCertCrypto ECIES', 'utf8');
+
+/** The prime of Curve25519 (2^255 - 19). */
+const CURVE25519_P = (1n << 255n) - 19n;
+
+/**
+ * Computes `base ** exponent % modulus` with BigInts.
+ *
+ * @param {bigint} base
+ * @param {bigint} exponent
+ * @param {bigint} modulus
+ * @returns {bigint}
+ */
+const modPow = (base, exponent, modulus) => {
+  let result = 1n;
+  base %= modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+};
+
+/**
+ * Converts little-endian bytes into a BigInt, and back.
+ */
+const littleEndian = {
+  /** @param {Buffer} bytes */
+  toBigInt: (bytes) => BigInt(`0x${Buffer.from(bytes).reverse().toString('hex') || '0'}`),
+  /** @param {bigint} value */
+  toBytes: (value) => Buffer.from(value.toString(16).padStart(64, '0'), 'hex').reverse(),
+};
+
+/**
+ * Converts an Ed25519 public key into the X25519 public key of the same secret
+ * (the birational map `u = (1 + y) / (1 - y)` from the Edwards to the Montgomery curve).
+ *
+ * @param {KeyObject} publicKey - The Ed25519 public key.
+ * @returns {KeyObject} The X25519 public key.
+ * @throws {Error} If the key is not a valid Ed25519 point.
+ */
+const toX25519PublicKey = (publicKey) => {
+  const raw = Buffer.from(
+    /** @type {string} */ (publicKey.export({ format: 'jwk' }).x),
+    'base64url',
+  );
+  raw[31] &= 0x7f;
+  const y = littleEndian.toBigInt(raw);
+  const denominator = (1n - y + CURVE25519_P) % CURVE25519_P;
+  if (y >= CURVE25519_P || denominator === 0n) throw new Error('Invalid Ed25519 public key.');
+  const u =
+    (((1n + y) % CURVE25519_P) * modPow(denominator, CURVE25519_P - 2n, CURVE25519_P)) %
+    CURVE25519_P;
+  return createPublicKey({
+    key: { kty: 'OKP', crv: 'X25519', x: littleEndian.toBytes(u).toString('base64url') },
+    format: 'jwk',
+  });
+};
+
+/**
+ * Converts an Ed25519 private key into the X25519 private key of the same secret
+ * (the clamped first half of the SHA-512 hash of the seed).
+ *
+ * @param {KeyObject} privateKey - The Ed25519 private key.
+ * @returns {KeyObject} The X25519 private key.
+ */
+const toX25519PrivateKey = (privateKey) => {
+  const jwk = privateKey.export({ format: 'jwk' });
+  const scalar = createHash('sha512')
+    .update(Buffer.from(/** @type {string} */ (jwk.d), 'base64url'))
+    .digest()
+    .subarray(0, 32);
+  scalar[0] &= 248;
+  scalar[31] &= 127;
+  scalar[31] |= 64;
+  const x = toX25519PublicKey(createPublicKey(privateKey)).export({ format: 'jwk' }).x;
+  return createPrivateKey({
+    key: { kty: 'OKP', crv: 'X25519', x, d: scalar.toString('base64url') },
+    format: 'jwk',
+  });
+};
+
+/**
+ * Returns the options of `generateKeyPairSync()` that make ephemeral keys for a recipient key.
+ *
+ * @param {KeyObject} publicKey - The recipient public key (EC or X25519).
+ * @returns {['ec', { namedCurve: string }]|['x25519', {}]}
+ * @throws {Error} If the key type can't be used for ECDH.
+ */
+const getEphemeralKeyParams = (publicKey) => {
+  if (publicKey.asymmetricKeyType === 'x25519') return ['x25519', {}];
+  const namedCurve = publicKey.asymmetricKeyDetails?.namedCurve;
+  if (publicKey.asymmetricKeyType === 'ec' && typeof namedCurve === 'string')
+    return ['ec', { namedCurve }];
+  throw new Error(`ECIES does not support "${publicKey.asymmetricKeyType}" keys.`);
+};
+
+/**
+ * Derives the AES key of a message from the ECDH shared secret with HKDF-SHA256.
+ *
+ * @param {Buffer} sharedSecret - The ECDH shared secret.
+ * @param {Buffer} ephemeralPublicKey - The ephemeral public key (SPKI DER), used as salt.
+ * @param {KeyObject} recipientPublicKey - The recipient public key, bound into the HKDF info.
+ * @returns {Buffer} The AES-256 key.
+ */
+const deriveMessageKey = (sharedSecret, ephemeralPublicKey, recipientPublicKey) =>
+  Buffer.from(
+    hkdfSync(
+      'sha256',
+      sharedSecret,
+      ephemeralPublicKey,
+      Buffer.concat([ECIES_INFO, recipientPublicKey.export({ type: 'spki', format: 'der' })]),
+      32,
+    ),
+  );
+
+/**
+ * Encrypts bytes for the owner of a public key with ECIES: an ephemeral ECDH key agreement,
+ * HKDF-SHA256 and AES-256-GCM.
+ *
+ * P-256 and P-384 keys use ECDH on their own curve. Ed25519 keys are converted to X25519.
+ *
+ * The output is `version (1) | ephemeral key length (1) | ephemeral key (SPKI DER) | IV (12) |
+ * auth tag (16) | ciphertext`. The header (version and ephemeral key) is authenticated as AAD.
+ *
+ * @param {KeyObject} publicKey - The recipient public key (P-256, P-384 or Ed25519).
+ * @param {Buffer} plain - The bytes to encrypt.
+ * @returns {Buffer} The encrypted message.
+ * @throws {Error} If the key type is not supported.
+ */
+export function eciesEncrypt(publicKey, plain) {
+  const recipient =
+    publicKey.asymmetricKeyType === 'ed25519' ? toX25519PublicKey(publicKey) : publicKey;
+  const [type, params] = getEphemeralKeyParams(recipient);
+  const ephemeral = generateKeyPairSync(/** @type {any} */ (type), params);
+  const ephemeralPublicKey = ephemeral.publicKey.export({ type: 'spki', format: 'der' });
+  const sharedSecret = diffieHellman({ privateKey: ephemeral.privateKey, publicKey: recipient });
+
+  const header = Buffer.concat([
+    Buffer.from([ECIES_VERSION, ephemeralPublicKey.length]),
+    ephemeralPublicKey,
+  ]);
+  const iv = randomBytes(12);
+  const { encrypted, authTag } = encryptBytes(plain, {
+    algorithm: ECIES_ALGORITHM,
+    key: deriveMessageKey(sharedSecret, ephemeralPublicKey, recipient),
+    iv,
+    authTagLength: 16,
+    aad: header,
+  });
+  return Buffer.concat([header, iv, authTag, encrypted]);
+}
+
+/**
+ * Decrypts a message made by {@link eciesEncrypt}.
+ *
+ * @param {KeyObject} privateKey - The recipient private key (P-256, P-384 or Ed25519).
+ * @param {Buffer} data - The encrypted message.
+ * @returns {Buffer} The decrypted bytes.
+ * @throws {Error} If the message is malformed, was made for another key or was tampered with.
+ */
+export function eciesDecrypt(privateKey, data) {
+  const keyLength = data[1];
+  if (data.length < 2 + keyLength + 28 || data[0] !== ECIES_VERSION)
+    throw new Error('Invalid ECIES data.');
+
+  const recipientKey =
+    privateKey.asymmetricKeyType === 'ed25519' ? toX25519PrivateKey(privateKey) : privateKey;
+  const ephemeralPublicKey = data.subarray(2, 2 + keyLength);
+  const iv = data.subarray(2 + keyLength, 14 + keyLength);
+  const authTag = data.subarray(14 + keyLength, 30 + keyLength);
+  const encrypted = data.subarray(30 + keyLength);
+
+  let sharedSecret;
+  try {
+    sharedSecret = diffieHellman({
+      privateKey: recipientKey,
+      publicKey: createPublicKey({ key: ephemeralPublicKey, format: 'der', type: 'spki' }),
+    });
+  } catch {
+    throw new Error('Invalid ECIES data.');
+  }
+
+  return decryptBytes(encrypted, authTag, {
+    algorithm: ECIES_ALGORITHM,
+    key: deriveMessageKey(sharedSecret, ephemeralPublicKey, createPublicKey(recipientKey)),
+    iv,
+    authTagLength: 16,
+    aad: data.subarray(0, 2 + keyLength),
+  });
+}
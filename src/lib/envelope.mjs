@@ -0,0 +1,180 @@
+import { Buffer } from 'buffer';
+
+/**
+ * Current version of the envelope format.
+ * @type {number}
+ */
+export const ENVELOPE_VERSION = 1;
+
+/**
+ * Prefix of string envelopes (`tce` + version).
+ * @type {string}
+ */
+export const ENVELOPE_PREFIX = `tce${ENVELOPE_VERSION}`;
+
+/**
+ * Magic bytes of binary envelopes ("TCE").
+ * @type {Buffer}
+ */
+export const ENVELOPE_MAGIC = Buffer.from('TCE', 'ascii');
+
+/**
+ * Encodings allowed for the parts of a string envelope.
+ * @type {BufferEncoding[]}
+ */
+export const ENVELOPE_ENCODINGS = ['hex', 'base64', 'base64url'];
+
+/**
+ * Header stored at the start of every envelope. It describes how the payload was encrypted,
+ * so it can be decrypted even after the instance defaults change.
+ *
+ * @typedef {Object} EnvelopeHeader
+ * @property {number} v - Envelope format version.
+ * @property {string} alg - Encryption algorithm.
+ * @property {string} kid - Key id (empty string if none).
+ * @property {BufferEncoding} enc - Encoding of the parts of a string envelope.
+ * @property {number} tag - Authentication tag length.
+ * @property {number} iv - IV length.
+ * @property {BufferEncoding} input - Encoding of the serialized plaintext.
+ * @property {boolean} deep - Whether the plaintext was serialized in deep mode.
+ * @property {'binary'} [fmt] - Set when the plaintext uses the binary codec. Omitted for the JSON codec.
+ */
+
+/**
+ * @typedef {Object} EnvelopeParts
+ * @property {EnvelopeHeader} header - The parsed header.
+ * @property {Buffer} headerBytes - The raw header bytes (authenticated as AAD).
+ * @property {Buffer} iv - The IV.
+ * @property {Buffer} authTag - The authentication tag.
+ * @property {Buffer} encrypted - The encrypted payload.
+ */
+
+/**
+ * Serializes an envelope header. The returned bytes are used as additional authenticated data.
+ *
+ * @param {EnvelopeHeader} header
+ * @returns {Buffer}
+ */
+export function encodeEnvelopeHeader(header) {
+  return Buffer.from(JSON.stringify(header), 'utf8');
+}
+
+/**
+ * Packs the envelope parts into a compact string or a binary blob.
+ *
+ * - String: `tce1.<base64url header>.<iv>.<authTag>.<encrypted>` (parts use `header.enc`).
+ * - Binary: `"TCE"` | version (1 byte) | header length (uint16 BE) | header | iv | authTag | encrypted.
+ *
+ * @param {Buffer} headerBytes - Bytes made by `encodeEnvelopeHeader()`.
+ * @param {EnvelopeHeader} header - The header.
+ * @param {Buffer} iv - The IV.
+ * @param {Buffer} authTag - The authentication tag.
+ * @param {Buffer} encrypted - The encrypted payload.
+ * @param {'string'|'binary'} format - The output format.
+ * @returns {string|Buffer} The packed envelope.
+ * @throws {Error} If the format is unknown.
+ */
+export function packEnvelope(headerBytes, header, iv, authTag, encrypted, format) {
+  if (format === 'string')
+    return [
+      ENVELOPE_PREFIX,
+      headerBytes.toString('base64url'),
+      iv.toString(header.enc),
+      authTag.toString(header.enc),
+      encrypted.toString(header.enc),
+    ].join('.');
+
+  if (format === 'binary') {
+    if (headerBytes.length > 0xffff) throw new Error('Envelope header is too big.');
+    const head = Buffer.alloc(ENVELOPE_MAGIC.length + 3);
+    ENVELOPE_MAGIC.copy(head, 0);
+    head.writeUInt8(ENVELOPE_VERSION, ENVELOPE_MAGIC.length);
+    head.writeUInt16BE(headerBytes.length, ENVELOPE_MAGIC.length + 1);
+    return Buffer.concat([head, headerBytes, iv, authTag, encrypted]);
+  }
+
+  throw new Error(`Unknown envelope format "${format}". Expected "string" or "binary".`);
+}
+
+/**
+ * Parses and validates an envelope header.
+ *
+ * @param {Buffer} headerBytes
+ * @returns {EnvelopeHeader}
+ * @throws {Error} If the header is invalid.
+ */
+function parseEnvelopeHeader(headerBytes) {
+  let header;
+  try {
+    header = JSON.parse(headerBytes.toString('utf8'));
+  } catch {
+    throw new Error('Invalid envelope: the header is not valid JSON.');
+  }
+
+  if (typeof header !== 'object' || header === null) throw new Error('Invalid envelope header.');
+  if (header.v !== ENVELOPE_VERSION) throw new Error(`Unsupported envelope version: ${header.v}.`);
+  if (typeof header.alg !== 'string') throw new Error('Invalid envelope header: "alg".');
+  if (typeof header.kid !== 'string') throw new Error('Invalid envelope header: "kid".');
+  if (!ENVELOPE_ENCODINGS.includes(header.enc)) throw new Error('Invalid envelope header: "enc".');
+  if (!Number.isInteger(header.tag) || header.tag < 1)
+    throw new Error('Invalid envelope header: "tag".');
+  if (!Number.isInteger(header.iv) || header.iv < 1)
+    throw new Error('Invalid envelope header: "iv".');
+  if (typeof header.input !== 'string' || !Buffer.isEncoding(header.input))
+    throw new Error('Invalid envelope header: "input".');
+  if (typeof header.deep !== 'boolean') throw new Error('Invalid envelope header: "deep".');
+  if (typeof header.fmt !== 'undefined' && header.fmt !== 'binary')
+    throw new Error('Invalid envelope header: "fmt".');
+  return header;
+}
+
+/**
+ * Unpacks a string or binary envelope.
+ *
+ * @param {string|Buffer|Uint8Array} envelope - The packed envelope.
+ * @returns {EnvelopeParts} The envelope parts.
+ * @throws {Error} If the envelope is malformed.
+ */
+export function unpackEnvelope(envelope) {
+  if (typeof envelope === 'string') {
+    const parts = envelope.split('.');
+    if (parts.length !== 5 || parts[0] !== ENVELOPE_PREFIX)
+      throw new Error('Invalid envelope: unknown string format.');
+    const headerBytes = Buffer.from(parts[1], 'base64url');
+    const header = parseEnvelopeHeader(headerBytes);
+    const iv = Buffer.from(parts[2], header.enc);
+    const authTag = Buffer.from(parts[3], header.enc);
+    if (iv.length !== header.iv || authTag.length !== header.tag)
+      throw new Error('Invalid envelope: IV or auth tag length mismatch.');
+    return { header, headerBytes, iv, authTag, encrypted: Buffer.from(parts[4], header.enc) };
+  }
+
+  if (envelope instanceof Uint8Array) {
+    const data = Buffer.from(envelope.buffer, envelope.byteOffset, envelope.byteLength);
+    const fixedLength = ENVELOPE_MAGIC.length + 3;
+    if (
+      data.length < fixedLength ||
+      !data.subarray(0, ENVELOPE_MAGIC.length).equals(ENVELOPE_MAGIC)
+    )
+      throw new Error('Invalid envelope: missing binary header.');
+    const version = data.readUInt8(ENVELOPE_MAGIC.length);
+    if (version !== ENVELOPE_VERSION) throw new Error(`Unsupported envelope version: ${version}.`);
+
+    const headerEnd = fixedLength + data.readUInt16BE(ENVELOPE_MAGIC.length + 1);
+    if (data.length < headerEnd) throw new Error('Invalid envelope: truncated header.');
+    const headerBytes = data.subarray(fixedLength, headerEnd);
+    const header = parseEnvelopeHeader(headerBytes);
+
+    const tagEnd = headerEnd + header.iv + header.tag;
+    if (data.length < tagEnd) throw new Error('Invalid envelope: truncated payload.');
+    return {
+      header,
+      headerBytes,
+      iv: data.subarray(headerEnd, headerEnd + header.iv),
+      authTag: data.subarray(headerEnd + header.iv, tagEnd),
+      encrypted: data.subarray(tagEnd),
+    };
+  }
+
+  throw new Error('Invalid envelope: expected a string, Buffer or Uint8Array.');
+}
@@ -0,0 +1,244 @@
+import { Buffer } from 'buffer';
+
+import { getSubtle, randomBytes } from './backends.mjs';
+
+/**
+ * @typedef {'scrypt'|'pbkdf2'|'argon2id'} KdfName
+ */
+
+/**
+ * Key derivation parameters. Everything needed to rebuild the same key from the same password,
+ * except the password itself.
+ *
+ * @typedef {Object} KdfParams
+ * @property {KdfName} name - The key derivation function.
+ * @property {string} salt - The salt, in hex format.
+ * @property {number} keyLength - The length of the derived key in bytes.
+ * @property {number} [N] - scrypt CPU/memory cost.
+ * @property {number} [r] - scrypt block size.
+ * @property {number} [p] - scrypt parallelization.
+ * @property {number} [iterations] - PBKDF2 iteration count.
+ * @property {string} [digest] - PBKDF2 digest algorithm.
+ * @property {number} [memory] - Argon2id memory cost in KiB.
+ * @property {number} [passes] - Argon2id number of passes.
+ * @property {number} [parallelism] - Argon2id degree of parallelism.
+ */
+
+/**
+ * @typedef {Object} KdfOptions
+ * @property {KdfName} [name='scrypt'] - The key derivation function.
+ * @property {string|Buffer} [salt] - The salt (hex string or Buffer). A random 16-byte salt is generated if omitted.
+ * @property {number} [keyLength] - The length of the derived key in bytes. Defaults to the key length of the algorithm.
+ * @property {number} [N=131072] - scrypt CPU/memory cost.
+ * @property {number} [r=8] - scrypt block size.
+ * @property {number} [p=1] - scrypt parallelization.
+ * @property {number} [iterations=600000] - PBKDF2 iteration count.
+ * @property {string} [digest='sha256'] - PBKDF2 digest algorithm.
+ * @property {number} [memory=65536] - Argon2id memory cost in KiB.
+ * @property {number} [passes=3] - Argon2id number of passes.
+ * @property {number} [parallelism=4] - Argon2id degree of parallelism.
+ */
+
+/**
+ * List of supported key derivation functions.
+ * @type {KdfName[]}
+ */
+export const KDF_NAMES = ['scrypt', 'pbkdf2', 'argon2id'];
+
+/**
+ * Checks that a value is a positive integer.
+ * @param {*} value
+ * @param {string} name
+ * @throws {Error} If the value is not a positive integer.
+ */
+function checkPositiveInteger(value, name) {
+  if (!Number.isInteger(value) || value < 1)
+    throw new Error(`Invalid KDF parameter "${name}". Expected a positive integer.`);
+}
+
+/**
+ * Highest cost parameters accepted from untrusted KDF parameters (see `checkKdfCost`).
+ * They are far above the defaults, but keep a forged file from using gigabytes of memory
+ * or hours of CPU time.
+ */
+export const KDF_LIMITS = Object.freeze({
+  N: 2 ** 20,
+  r: 16,
+  p: 16,
+  iterations: 10000000,
+  memory: 1024 * 1024,
+  passes: 32,
+  parallelism: 16,
+});
+
+/**
+ * Checks that KDF parameters read from an untrusted source (e.g. a keystore file) are not too
+ * costly. They are used before anything can be authenticated.
+ *
+ * @param {KdfParams} params - Complete KDF parameters (see `normalizeKdfParams`).
+ * @throws {Error} If a cost parameter is over its limit in {@link KDF_LIMITS}.
+ */
+export function checkKdfCost(params) {
+  for (const [name, limit] of Object.entries(KDF_LIMITS)) {
+    const value = /** @type {Record<string, any>} */ (params)[name];
+    if (typeof value === 'number' && value > limit)
+      throw new Error(`Invalid KDF parameter "${name}". The maximum is ${limit}.`);
+  }
+}
+
+/**
+ * Validates KDF options and fills the default values, generating a salt when none is given.
+ *
+ * @param {KdfOptions|KdfParams} [options={}] - The KDF options.
+ * @param {number} [defaultKeyLength=32] - The key length used when `options.keyLength` is omitted.
+ * @returns {KdfParams} The complete KDF parameters.
+ * @throws {Error} If any parameter is invalid.
+ */
+export function normalizeKdfParams(options = {}, defaultKeyLength = 32) {
+  const { name = 'scrypt', keyLength = defaultKeyLength } = options;
+  if (!KDF_NAMES.includes(name))
+    throw new Error(`Unsupported KDF "${name}". Expected one of: ${KDF_NAMES.join(', ')}.`);
+  checkPositiveInteger(keyLength, 'keyLength');
+
+  let salt;
+  if (typeof options.salt === 'undefined') salt = randomBytes(16).toString('hex');
+  else if (Buffer.isBuffer(options.salt)) salt = options.salt.toString('hex');
+  else if (typeof options.salt === 'string' && /^([a-fA-F0-9]{2})+$/.test(options.salt))
+    salt = options.salt.toLowerCase();
+  else throw new Error('Invalid KDF salt. Expected a Buffer or a hex string.');
+
+  if (name === 'scrypt') {
+    const { N = 131072, r = 8, p = 1 } = options;
+    checkPositiveInteger(N, 'N');
+    checkPositiveInteger(r, 'r');
+    checkPositiveInteger(p, 'p');
+    if ((N & (N - 1)) !== 0 || N < 2)
+      throw new Error('Invalid KDF parameter "N". Expected a power of two.');
+    return { name, salt, keyLength, N, r, p };
+  }
+
+  if (name === 'pbkdf2') {
+    const { iterations = 600000, digest = 'sha256' } = options;
+    checkPositiveInteger(iterations, 'iterations');
+    if (typeof digest !== 'string')
+      throw new Error('Invalid KDF parameter "digest". Expected a string.');
+    return { name, salt, keyLength, iterations, digest };
+  }
+
+  const { memory = 65536, passes = 3, parallelism = 4 } = options;
+  checkPositiveInteger(memory, 'memory');
+  checkPositiveInteger(passes, 'passes');
+  checkPositiveInteger(parallelism, 'parallelism');
+  return { name, salt, keyLength, memory, passes, parallelism };
+}
+
+/**
+ * Loads the Node.js `crypto` module. Bundlers leave the import out of the browser build.
+ *
+ * @returns {Promise<Record<string, any>|null>} The module, or `null` when the runtime has none.
+ */
+async function loadNodeCrypto() {
+  try {
+    return await import(/* webpackIgnore: true */ 'crypto');
+  } catch {
+    return null;
+  }
+}
+
+/** Names of the PBKDF2 digests in WebCrypto. */
+const WEBCRYPTO_DIGESTS = /** @type {Record<string, string>} */ ({
+  sha1: 'SHA-1',
+  sha256: 'SHA-256',
+  sha384: 'SHA-384',
+  sha512: 'SHA-512',
+});
+
+/**
+ * Derives a key from a password.
+ *
+ * scrypt needs the Node.js `crypto` module (it is not in WebCrypto). PBKDF2 uses the Node.js
+ * `crypto` module when it is available and WebCrypto otherwise. Argon2id is only available when
+ * the runtime exposes `crypto.argon2` (Node.js 24.7+). The Node.js module is loaded on demand.
+ *
+ * @param {string|Buffer} password - The password.
+ * @param {KdfParams} params - Complete KDF parameters (see `normalizeKdfParams`).
+ * @returns {Promise<Buffer>} The derived key.
+ * @throws {Error} If the password is empty or the KDF is not available.
+ */
+export async function deriveKey(password, params) {
+  if ((typeof password !== 'string' && !Buffer.isBuffer(password)) || password.length === 0)
+    throw new Error('The password must be a non-empty string or Buffer.');
+  const salt = Buffer.from(params.salt, 'hex');
+
+  const nodeCrypto = await loadNodeCrypto();
+  if (params.name === 'scrypt') {
+    if (typeof nodeCrypto?.scrypt !== 'function')
+      throw new Error('scrypt is not supported in this environment. Use "pbkdf2".');
+    const N = /** @type {number} */ (params.N);
+    const r = /** @type {number} */ (params.r);
+    const p = /** @type {number} */ (params.p);
+    return new Promise((resolve, reject) =>
+      nodeCrypto.scrypt(
+        password,
+        salt,
+        params.keyLength,
+        { N, r, p, maxmem: 256 * N * r + 1024 * 1024 },
+        /** @param {Error|null} err @param {Buffer} key */
+        (err, key) => (err ? reject(err) : resolve(key)),
+      ),
+    );
+  }
+
+  if (params.name === 'pbkdf2') {
+    const iterations = /** @type {number} */ (params.iterations);
+    const digest = /** @type {string} */ (params.digest);
+    if (typeof nodeCrypto?.pbkdf2 === 'function')
+      return new Promise((resolve, reject) =>
+        nodeCrypto.pbkdf2(
+          password,
+          salt,
+          iterations,
+          params.keyLength,
+          digest,
+          /** @param {Error|null} err @param {Buffer} key */
+          (err, key) => (err ? reject(err) : resolve(key)),
+        ),
+      );
+
+    const subtle = getSubtle();
+    const hash = WEBCRYPTO_DIGESTS[digest.toLowerCase()];
+    if (!subtle || !hash)
+      throw new Error(`PBKDF2 with "${digest}" is not supported in this environment.`);
+    const baseKey = await subtle.importKey(
+      'raw',
+      typeof password === 'string' ? Buffer.from(password, 'utf8') : password,
+      'PBKDF2',
+      false,
+      ['deriveBits'],
+    );
+    const bits = await subtle.deriveBits(
+      { name: 'PBKDF2', salt, iterations, hash },
+      baseKey,
+      params.keyLength * 8,
+    );
+    return Buffer.from(bits);
+  }
+
+  if (typeof nodeCrypto?.argon2 !== 'function')
+    throw new Error('Argon2id is not available in this environment. Use "scrypt" or "pbkdf2".');
+  return new Promise((resolve, reject) =>
+    nodeCrypto.argon2(
+      'argon2id',
+      {
+        message: password,
+        nonce: salt,
+        parallelism: params.parallelism,
+        tagLength: params.keyLength,
+        memory: params.memory,
+        passes: params.passes,
+      },
+      /** @param {Error|null} err @param {Buffer} key */
+      (err, key) => (err ? reject(err) : resolve(key)),
+    ),
+  );
+}
@@ -0,0 +1,145 @@
+import { Buffer } from 'buffer';
+
+import { checkKdfCost, deriveKey, normalizeKdfParams } from './kdf.mjs';
+import { safeEqual } from './algorithms.mjs';
+import { hmacSha256, randomBytes, resolveBackend } from './backends.mjs';
+
+/** @typedef {import('./kdf.mjs').KdfParams} KdfParams */
+/** @typedef {import('./kdf.mjs').KdfOptions} KdfOptions */
+
+/**
+ * Current version of the keystore format.
+ * @type {number}
+ */
+export const KEYSTORE_VERSION = 1;
+
+/** Cipher used to wrap the secret. */
+const KEYSTORE_CIPHER = 'aes-256-gcm';
+
+/** Bytes derived from the passphrase: the KEK and the MAC key. */
+const KEYSTORE_KEY_LENGTH = 64;
+
+/**
+ * A secret wrapped with a passphrase-derived key encryption key (KEK).
+ *
+ * The KDF derives 64 bytes: the first half is the KEK and the second half is the MAC key.
+ * The MAC is an HMAC-SHA256 over every other field, so a wrong passphrase is detected
+ * before anything is decrypted.
+ *
+ * @typedef {Object} Keystore
+ * @property {number} version - Keystore format version.
+ * @property {string} type - What the secret is (e.g. `'key'` or `'config'`).
+ * @property {KdfParams} kdf - Parameters used to derive the KEK from the passphrase.
+ * @property {string} cipher - Cipher used to wrap the secret.
+ * @property {string} iv - IV in hex format.
+ * @property {string} tag - Auth tag in hex format.
+ * @property {string} ciphertext - The wrapped secret in hex format.
+ * @property {string} mac - HMAC-SHA256 of the keystore in hex format.
+ */
+
+/**
+ * Computes the MAC of a keystore.
+ *
+ * @param {Buffer} macKey
+ * @param {Omit<Keystore, 'mac'>} keystore
+ * @returns {Promise<Buffer>}
+ */
+function computeMac(macKey, { version, type, kdf, cipher, iv, tag, ciphertext }) {
+  const data = JSON.stringify({ version, type, kdf, cipher, iv, tag, ciphertext });
+  return hmacSha256(macKey, Buffer.from(data, 'utf8'));
+}
+
+/**
+ * Checks whether a value looks like a keystore.
+ *
+ * @param {*} value
+ * @returns {value is Keystore}
+ */
+export function isKeystore(value) {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    typeof value.version === 'number' &&
+    typeof value.kdf === 'object' &&
+    typeof value.ciphertext === 'string' &&
+    typeof value.mac === 'string'
+  );
+}
+
+/**
+ * Wraps a secret with a passphrase.
+ *
+ * @param {Buffer} secret - The secret to protect.
+ * @param {string|Buffer} passphrase - The passphrase.
+ * @param {Object} [options={}] - Options.
+ * @param {string} [options.type='key'] - What the secret is. Checked again when the keystore is opened.
+ * @param {KdfOptions} [options.kdf={}] - Key derivation options (scrypt by default).
+ * @returns {Promise<Keystore>} The keystore.
+ * @throws {Error} If the passphrase is empty, or the KDF options are invalid or over `KDF_LIMITS`.
+ */
+export async function createKeystore(secret, passphrase, { type = 'key', kdf = {} } = {}) {
+  const kdfParams = normalizeKdfParams({ ...kdf, keyLength: KEYSTORE_KEY_LENGTH });
+  checkKdfCost(kdfParams);
+  const derived = await deriveKey(passphrase, kdfParams);
+  const iv = randomBytes(12);
+  const { encrypted, authTag } = await resolveBackend('auto', KEYSTORE_CIPHER).encrypt(secret, {
+    algorithm: KEYSTORE_CIPHER,
+    key: derived.subarray(0, 32),
+    iv,
+    authTagLength: 16,
+  });
+
+  /** @type {Omit<Keystore, 'mac'>} */
+  const keystore = {
+    version: KEYSTORE_VERSION,
+    type,
+    kdf: kdfParams,
+    cipher: KEYSTORE_CIPHER,
+    iv: iv.toString('hex'),
+    tag: authTag.toString('hex'),
+    ciphertext: encrypted.toString('hex'),
+  };
+  const mac = await computeMac(derived.subarray(32), keystore);
+  return { ...keystore, mac: mac.toString('hex') };
+}
+
+/**
+ * Unwraps the secret of a keystore.
+ *
+ * @param {Keystore} keystore - The keystore.
+ * @param {string|Buffer} passphrase - The passphrase.
+ * @param {string} [type='key'] - The expected keystore type.
+ * @returns {Promise<Buffer>} The secret.
+ * @throws {Error} If the keystore is invalid, has another type, or the passphrase is wrong.
+ * @throws {Error} If the KDF parameters are over `KDF_LIMITS`.
+ */
+export async function openKeystore(keystore, passphrase, type = 'key') {
+  if (!isKeystore(keystore)) throw new Error('Invalid keystore.');
+  if (keystore.version !== KEYSTORE_VERSION)
+    throw new Error(`Unsupported keystore version: ${keystore.version}.`);
+  if (keystore.type !== type)
+    throw new Error(`Invalid keystore type "${keystore.type}". Expected "${type}".`);
+  if (keystore.cipher !== KEYSTORE_CIPHER)
+    throw new Error(`Unsupported keystore cipher "${keystore.cipher}".`);
+
+  // Nothing is authenticated before the key is derived, so the file can't choose any cost
+  const kdfParams = normalizeKdfParams(keystore.kdf);
+  checkKdfCost(kdfParams);
+  if (kdfParams.keyLength !== KEYSTORE_KEY_LENGTH)
+    throw new Error(`Invalid keystore key length. Expected ${KEYSTORE_KEY_LENGTH} bytes.`);
+  const derived = await deriveKey(passphrase, kdfParams);
+  const mac = Buffer.from(keystore.mac, 'hex');
+  const expected = await computeMac(derived.subarray(32), keystore);
+  if (!safeEqual(mac, expected)) throw new Error('Invalid passphrase or corrupted keystore.');
+
+  return resolveBackend('auto', KEYSTORE_CIPHER).decrypt(
+    Buffer.from(keystore.ciphertext, 'hex'),
+    Buffer.from(keystore.tag, 'hex'),
+    {
+      algorithm: KEYSTORE_CIPHER,
+      key: derived.subarray(0, 32),
+      iv: Buffer.from(keystore.iv, 'hex'),
+      authTagLength: 16,
+    },
+  );
+}
@@ -0,0 +1,118 @@
+import { createCipheriv, createDecipheriv, createHmac } from 'crypto';
+import { Buffer } from 'buffer';
+
+import { buildMacData, checkCipherParams, safeEqual } from './algorithms.mjs';
+
+/** @typedef {import('./algorithms.mjs').AlgorithmSpec} AlgorithmSpec */
+/** @typedef {import('./algorithms.mjs').CipherParams} CipherParams */
+
+/**
+ * Random bytes of the Node.js `crypto` module, used when the runtime has no WebCrypto.
+ */
+export { randomBytes } from 'crypto';
+
+/**
+ * Computes an HMAC.
+ *
+ * @param {string} digest - The hash function (e.g. `sha256`).
+ * @param {Buffer} key - The MAC key.
+ * @param {Buffer|string} data - The authenticated data.
+ * @returns {Buffer}
+ */
+export function hmac(digest, key, data) {
+  return createHmac(digest, key).update(data).digest();
+}
+
+/**
+ * Computes the encrypt-then-MAC tag of `aes-*-cbc-hmac-*` (see {@link buildMacData}),
+ * truncated to the tag length.
+ *
+ * @param {AlgorithmSpec} spec
+ * @param {Buffer} macKey
+ * @param {Buffer|null} aad
+ * @param {Buffer} iv
+ * @param {Buffer} encrypted
+ * @param {number} authTagLength
+ * @returns {Buffer}
+ */
+function computeMac(spec, macKey, aad, iv, encrypted, authTagLength) {
+  return hmac(
+    /** @type {string} */ (spec.digest),
+    macKey,
+    buildMacData(aad, iv, encrypted),
+  ).subarray(0, authTagLength);
+}
+
+/**
+ * Encrypts bytes with a supported algorithm.
+ *
+ * AEAD algorithms (AES-GCM, ChaCha20-Poly1305) use the cipher auth tag. `aes-256-cbc-hmac-sha256`
+ * splits the 64-byte key into an AES key (first half) and an HMAC key (second half), and
+ * authenticates the IV and ciphertext with HMAC-SHA256 (encrypt-then-MAC).
+ *
+ * @param {Buffer} plain - The bytes to encrypt.
+ * @param {CipherParams} params - Cipher parameters.
+ * @returns {{ encrypted: Buffer, authTag: Buffer }}
+ * @throws {Error} If the algorithm is not supported or a size is invalid.
+ */
+export function encryptBytes(plain, { algorithm, key, iv, authTagLength, aad = null }) {
+  const spec = checkCipherParams({ algorithm, key, iv, authTagLength });
+
+  if (spec.mode === 'cbc-hmac') {
+    const half = spec.keyLength / 2;
+    const cipher = createCipheriv(/** @type {string} */ (spec.cipher), key.subarray(0, half), iv);
+    const encrypted = Buffer.concat([cipher.update(plain), cipher.final()]);
+    const authTag = computeMac(spec, key.subarray(half), aad, iv, encrypted, authTagLength);
+    return { encrypted, authTag };
+  }
+
+  const cipher = createCipheriv(algorithm, key, iv, {
+    // @ts-ignore
+    authTagLength,
+  });
+
+  if (aad) cipher.setAAD(aad);
+  const encrypted = Buffer.concat([cipher.update(plain), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+  return { encrypted, authTag };
+}
+
+/**
+ * Decrypts bytes made by {@link encryptBytes}.
+ *
+ * @param {Buffer} encrypted - The bytes to decrypt.
+ * @param {Buffer} authTag - The authentication tag.
+ * @param {CipherParams} params - Cipher parameters.
+ * @returns {Buffer} The decrypted bytes.
+ * @throws {Error} If the authentication fails, the algorithm is not supported or a size is invalid.
+ */
+export function decryptBytes(
+  encrypted,
+  authTag,
+  { algorithm, key, iv, authTagLength, aad = null },
+) {
+  const spec = checkCipherParams({ algorithm, key, iv, authTagLength });
+
+  if (spec.mode === 'cbc-hmac') {
+    const half = spec.keyLength / 2;
+    const expected = computeMac(spec, key.subarray(half), aad, iv, encrypted, authTagLength);
+    // Same message as the AEAD ciphers, so callers can handle every algorithm the same way
+    if (!safeEqual(authTag, expected))
+      throw new Error('Unsupported state or unable to authenticate data');
+    const decipher = createDecipheriv(
+      /** @type {string} */ (spec.cipher),
+      key.subarray(0, half),
+      iv,
+    );
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+  }
+
+  const decipher = createDecipheriv(algorithm, key, iv, {
+    // @ts-ignore
+    authTagLength,
+  });
+
+  decipher.setAuthTag(authTag);
+  if (aad) decipher.setAAD(aad);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+}
@@ -0,0 +1,67 @@
+import { Buffer } from 'buffer';
+
+/**
+ * Current version of the packed binary format.
+ * @type {number}
+ */
+export const PACKED_VERSION = 1;
+
+/** Size of the fixed part of the packed header: version, IV length, tag length and key id length. */
+const PACKED_HEADER_LENGTH = 4;
+
+/**
+ * The parts of a packed ciphertext.
+ *
+ * @typedef {Object} PackedParts
+ * @property {Buffer} iv - The IV.
+ * @property {Buffer} authTag - The authentication tag.
+ * @property {Buffer} encrypted - The encrypted bytes.
+ * @property {string} [keyId] - The id of the key used in encryption, if any.
+ */
+
+/**
+ * Packs the parts of a ciphertext into a single buffer:
+ * version (1 byte) | IV length (1 byte) | tag length (1 byte) | key id length (1 byte) | key id | iv | authTag | encrypted.
+ *
+ * @param {PackedParts} parts - The ciphertext parts.
+ * @returns {Buffer} The packed buffer.
+ * @throws {Error} If a part is too long for the format.
+ */
+export function packEncrypted({ iv, authTag, encrypted, keyId }) {
+  const keyIdBytes = Buffer.from(keyId ?? '', 'utf8');
+  if (iv.length > 255 || authTag.length > 255 || keyIdBytes.length > 255)
+    throw new Error('Invalid packed data: the IV, auth tag and key id must be up to 255 bytes.');
+
+  const header = Buffer.from([PACKED_VERSION, iv.length, authTag.length, keyIdBytes.length]);
+  return Buffer.concat([header, keyIdBytes, iv, authTag, encrypted]);
+}
+
+/**
+ * Reads a buffer made by {@link packEncrypted}.
+ *
+ * @param {Buffer|Uint8Array} data - The packed buffer.
+ * @returns {PackedParts} The ciphertext parts. They share memory with `data`.
+ * @throws {Error} If the buffer is malformed or has an unsupported version.
+ */
+export function unpackEncrypted(data) {
+  const buf = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  if (buf.length < PACKED_HEADER_LENGTH) throw new Error('Invalid packed data: too short.');
+  if (buf[0] !== PACKED_VERSION) throw new Error(`Unsupported packed data version: ${buf[0]}.`);
+
+  const ivLength = buf[1];
+  const tagLength = buf[2];
+  const keyIdEnd = PACKED_HEADER_LENGTH + buf[3];
+  const ivEnd = keyIdEnd + ivLength;
+  const tagEnd = ivEnd + tagLength;
+  if (buf.length < tagEnd) throw new Error('Invalid packed data: too short.');
+
+  /** @type {PackedParts} */
+  const parts = {
+    iv: buf.subarray(keyIdEnd, ivEnd),
+    authTag: buf.subarray(ivEnd, tagEnd),
+    encrypted: buf.subarray(tagEnd),
+  };
+  if (keyIdEnd > PACKED_HEADER_LENGTH)
+    parts.keyId = buf.subarray(PACKED_HEADER_LENGTH, keyIdEnd).toString('utf8');
+  return parts;
+}
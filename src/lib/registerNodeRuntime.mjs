@@ -0,0 +1,8 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { Transform } from 'stream';
+
+import * as ciphers from './nodeCrypto.mjs';
+import { setNodeRuntime } from './runtime.mjs';
+
+// Imported by the Node.js entry point only. The browser bundle of TinyCrypto leaves it out.
+setNodeRuntime({ ciphers, readFileSync, writeFileSync, Transform });
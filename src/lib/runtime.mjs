@@ -0,0 +1,48 @@
+/**
+ * The Node.js modules used by the synchronous methods of TinyCrypto (ciphers, files and streams).
+ *
+ * They are registered by the Node.js entry point (see `registerNodeRuntime.mjs`) instead of being
+ * imported by TinyCrypto, so browser bundles don't need Node.js polyfills.
+ *
+ * @typedef {Object} NodeRuntime
+ * @property {typeof import('./nodeCrypto.mjs')} ciphers - The ciphers of the Node.js `crypto` module.
+ * @property {typeof import('fs').readFileSync} readFileSync - Reads a file.
+ * @property {typeof import('fs').writeFileSync} writeFileSync - Writes a file.
+ * @property {typeof import('stream').Transform} Transform - The Node.js transform stream class.
+ */
+
+/** @type {NodeRuntime|null} */
+let nodeRuntime = null;
+
+/**
+ * Registers the Node.js modules.
+ *
+ * @param {NodeRuntime} runtime - The Node.js modules.
+ */
+export function setNodeRuntime(runtime) {
+  nodeRuntime = runtime;
+}
+
+/**
+ * Checks whether the Node.js modules were registered.
+ *
+ * @returns {boolean}
+ */
+export function hasNodeRuntime() {
+  return nodeRuntime !== null;
+}
+
+/**
+ * Returns the Node.js modules.
+ *
+ * @param {string} feature - What needs them, for the error message.
+ * @returns {NodeRuntime}
+ * @throws {Error} If the runtime has no Node.js modules (e.g. the browser bundle).
+ */
+export function getNodeRuntime(feature) {
+  if (!nodeRuntime)
+    throw new Error(
+      `${feature} needs the Node.js modules. In browsers, use the async methods (e.g. encryptAsync()).`,
+    );
+  return nodeRuntime;
+}
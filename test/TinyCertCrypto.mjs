@@ -1,4 +1,5 @@
 import fs from 'fs';
+import { X509Certificate } from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { TinyCertCrypto } from '../dist/index.mjs';
@@ -67,11 +68,377 @@ const testWithInstance = async (cryptoInstance, title = 'Instance') => {
   const decrypted3 = await cryptoInstance.decrypt(encrypted3);
   console.log('✅ Decrypted JSON 3:', decrypted3);
 
+  const aad = 'ponies:fluttershy';
+  const encrypted4 = await cryptoInstance.encrypt(testData2, { aad });
+  console.log('📦 Encrypted with AAD:', encrypted4);
+
+  const decrypted4 = await cryptoInstance.decrypt(encrypted4, 'object', { aad });
+  console.log('✅ Decrypted with AAD:', decrypted4);
+
+  try {
+    await cryptoInstance.decryptWithoutKey(
+      await cryptoInstance.encryptWithoutKey(testData2, { aad }),
+      null,
+      { aad: 'ponies:pinkie-pie' },
+    );
+    console.log('❌ Decryption with a different AAD should have failed!');
+  } catch (err) {
+    console.log('✅ Decryption with a different AAD failed as expected:', err.message);
+  }
+
   console.log('🔍 Extracting certificate metadata...');
   const metadata = cryptoInstance.extractCertMetadata();
   console.log('📋 Certificate Metadata:', metadata);
 };
 
+const testCertificateAuthority = async () => {
+  printSeparator('🏛️ CERTIFICATE AUTHORITY TESTS', '\x1b[34m');
+
+  const root = new TinyCertCrypto();
+  const { cert: rootCert } = await root.generateX509Cert(
+    { commonName: 'Pony Root CA', organizationName: 'JasminOrg' },
+    { ca: true, pathLength: 1, validityInYears: 10 },
+  );
+  console.log('🏛️ Root CA:', root.isCA(), root.extractCertMetadata().issuer.raw);
+
+  const intermediate = new TinyCertCrypto();
+  const { cert: intermediateCert } = await intermediate.generateX509Cert(
+    { commonName: 'Pony Intermediate CA', organizationName: 'JasminOrg' },
+    { ca: true, issuer: root, validityInYears: 5 },
+  );
+  console.log(
+    '🏢 Intermediate CA:',
+    intermediate.isCA(),
+    intermediate.extractCertMetadata().issuer.raw,
+  );
+
+  const server = new TinyCertCrypto();
+  const { cert: serverCert } = await server.generateX509Cert(
+    { commonName: 'api.pony.local' },
+    { issuer: intermediate, extKeyUsage: ['serverAuth'] },
+  );
+  console.log('🖥️ Server certificate:', server.isCA(), server.extractCertMetadata().issuer.raw);
+
+  const { pki } = server.getNodeForge();
+  const caStore = pki.createCaStore([rootCert]);
+  const verified = pki.verifyCertificateChain(caStore, [
+    pki.certificateFromPem(serverCert),
+    pki.certificateFromPem(intermediateCert),
+  ]);
+  console.log('🔗 Chain verified by node-forge:', verified);
+
+  const extensions = pki
+    .certificateFromPem(serverCert)
+    .extensions.map((ext) => ext.name)
+    .join(', ');
+  console.log('🧩 Server certificate extensions:', extensions);
+
+  const clientKeys = pki.rsa.generateKeyPair(2048);
+  const clientCert = intermediate.issueCertificate(
+    { commonName: 'client-42' },
+    pki.publicKeyToPem(clientKeys.publicKey),
+    { extKeyUsage: ['clientAuth'] },
+  );
+  console.log(
+    '🖋️ Issued client certificate:',
+    pki.certificateFromPem(intermediateCert).verify(pki.certificateFromPem(clientCert)),
+  );
+
+  try {
+    server.issueCertificate({ commonName: 'evil' }, clientKeys.publicKey);
+    console.log('❌ A leaf certificate should not be able to sign certificates!');
+  } catch (err) {
+    console.log('✅ Signing with a leaf certificate failed as expected:', err.message);
+  }
+
+  try {
+    intermediate.issueCertificate({ commonName: 'Sub CA' }, clientKeys.publicKey, { ca: true });
+    console.log('❌ The path length of the intermediate CA should have been enforced!');
+  } catch (err) {
+    console.log('✅ Path length enforced as expected:', err.message);
+  }
+
+  return { root, rootCert, intermediate, intermediateCert, server };
+};
+
+const testCertificateChain = async ({ root, rootCert, intermediate, intermediateCert, server }) => {
+  printSeparator('🔗 CERTIFICATE CHAIN TESTS', '\x1b[34m');
+
+  const { pki, md } = server.getNodeForge();
+  /**
+   * @param {string} label
+   * @param {ReturnType<TinyCertCrypto['verifyChain']>} result
+   * @param {number|null} failedAt - The expected failing link.
+   */
+  const expectChain = (label, result, failedAt) => {
+    if (result.failedAt === failedAt)
+      console.log(`✅ ${label}:`, result.valid, result.failedAt, result.reason);
+    else console.log(`❌ ${label}: unexpected result`, result);
+  };
+
+  const valid = server.verifyChain([intermediateCert], [rootCert]);
+  expectChain('Valid chain', valid, null);
+  console.log(
+    '📋 Chain:',
+    valid.chain.map((link) => `${link.subject}${link.trusted ? ' (trusted)' : ''}`),
+  );
+
+  expectChain(
+    'Missing intermediate (should fail at link 0)',
+    server.verifyChain([], [rootCert]),
+    0,
+  );
+  expectChain(
+    'Untrusted root (should fail at link 2)',
+    server.verifyChain([intermediateCert, rootCert], []),
+    2,
+  );
+  expectChain(
+    'Expired server certificate (should fail at link 0)',
+    server.verifyChain([intermediateCert], [rootCert], { at: new Date(Date.now() + 4e11) }),
+    0,
+  );
+  expectChain(
+    'Certificate used before its validity (should fail at link 0)',
+    server.verifyChain([intermediateCert], [rootCert], { at: new Date(Date.now() - 864e5) }),
+    0,
+  );
+  expectChain('The root alone is trusted', root.verifyChain([], [rootCert]), null);
+
+  const fakeRoot = new TinyCertCrypto();
+  const { cert: fakeRootCert } = await fakeRoot.generateX509Cert(
+    { commonName: 'Pony Root CA', organizationName: 'JasminOrg' },
+    { ca: true },
+  );
+  expectChain(
+    'Root with the same name but another key (should fail at link 1)',
+    server.verifyChain([intermediateCert], [fakeRootCert]),
+    1,
+  );
+
+  // A sub CA below the intermediate CA breaks its path length (0)
+  const subKeys = pki.rsa.generateKeyPair(2048);
+  const subCert = pki.createCertificate();
+  subCert.publicKey = subKeys.publicKey;
+  subCert.serialNumber = '01';
+  subCert.validity.notBefore = new Date();
+  subCert.validity.notAfter = new Date(Date.now() + 864e5);
+  subCert.setSubject([{ name: 'commonName', value: 'Rogue Sub CA' }]);
+  subCert.setIssuer(intermediate.publicCert.subject.attributes);
+  subCert.setExtensions([{ name: 'basicConstraints', cA: true, critical: true }]);
+  subCert.sign(intermediate.privateKey, md.sha256.create());
+  const subCertPem = pki.certificateToPem(subCert);
+
+  const subCa = new TinyCertCrypto({
+    publicCertBuffer: subCertPem,
+    privateKeyBuffer: pki.privateKeyToPem(subKeys.privateKey),
+  });
+  await subCa.init();
+  const rogue = new TinyCertCrypto({
+    publicCertBuffer: subCa.issueCertificate({ commonName: 'rogue.pony.local' }, subKeys.publicKey),
+  });
+  await rogue.init();
+  expectChain(
+    'Path length exceeded (should fail at link 2)',
+    rogue.verifyChain([subCertPem, intermediateCert], [rootCert]),
+    2,
+  );
+
+  try {
+    server.verifyChain([intermediateCert], [rootCert], { at: 'tomorrow' });
+    console.log('❌ An invalid date should not be accepted!');
+  } catch (err) {
+    console.log('✅ Invalid date rejected as expected:', err.message);
+  }
+};
+
+const testCertificateSigningRequest = async ({ rootCert, intermediate, intermediateCert }) => {
+  printSeparator('📝 CERTIFICATE SIGNING REQUEST TESTS', '\x1b[34m');
+
+  const device = new TinyCertCrypto();
+  const { privateKey, csr } = await device.generateCsr({
+    commonName: 'device-01.pony.local',
+    organizationName: 'JasminOrg',
+  });
+  console.log('📝 CSR metadata:', device.extractCertMetadata());
+  console.log('🔍 CSR inspected by the CA:', intermediate.extractCertMetadata(csr).subject.raw);
+
+  const cert = intermediate.signCsr(csr, { extKeyUsage: ['clientAuth'] });
+  const deviceCert = new TinyCertCrypto({ publicCertBuffer: cert, privateKeyBuffer: privateKey });
+  await deviceCert.init();
+  console.log('📋 Signed certificate metadata:', deviceCert.extractCertMetadata());
+
+  const { pki } = deviceCert.getNodeForge();
+  const verified = pki.verifyCertificateChain(pki.createCaStore([rootCert]), [
+    pki.certificateFromPem(cert),
+    pki.certificateFromPem(intermediateCert),
+  ]);
+  console.log('🔗 Chain of the signed CSR verified by node-forge:', verified);
+
+  deviceCert.startCrypto();
+  const decrypted = await deviceCert.decryptToJson(
+    await deviceCert.encryptJson({ pony: 'Rarity' }),
+  );
+  console.log('✅ Decrypted with the CSR key and the signed certificate:', decrypted);
+
+  const der = Buffer.from(csr.replace(/-----[^-]+-----|\s/g, ''), 'base64');
+  const index = der.indexOf('device-01');
+  der.write('hacker-01', index);
+  const tamperedCsr = `-----BEGIN CERTIFICATE REQUEST-----\n${der.toString('base64')}\n-----END CERTIFICATE REQUEST-----`;
+  try {
+    intermediate.signCsr(tamperedCsr);
+    console.log('❌ A tampered CSR should not be signed!');
+  } catch (err) {
+    console.log('✅ Tampered CSR rejected as expected:', err.message);
+  }
+};
+
+const testExtensions = async () => {
+  printSeparator('🧩 SUBJECT ALTERNATIVE NAMES AND EXTENSIONS TESTS', '\x1b[34m');
+
+  const instance = new TinyCertCrypto();
+  const { cert } = await instance.generateX509Cert(
+    { commonName: 'api.pony.local' },
+    {
+      altNames: {
+        dns: ['api.pony.local', '*.pony.local', 'localhost'],
+        ip: ['127.0.0.1', '::1'],
+        uri: ['https://api.pony.local/'],
+        email: ['tiny@puddy.club'],
+      },
+      extensions: [
+        { name: 'keyUsage', critical: true, digitalSignature: true },
+        { name: 'nsCertType', server: true },
+        { id: '1.3.6.1.4.1.99999.1', value: Buffer.from([0x0c, 0x04, ...Buffer.from('pony')]) },
+      ],
+    },
+  );
+
+  const { extensions } = instance.extractCertMetadata();
+  console.log('🧩 Parsed extensions:', extensions);
+  console.log('🌐 Parsed alt names:', extensions.subjectAltName.altNames);
+
+  const x509 = new X509Certificate(cert);
+  console.log('🌐 SAN seen by Node.js:', x509.subjectAltName);
+  console.log(
+    '✅ Host and IP checks:',
+    x509.checkHost('api.pony.local'),
+    x509.checkHost('www.pony.local'),
+    x509.checkIP('127.0.0.1'),
+    x509.checkEmail('tiny@puddy.club'),
+  );
+  console.log(
+    extensions.keyUsage.usages.join() === 'digitalSignature'
+      ? '✅ The keyUsage extension replaced the default one'
+      : '❌ The keyUsage extension should have replaced the default one!',
+  );
+
+  const invalidOptions = [
+    ['Invalid IPv4', { altNames: { ip: ['300.1.1.1'] } }],
+    ['Invalid IPv6', { altNames: { ip: ['fe80::1::2'] } }],
+    ['Unknown alt name type', { altNames: { phone: ['+55 11 0000-0000'] } }],
+    ['Extension without name', { extensions: [{ critical: true }] }],
+  ];
+  for (const [label, options] of invalidOptions) {
+    try {
+      await new TinyCertCrypto().generateX509Cert({ commonName: 'bad' }, options);
+      console.log(`❌ ${label} should have been rejected!`);
+    } catch (err) {
+      console.log(`✅ ${label} rejected as expected:`, err.message);
+    }
+  }
+};
+
+const testKeyTypes = async ({ root, rootCert }) => {
+  printSeparator('🔑 KEY TYPE TESTS', '\x1b[34m');
+
+  for (const keyType of ['P-256', 'P-384', 'Ed25519']) {
+    const instance = new TinyCertCrypto();
+    const { cert } = await instance.generateX509Cert(
+      { commonName: `${keyType.toLowerCase()}.pony.local` },
+      { keyType },
+    );
+    const x509 = new X509Certificate(cert);
+    console.log(`🔑 ${keyType} key type:`, instance.getKeyType());
+    console.log(`✅ ${keyType} signature checked by Node.js:`, x509.verify(x509.publicKey));
+    await testWithInstance(instance, `${keyType} Instance`);
+  }
+
+  const ecRoot = new TinyCertCrypto();
+  const { cert: ecRootCert } = await ecRoot.generateX509Cert(
+    { commonName: 'Pony EC Root CA' },
+    { ca: true, keyType: 'P-384' },
+  );
+  const edServer = new TinyCertCrypto();
+  const {
+    cert: edServerCert,
+    publicKey: edPublicKey,
+    privateKey: edPrivateKey,
+  } = await edServer.generateX509Cert(
+    { commonName: 'ed.pony.local' },
+    { issuer: ecRoot, keyType: 'Ed25519', altNames: { dns: ['ed.pony.local'] } },
+  );
+  const rsaServer = new TinyCertCrypto();
+  const { cert: rsaServerCert } = await rsaServer.generateX509Cert(
+    { commonName: 'rsa.pony.local' },
+    { issuer: ecRoot },
+  );
+  const ecServer = new TinyCertCrypto();
+  await ecServer.generateX509Cert(
+    { commonName: 'ec.pony.local' },
+    { issuer: root, keyType: 'P-256' },
+  );
+
+  const ecRootX509 = new X509Certificate(ecRootCert);
+  console.log(
+    '✅ EC root signatures checked by Node.js:',
+    new X509Certificate(edServerCert).verify(ecRootX509.publicKey),
+    new X509Certificate(rsaServerCert).verify(ecRootX509.publicKey),
+  );
+  console.log('🧩 Ed25519 server extensions:', edServer.extractCertMetadata().extensions);
+
+  const expectValid = (label, result) =>
+    console.log(
+      result.valid ? `✅ ${label} is valid` : `❌ ${label} should be valid: ${result.reason}`,
+    );
+  expectValid('Ed25519 certificate issued by a P-384 root', edServer.verifyChain([], [ecRootCert]));
+  expectValid('RSA certificate issued by a P-384 root', rsaServer.verifyChain([], [ecRootCert]));
+  expectValid('P-256 certificate issued by an RSA root', ecServer.verifyChain([], [rootCert]));
+  const wrongRoot = edServer.verifyChain([], [rootCert]);
+  console.log(
+    wrongRoot.valid
+      ? '❌ A chain with a different root should be invalid!'
+      : `✅ Chain with a different root rejected as expected: ${wrongRoot.reason}`,
+  );
+
+  const loaded = new TinyCertCrypto({
+    publicCertBuffer: Buffer.from(edServerCert),
+    privateKeyBuffer: Buffer.from(edPrivateKey),
+  });
+  await loaded.init();
+  console.log('📂 Ed25519 instance loaded from PEM:', loaded.getKeyType());
+  console.log(
+    '✅ Decrypted by the loaded instance:',
+    loaded.decryptToJson(edServer.encryptJson({ pony: 'Rarity' })),
+  );
+
+  const publicOnly = new TinyCertCrypto({ publicCertBuffer: Buffer.from(edPublicKey) });
+  await publicOnly.init();
+  try {
+    ecServer.decryptToJson(publicOnly.encryptJson({ pony: 'Rarity' }));
+    console.log('❌ Decryption with another key should have failed!');
+  } catch (err) {
+    console.log('✅ Decryption with another key failed as expected:', err.message);
+  }
+
+  try {
+    await new TinyCertCrypto().generateX509Cert({ commonName: 'bad' }, { keyType: 'P-521' });
+    console.log('❌ An unknown key type should have been rejected!');
+  } catch (err) {
+    console.log('✅ Unknown key type rejected as expected:', err.message);
+  }
+};
+
 const main = async () => {
   console.log('🔐✨ Starting TinyCertCrypto Tests');
 
@@ -105,6 +472,12 @@ const main = async () => {
 
   await testWithInstance(cryptoInstance, 'File-Based Instance');
 
+  const authority = await testCertificateAuthority();
+  await testCertificateSigningRequest(authority);
+  await testCertificateChain(authority);
+  await testExtensions();
+  await testKeyTypes(authority);
+
   printSeparator('🎉 ALL TESTS COMPLETED SUCCESSFULLY', '\x1b[32m');
 };
 
@@ -324,11 +324,123 @@ const testTinyEthSecp256k1 = async () => {
   console.log(`${COLOR.green}🎉✅ Test Completed! (ETH)${COLOR.reset}\n`);
 };
 
+const tinyBinaryChainSimulation = async () => {
+  console.log(`\n📦🔹━[ ${COLOR.blue}Binary Codec Chain Test${COLOR.reset} ]━🔹📦\n`);
+
+  const admin = new TinyChain.Btc256k1();
+  const alice = new TinyChain.Btc256k1();
+  await Promise.all([admin.init(), alice.init()]);
+
+  const chainCfg = {
+    signer: admin,
+    codec: 'binary',
+    currencyMode: true,
+    initialBalances: { [alice.getAddress()]: 1000000000n },
+  };
+
+  const chain = new TinyChain.Instance(chainCfg);
+  await chain.init();
+  const block = chain.createBlock([
+    chain.createBlockContent({
+      signer: alice,
+      payload: 'Alice pays in binary',
+      transfers: [{ from: alice.getAddress(), to: admin.getAddress(), amount: 1000n }],
+    }),
+  ]);
+  await chain.mineBlock(admin.getAddress(), block);
+
+  const exported = chain.exportChain();
+  console.log(
+    `🧱 Exported blocks       : ${COLOR.cyan}${exported.map((item) => (Buffer.isBuffer(item) ? `Buffer(${item.length})` : typeof item)).join(', ')}${COLOR.reset}`,
+  );
+
+  const newChain = new TinyChain.Instance(chainCfg);
+  newChain.importChain(exported);
+  console.log(`✅ Imported chain valid  : ${COLOR.green}${newChain.isValid()}${COLOR.reset}`);
+  console.log(
+    `✅ Same balances         : ${COLOR.green}${newChain.balances[alice.getAddress()] === chain.balances[alice.getAddress()]}${COLOR.reset}`,
+  );
+  console.log(
+    `✅ Payload kept          : ${COLOR.green}${newChain.getChainBlock(1).getData()[0].payload}${COLOR.reset}`,
+  );
+
+  try {
+    new TinyChain.Instance({ ...chainCfg, codec: 'bson' });
+  } catch (err) {
+    console.log(`❌ Invalid codec (expected): ${COLOR.red}${err.message}${COLOR.reset}`);
+  }
+
+  console.log(`${COLOR.green}🎉✅ Test Completed! (Binary codec)${COLOR.reset}\n`);
+};
+
+const tinyCanonicalChainSimulation = async () => {
+  console.log(`\n🧮🔹━[ ${COLOR.blue}Canonical Chain Test${COLOR.reset} ]━🔹🧮\n`);
+
+  const admin = new TinyChain.Btc256k1();
+  const alice = new TinyChain.Btc256k1();
+  await Promise.all([admin.init(), alice.init()]);
+
+  const chain = new TinyChain.Instance({ signer: admin, canonical: true });
+  await chain.init();
+  const block = chain.createBlock([
+    chain.createBlockContent({ signer: alice, payload: 'Same data, any key order' }),
+  ]);
+  await chain.mineBlock(admin.getAddress(), block);
+
+  /**
+   * Rebuilds a value with every object key in reverse order.
+   * @param {*} value
+   * @returns {*}
+   */
+  const reverseKeys = (value) => {
+    if (Array.isArray(value)) return value.map(reverseKeys);
+    if (typeof value !== 'object' || value === null) return value;
+    return Object.fromEntries(
+      Object.entries(value)
+        .reverse()
+        .map(([key, item]) => [key, reverseKeys(item)]),
+    );
+  };
+
+  const mined = chain.getChainBlock(1);
+  /** @param {boolean} canonical */
+  const rebuild = (canonical) =>
+    new TinyChain.Block({
+      ...mined.get(),
+      data: reverseKeys(mined.getData()),
+      signer: mined.getSigner(),
+      parser: mined.getParser(),
+      canonical,
+    });
+
+  const copy = rebuild(true);
+  console.log(`✅ Chain is canonical    : ${COLOR.green}${chain.isCanonical()}${COLOR.reset}`);
+  console.log(
+    `✅ Same hash             : ${COLOR.green}${copy.calculateHash() === mined.getHash()}${COLOR.reset}`,
+  );
+  console.log(
+    `✅ Same tx id            : ${COLOR.green}${copy.generateTxId(0) === mined.generateTxId(0)}${COLOR.reset}`,
+  );
+  console.log(`✅ Chain still valid     : ${COLOR.green}${chain.isValid()}${COLOR.reset}`);
+
+  try {
+    rebuild(false);
+  } catch (err) {
+    console.log(
+      `❌ Key order changes the signature without canonical mode (expected): ${COLOR.red}${err.message}${COLOR.reset}`,
+    );
+  }
+
+  console.log(`${COLOR.green}🎉✅ Test Completed! (Canonical mode)${COLOR.reset}\n`);
+};
+
 const tinyChainSimulation = async () => {
   await tinySignatureTest();
   await tinyBtcSignatureTest();
   await testTinyEthSecp256k1();
   await tinyWalletSimulation();
+  await tinyBinaryChainSimulation();
+  await tinyCanonicalChainSimulation();
 };
 
 export default tinyChainSimulation;
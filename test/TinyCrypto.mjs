@@ -3,7 +3,16 @@
  * This includes primitives, complex types, and expected serialization failures.
  */
 
-import { TinyCrypto } from '../dist/index.mjs';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Readable, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { TinyCrypto, TinyCryptoParser } from '../dist/index.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const tempDir = path.join(__dirname, 'temp');
 
 // Instancia padrão
 const crypto = new TinyCrypto();
@@ -33,6 +42,23 @@ const testValues = [
   { label: 'Set', value: new Set([1, 2, 3]) },
   { label: 'Buffer', value: Buffer.from('Hello buffer!') },
   { label: 'RegExp', value: /hello\d+/gi },
+  { label: 'Uint8Array', value: new Uint8Array([1, 2, 255]) },
+  { label: 'Float32Array', value: new Float32Array([1.5, -2.25, 3]) },
+  { label: 'Float64Array', value: new Float64Array([Math.PI, -0.5, 1e300]) },
+  { label: 'BigInt64Array', value: new BigInt64Array([1n, -2n]) },
+  { label: 'ArrayBuffer', value: new Uint16Array([1, 2, 3]).buffer },
+  { label: 'DataView', value: new DataView(new Uint8Array([9, 8, 7, 6]).buffer, 1, 2) },
+  {
+    label: 'Error',
+    value: new TypeError('Invalid job input', { cause: new RangeError('Too big') }),
+  },
+  {
+    label: 'AggregateError',
+    value: new AggregateError(
+      [new Error('Job 1 failed'), new SyntaxError('Job 2 failed')],
+      'Jobs failed',
+    ),
+  },
 
   {
     label: 'Multi Object',
@@ -117,6 +143,1632 @@ const tinyCryptoSimulation = async () => {
 
     console.log(colors.divider);
   }
+
+  await tinyCryptoStreamSimulation();
+  await tinyCryptoPasswordSimulation();
+  await tinyCryptoEnvelopeSimulation();
+  await tinyCryptoAadSimulation();
+  await tinyCryptoKeyringSimulation();
+  await tinyCryptoAlgorithmSimulation();
+  await tinyCryptoBackendSimulation();
+  await tinyCryptoFileSimulation();
+  await tinyCryptoKeystoreSimulation();
+  await tinyCryptoBinarySimulation();
+  await tinyCryptoTypedArraySimulation();
+  await tinyCryptoReferenceSimulation();
+  await tinyCryptoErrorSimulation();
+  await tinyCryptoCodecSimulation();
+  await tinyCryptoSchemaSimulation();
+  await tinyCryptoClassSimulation();
+  await tinyCryptoSafeModeSimulation();
+  await tinyCryptoBlobSimulation();
+};
+
+/**
+ * Pipes a list of chunks through a transform stream and collects the output.
+ * @param {Buffer[]} chunks
+ * @param {import('stream').Transform} transform
+ * @returns {Promise<Buffer>}
+ */
+const runStream = async (chunks, transform) => {
+  const output = [];
+  await pipeline(
+    Readable.from(chunks),
+    transform,
+    new Writable({
+      write(chunk, encoding, callback) {
+        output.push(chunk);
+        callback();
+      },
+    }),
+  );
+  return Buffer.concat(output);
+};
+
+const tinyCryptoStreamSimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}🌊 CryptoManager Stream Test\n${colors.reset}`);
+
+  const plain = crypto.generateKey(200000);
+  const chunks = [plain.subarray(0, 70000), plain.subarray(70000)];
+
+  const streamTests = [
+    {
+      label: 'Node stream round trip',
+      run: async () => {
+        const encrypted = await runStream(chunks, crypto.createEncryptStream({ chunkSize: 4096 }));
+        const decrypted = await runStream([encrypted], crypto.createDecryptStream());
+        if (!decrypted.equals(plain)) throw new Error('Decrypted bytes are different');
+        return `${encrypted.length} encrypted bytes`;
+      },
+    },
+    {
+      label: 'Web stream round trip',
+      run: async () => {
+        const encrypted = await new Response(
+          new Blob(chunks).stream().pipeThrough(crypto.createEncryptWebStream()),
+        ).arrayBuffer();
+        const decrypted = await runStream([Buffer.from(encrypted)], crypto.createDecryptStream());
+        if (!decrypted.equals(plain)) throw new Error('Decrypted bytes are different');
+        return `${encrypted.byteLength} encrypted bytes`;
+      },
+    },
+    {
+      label: 'Truncated stream (should fail)',
+      run: async () => {
+        const encrypted = await runStream(chunks, crypto.createEncryptStream({ chunkSize: 4096 }));
+        await runStream([encrypted.subarray(0, 4096 * 3)], crypto.createDecryptStream());
+      },
+    },
+    {
+      label: 'Tampered stream (should fail)',
+      run: async () => {
+        const encrypted = await runStream(chunks, crypto.createEncryptStream({ chunkSize: 4096 }));
+        encrypted[encrypted.length - 100] ^= 1;
+        await runStream([encrypted], crypto.createDecryptStream());
+      },
+    },
+    {
+      label: 'Stream header with a huge chunk size (should fail)',
+      run: async () => {
+        const encrypted = await runStream(chunks, crypto.createEncryptStream({ chunkSize: 4096 }));
+        encrypted.writeUInt32BE(0xffffffff, 4);
+        await runStream([encrypted], crypto.createDecryptStream());
+      },
+    },
+    {
+      label: 'Stream header with a changed chunk size (should fail)',
+      run: async () => {
+        const encrypted = await runStream(chunks, crypto.createEncryptStream({ chunkSize: 4096 }));
+        encrypted.writeUInt32BE(8192, 4);
+        await runStream([encrypted], crypto.createDecryptStream());
+      },
+    },
+  ];
+
+  for (const test of streamTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      if (result) console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
 };
 
 export default tinyCryptoSimulation;
+
+const tinyCryptoPasswordSimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}🔑 CryptoManager Password Test\n${colors.reset}`);
+
+  const password = 'pudding is the best pony food';
+  const passwordTests = [
+    {
+      label: 'scrypt round trip',
+      run: async () => {
+        const source = await TinyCrypto.fromPassword(password, { name: 'scrypt' });
+        const encrypted = source.encrypt({ secret: 'tiny' });
+        const config = source.exportConfig({ includeKey: false });
+        const target = new TinyCrypto();
+        target.importConfig(config);
+        await target.deriveKeyFromPassword(password);
+        return { kdf: config.kdf, decrypted: target.decrypt(encrypted) };
+      },
+    },
+    {
+      label: 'PBKDF2 round trip',
+      run: async () => {
+        const source = await TinyCrypto.fromPassword(password, {
+          name: 'pbkdf2',
+          iterations: 100000,
+        });
+        const target = await TinyCrypto.fromPassword(password, source.kdf);
+        return { kdf: source.kdf, decrypted: target.decrypt(source.encrypt('Hello, pony!')) };
+      },
+    },
+    {
+      label: 'Derived key replaces the key id',
+      run: async () => {
+        const manager = new TinyCrypto();
+        manager.addKey('a', manager.generateKey(), { activate: true });
+        const old = manager.encryptToEnvelope('old');
+        await manager.deriveKeyFromPassword(password, { name: 'pbkdf2', iterations: 1000 });
+        const fresh = manager.encryptToEnvelope('fresh');
+        return {
+          keyId: manager.keyId,
+          keyIds: manager.getKeyIds(),
+          old: manager.decryptEnvelope(old),
+          fresh: manager.decryptEnvelope(fresh),
+        };
+      },
+    },
+    {
+      label: 'Rebuilt key keeps its key id',
+      run: async () => {
+        const source = await TinyCrypto.fromPassword(
+          password,
+          { name: 'pbkdf2', iterations: 1000 },
+          { keyId: 'pony-2025' },
+        );
+        const envelope = source.encryptToEnvelope('Hello, pony!');
+        const target = new TinyCrypto();
+        target.importConfig(source.exportConfig({ includeKey: false }));
+        await target.deriveKeyFromPassword(password);
+        return { keyId: target.keyId, decrypted: target.decryptEnvelope(envelope) };
+      },
+    },
+    {
+      label: 'Derived key fits the algorithm',
+      run: async () => {
+        const source = await TinyCrypto.fromPassword(
+          password,
+          { name: 'pbkdf2', iterations: 1000 },
+          { algorithm: 'aes-128-gcm' },
+        );
+        return {
+          keyLength: source.kdf?.keyLength,
+          decrypted: source.decrypt(source.encrypt('Hello, pony!')),
+        };
+      },
+    },
+    {
+      label: 'Key length that does not fit the algorithm (should fail)',
+      run: () =>
+        TinyCrypto.fromPassword(
+          password,
+          { name: 'pbkdf2', iterations: 1000, keyLength: 32 },
+          { algorithm: 'aes-128-gcm' },
+        ),
+    },
+    {
+      label: 'Wrong password (should fail)',
+      run: async () => {
+        const source = await TinyCrypto.fromPassword(password);
+        const target = await TinyCrypto.fromPassword('wrong password', source.kdf);
+        return target.decrypt(source.encrypt('Hello, pony!'));
+      },
+    },
+  ];
+
+  for (const test of passwordTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
+};
+
+const tinyCryptoEnvelopeSimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}✉️  CryptoManager Envelope Test\n${colors.reset}`);
+
+  const source = new TinyCrypto({ keyId: 'pudding-2024', outputEncoding: 'base64' });
+  const envelopeTests = [
+    {
+      label: 'String envelope after defaults change',
+      run: () => {
+        const envelope = source.encryptToEnvelope({ name: 'Yasmin', map: new Map([['a', 1]]) });
+        const target = new TinyCrypto({ key: source.key, keyId: 'pudding-2024' });
+        target.importConfig({ outputEncoding: 'hex', authTagLength: 12 });
+        target.setDeepMode(false);
+        return { envelope, decrypted: target.decryptEnvelope(envelope) };
+      },
+    },
+    {
+      label: 'Binary envelope',
+      run: () => {
+        const envelope = source.encryptToEnvelope(new Set([1, 2, 3]), { format: 'binary' });
+        return { size: envelope.length, decrypted: source.decryptEnvelope(envelope, 'set') };
+      },
+    },
+    {
+      label: 'Tampered envelope header (should fail)',
+      run: () => {
+        const envelope = source.encryptToEnvelope('Hello, world!');
+        const parts = envelope.split('.');
+        const header = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+        header.deep = false;
+        parts[1] = Buffer.from(JSON.stringify(header)).toString('base64url');
+        return source.decryptEnvelope(parts.join('.'));
+      },
+    },
+    {
+      label: 'Wrong key id (should fail)',
+      run: () => {
+        const envelope = source.encryptToEnvelope('Hello, world!');
+        return new TinyCrypto({ key: source.key, keyId: 'other' }).decryptEnvelope(envelope);
+      },
+    },
+    {
+      label: 'Envelope with a truncated auth tag (should fail)',
+      run: () => {
+        const envelope = source.encryptToEnvelope('Hello, world!');
+        const parts = envelope.split('.');
+        const header = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+        header.tag = 4;
+        parts[1] = Buffer.from(JSON.stringify(header)).toString('base64url');
+        parts[3] = Buffer.from(parts[3], header.enc).subarray(0, 4).toString(header.enc);
+        return source.decryptEnvelope(parts.join('.'));
+      },
+    },
+    {
+      label: 'Envelope of another algorithm (should fail)',
+      run: () => {
+        const other = new TinyCrypto({ key: source.key, algorithm: 'chacha20-poly1305' });
+        return source.decryptEnvelope(other.encryptToEnvelope('Hello, world!'));
+      },
+    },
+    {
+      label: 'Envelope of another accepted algorithm',
+      run: () => {
+        const other = new TinyCrypto({ key: source.key, algorithm: 'chacha20-poly1305' });
+        return source.decryptEnvelope(other.encryptToEnvelope('Hello, world!'), 'string', {
+          algorithms: ['aes-256-gcm', 'chacha20-poly1305'],
+        });
+      },
+    },
+  ];
+
+  for (const test of envelopeTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
+};
+
+const tinyCryptoAadSimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}🔗 CryptoManager AAD Test\n${colors.reset}`);
+
+  const cryptoManager = new TinyCrypto();
+  const aad = 'users:42:email';
+  const aadTests = [
+    {
+      label: 'Matching AAD',
+      run: () => {
+        const encrypted = cryptoManager.encrypt('tiny@puddy.club', undefined, { aad });
+        return {
+          type: cryptoManager.getTypeFromEncrypted(encrypted, { aad }),
+          decrypted: cryptoManager.decrypt(encrypted, 'string', { aad }),
+        };
+      },
+    },
+    {
+      label: 'Buffer AAD',
+      run: () => {
+        const bufferAad = Buffer.from([1, 2, 3]);
+        const encrypted = cryptoManager.encrypt(123, undefined, { aad: bufferAad });
+        return cryptoManager.decrypt(encrypted, 'number', { aad: new Uint8Array([1, 2, 3]) });
+      },
+    },
+    {
+      label: 'Ciphertext moved to another row (should fail)',
+      run: () => {
+        const encrypted = cryptoManager.encrypt('tiny@puddy.club', undefined, { aad });
+        return cryptoManager.decrypt(encrypted, null, { aad: 'users:43:email' });
+      },
+    },
+    {
+      label: 'Missing AAD (should fail)',
+      run: () => {
+        const encrypted = cryptoManager.encrypt('tiny@puddy.club', undefined, { aad });
+        return cryptoManager.getTypeFromEncrypted(encrypted);
+      },
+    },
+    {
+      label: 'Envelope with AAD',
+      run: () => {
+        const envelope = cryptoManager.encryptToEnvelope({ id: 42 }, { aad });
+        return cryptoManager.decryptEnvelope(envelope, 'object', { aad });
+      },
+    },
+    {
+      label: 'Envelope with wrong AAD (should fail)',
+      run: () => {
+        const envelope = cryptoManager.encryptToEnvelope({ id: 42 }, { aad });
+        return cryptoManager.decryptEnvelope(envelope, null, { aad: 'users:43' });
+      },
+    },
+  ];
+
+  for (const test of aadTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
+};
+
+const tinyCryptoKeyringSimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}🗂️  CryptoManager Keyring Test\n${colors.reset}`);
+
+  const cryptoManager = new TinyCrypto({ keyId: '2024-01' });
+  const oldEncrypted = cryptoManager.encrypt({ name: 'Yasmin' });
+  const oldEnvelope = cryptoManager.encryptToEnvelope(new Set(['pudding']), { format: 'binary' });
+  cryptoManager.rotateKey('2025-01');
+
+  const keyringTests = [
+    {
+      label: 'Decrypt data of the old key after rotation',
+      run: () => ({
+        keyIds: cryptoManager.getKeyIds(),
+        activeKeyId: cryptoManager.keyId,
+        decrypted: cryptoManager.decrypt(oldEncrypted, 'object'),
+        envelope: cryptoManager.decryptEnvelope(oldEnvelope, 'set'),
+      }),
+    },
+    {
+      label: 'Re-encrypt old data with the active key',
+      run: () => {
+        const migrated = cryptoManager.reencrypt(oldEncrypted);
+        const migratedEnvelope = cryptoManager.reencrypt(oldEnvelope);
+        cryptoManager.removeKey('2024-01');
+        return {
+          keyId: migrated.keyId,
+          decrypted: cryptoManager.decrypt(migrated, 'object'),
+          envelope: cryptoManager.decryptEnvelope(migratedEnvelope, 'set'),
+        };
+      },
+    },
+    {
+      label: 'Export and import the keyring',
+      run: () => {
+        const config = cryptoManager.exportConfig();
+        const copy = new TinyCrypto();
+        copy.importConfig(config);
+        const encrypted = cryptoManager.encrypt('Hello, world!');
+        return { keyIds: copy.getKeyIds(), decrypted: copy.decrypt(encrypted, 'string') };
+      },
+    },
+    {
+      label: 'Invalid config leaves the instance unchanged',
+      run: () => {
+        const manager = new TinyCrypto({ keyId: 'v1' });
+        const before = JSON.stringify(manager.exportConfig());
+        try {
+          manager.importConfig({
+            outputEncoding: 'base64',
+            keyring: { v2: manager.generateKey().toString('hex') },
+            keyId: 'v2',
+            kdf: { name: 'scrypt' },
+          });
+        } catch (err) {
+          return {
+            error: /** @type {Error} */ (err).message,
+            unchanged: JSON.stringify(manager.exportConfig()) === before,
+          };
+        }
+        throw new Error('The invalid config was imported.');
+      },
+    },
+    {
+      label: 'Decrypt data of a removed key (should fail)',
+      run: () => cryptoManager.decrypt(oldEncrypted),
+    },
+    {
+      label: 'Remove the active key (should fail)',
+      run: () => cryptoManager.removeKey('2025-01'),
+    },
+    {
+      label: 'setKey() keeps the previous key in the keyring',
+      run: () => {
+        const manager = new TinyCrypto({ keyId: 'v1' });
+        const encrypted = manager.encrypt('Hello, world!');
+        manager.setKey(manager.generateKey().toString('hex'));
+        const fresh = manager.encrypt('Hello, pony!');
+        return {
+          activeKeyId: manager.keyId,
+          keyIds: manager.getKeyIds(),
+          old: manager.decrypt(encrypted, 'string'),
+          fresh: manager.decrypt(fresh, 'string'),
+          freshKeyId: fresh.keyId ?? null,
+        };
+      },
+    },
+  ];
+
+  for (const test of keyringTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
+};
+
+const tinyCryptoAlgorithmSimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}🧮 CryptoManager Algorithm Test\n${colors.reset}`);
+
+  const algorithmTests = [
+    ...['aes-128-gcm', 'chacha20-poly1305', 'aes-256-cbc-hmac-sha256'].map((algorithm) => ({
+      label: algorithm,
+      run: async () => {
+        const cryptoManager = new TinyCrypto({ algorithm });
+        const encrypted = cryptoManager.encrypt({ pony: 'Rarity' }, undefined, { aad: 'row:1' });
+        const envelope = cryptoManager.encryptToEnvelope([1, 2, 3]);
+        const streamed = await runStream(
+          [Buffer.from('Tiny pudding')],
+          cryptoManager.createEncryptStream({ chunkSize: 4 }),
+        );
+        const restored = await runStream([streamed], cryptoManager.createDecryptStream());
+        return {
+          keyLength: cryptoManager.key.length,
+          ivLength: cryptoManager.generateIV().length,
+          authTagLength: cryptoManager.authTagLength,
+          decrypted: cryptoManager.decrypt(encrypted, 'object', { aad: 'row:1' }),
+          envelope: cryptoManager.decryptEnvelope(envelope, 'array'),
+          stream: restored.toString(),
+        };
+      },
+    })),
+    {
+      label: 'Tampered AES-CBC+HMAC ciphertext (should fail)',
+      run: () => {
+        const cryptoManager = new TinyCrypto({ algorithm: 'aes-256-cbc-hmac-sha256' });
+        const encrypted = cryptoManager.encrypt('Hello, world!');
+        const bytes = Buffer.from(encrypted.encrypted, 'hex');
+        bytes[0] ^= 1;
+        return cryptoManager.decrypt({ ...encrypted, encrypted: bytes.toString('hex') });
+      },
+    },
+    {
+      label: 'Unsupported algorithm (should fail)',
+      run: () => new TinyCrypto({ algorithm: 'aes-256-ctr' }),
+    },
+    {
+      label: 'Wrong key length (should fail)',
+      run: () => new TinyCrypto({ algorithm: 'aes-256-cbc-hmac-sha256', key: Buffer.alloc(32) }),
+    },
+  ];
+
+  for (const test of algorithmTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
+};
+
+const tinyCryptoBackendSimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}🌐 CryptoManager Backend Test\n${colors.reset}`);
+
+  const backendTests = [
+    ...['aes-256-gcm', 'aes-256-cbc-hmac-sha256'].map((algorithm) => ({
+      label: `WebCrypto <-> Node (${algorithm})`,
+      run: async () => {
+        const web = new TinyCrypto({ algorithm, backend: 'webcrypto' });
+        const node = new TinyCrypto({ algorithm, key: web.key, backend: 'node' });
+        const fromWeb = await web.encryptAsync({ pony: 'Applejack' }, undefined, { aad: 'row:7' });
+        const fromNode = node.encrypt(new Date(0));
+        return {
+          backend: web.getBackend().name,
+          nodeDecrypt: node.decrypt(fromWeb, 'object', { aad: 'row:7' }),
+          webDecrypt: await web.decryptAsync(fromNode, 'date'),
+        };
+      },
+    })),
+    {
+      label: 'Auto backend falls back to Node for ChaCha20-Poly1305',
+      run: async () => {
+        const cryptoManager = new TinyCrypto({ algorithm: 'chacha20-poly1305' });
+        const encrypted = await cryptoManager.encryptAsync('Hello, world!');
+        return {
+          backend: cryptoManager.getBackend().name,
+          decrypted: await cryptoManager.decryptAsync(encrypted, 'string'),
+        };
+      },
+    },
+    {
+      label: 'Web streams with the WebCrypto backend',
+      run: async () => {
+        const cryptoManager = new TinyCrypto({ backend: 'webcrypto' });
+        const encrypted = await new Response(
+          new Blob(['Tiny pudding']).stream().pipeThrough(cryptoManager.createEncryptWebStream()),
+        ).arrayBuffer();
+        const restored = await runStream(
+          [Buffer.from(encrypted)],
+          cryptoManager.createDecryptStream(),
+        );
+        return restored.toString();
+      },
+    },
+    {
+      label: 'Wrong AAD with WebCrypto (should fail)',
+      run: async () => {
+        const cryptoManager = new TinyCrypto({ backend: 'webcrypto' });
+        const encrypted = await cryptoManager.encryptAsync('Hello, world!');
+        return cryptoManager.decryptAsync(encrypted, null, { aad: 'other' });
+      },
+    },
+    {
+      label: 'ChaCha20-Poly1305 with the WebCrypto backend (should fail)',
+      run: () =>
+        new TinyCrypto({ algorithm: 'chacha20-poly1305', backend: 'webcrypto' }).encryptAsync(1),
+    },
+  ];
+
+  for (const test of backendTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
+};
+
+const tinyCryptoFileSimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}📁 CryptoManager File Test\n${colors.reset}`);
+
+  await fs.promises.mkdir(tempDir, { recursive: true });
+  const plainPath = path.join(tempDir, 'file-test.bin');
+  const encryptedPath = path.join(tempDir, 'file-test.bin.enc');
+  const decryptedPath = path.join(tempDir, 'file-test.decrypted.bin');
+  const plain = crypto.generateKey(150000);
+  await fs.promises.writeFile(plainPath, plain);
+
+  const cryptoManager = new TinyCrypto();
+  const fileTests = [
+    {
+      label: 'Encrypt and decrypt a file',
+      run: async () => {
+        await cryptoManager.encryptFile(plainPath, encryptedPath);
+        await cryptoManager.decryptFile(encryptedPath, decryptedPath);
+        const decrypted = await fs.promises.readFile(decryptedPath);
+        return { size: decrypted.length, equal: decrypted.equals(plain) };
+      },
+    },
+    {
+      label: 'Blob encrypted (browser) -> file decrypted (Node)',
+      run: async () => {
+        const encrypted = await cryptoManager.encryptBlob(new Blob([plain]), { chunkSize: 4096 });
+        await fs.promises.writeFile(encryptedPath, Buffer.from(await encrypted.arrayBuffer()));
+        await cryptoManager.decryptFile(encryptedPath, decryptedPath);
+        const decrypted = await fs.promises.readFile(decryptedPath);
+        return { type: encrypted.type, equal: decrypted.equals(plain) };
+      },
+    },
+    {
+      label: 'File encrypted (Node) -> Blob decrypted (browser)',
+      run: async () => {
+        await cryptoManager.encryptFile(plainPath, encryptedPath);
+        const blob = new Blob([await fs.promises.readFile(encryptedPath)]);
+        const decrypted = await cryptoManager.decryptBlob(blob, { type: 'text/plain' });
+        return {
+          type: decrypted.type,
+          equal: Buffer.from(await decrypted.arrayBuffer()).equals(plain),
+        };
+      },
+    },
+    {
+      label: 'Truncated file (should fail and remove the output)',
+      run: async () => {
+        const encrypted = await fs.promises.readFile(encryptedPath);
+        await fs.promises.writeFile(encryptedPath, encrypted.subarray(0, encrypted.length - 10));
+        await fs.promises.rm(decryptedPath, { force: true });
+        try {
+          await cryptoManager.decryptFile(encryptedPath, decryptedPath);
+        } finally {
+          console.log(
+            `${colors.gray}  Output file exists: ${fs.existsSync(decryptedPath)}${colors.reset}`,
+          );
+        }
+      },
+    },
+  ];
+
+  for (const test of fileTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
+};
+
+const tinyCryptoKeystoreSimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}🔐 CryptoManager Keystore Test\n${colors.reset}`);
+
+  await fs.promises.mkdir(tempDir, { recursive: true });
+  const keyPath = path.join(tempDir, 'protected.key');
+  const configPath = path.join(tempDir, 'protected-config.json');
+  const passphrase = 'correct horse battery staple';
+  // Low cost parameters to keep the simulation fast
+  const kdf = { name: 'scrypt', N: 1024 };
+
+  const cryptoManager = new TinyCrypto({ keyId: 'v1' });
+  cryptoManager.rotateKey('v2');
+  const keystoreTests = [
+    {
+      label: 'Save and load a protected key file',
+      run: async () => {
+        await cryptoManager.saveKeyToFileEncrypted(keyPath, { passphrase, kdf });
+        const content = await fs.promises.readFile(keyPath, 'utf8');
+        const loader = new TinyCrypto();
+        const key = await loader.loadKeyFromFileEncrypted(keyPath, { passphrase });
+        return {
+          hasHexKey: content.includes(cryptoManager.key.toString('hex')),
+          equal: key.equals(cryptoManager.key),
+        };
+      },
+    },
+    {
+      label: 'Load a protected key file as a plain key file (should fail)',
+      run: () => new TinyCrypto().loadKeyFromFile(keyPath),
+    },
+    {
+      label: 'Load a protected key file with a wrong passphrase (should fail)',
+      run: () => new TinyCrypto().loadKeyFromFileEncrypted(keyPath, { passphrase: 'wrong' }),
+    },
+    {
+      label: 'Protected key file with a forged KDF cost (should fail)',
+      run: async () => {
+        const keystore = JSON.parse(await fs.promises.readFile(keyPath, 'utf8'));
+        const forgedPath = path.join(tempDir, 'forged.key');
+        await fs.promises.writeFile(
+          forgedPath,
+          JSON.stringify({ ...keystore, kdf: { ...keystore.kdf, N: 2 ** 30 } }),
+        );
+        return new TinyCrypto().loadKeyFromFileEncrypted(forgedPath, { passphrase });
+      },
+    },
+    {
+      label: 'Save and load a protected config file with a keyring',
+      run: async () => {
+        const encrypted = cryptoManager.encrypt('old data');
+        await cryptoManager.saveConfigToFileEncrypted(configPath, { passphrase, kdf });
+        const config = JSON.parse(await fs.promises.readFile(configPath, 'utf8'));
+        const loader = new TinyCrypto();
+        await loader.loadConfigFromFileEncrypted(configPath, { passphrase });
+        return {
+          plainKey: 'key' in config || 'keyring' in config,
+          algorithm: config.algorithm,
+          keyIds: loader.getKeyIds(),
+          decrypted: loader.decrypt(encrypted),
+        };
+      },
+    },
+    {
+      label: 'Load a protected config file with a wrong passphrase (should fail)',
+      run: () => new TinyCrypto().loadConfigFromFileEncrypted(configPath, { passphrase: 'wrong' }),
+    },
+    {
+      label: 'Load a protected config file as a plain config file (should fail)',
+      run: () => new TinyCrypto().loadConfigFromFile(configPath),
+    },
+    {
+      label: 'Plain key files still work',
+      run: async () => {
+        const saved = cryptoManager.saveKeyToFile(keyPath);
+        const key = await new TinyCrypto().loadKeyFromFile(keyPath);
+        return { synchronous: saved === undefined, equal: key.equals(cryptoManager.key) };
+      },
+    },
+    {
+      label: 'Load a plain key file with a passphrase (should fail)',
+      run: () => new TinyCrypto().loadKeyFromFileEncrypted(keyPath, { passphrase }),
+    },
+  ];
+
+  for (const test of keystoreTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
+};
+
+const tinyCryptoBinarySimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}🧱 CryptoManager Binary Output Test\n${colors.reset}`);
+
+  const cryptoManager = new TinyCrypto({ outputMode: 'binary', keyId: 'v1' });
+  const value = { hello: 'world', list: [1, 2, 3] };
+  const binaryTests = [
+    {
+      label: 'Encrypt to a single Buffer and decrypt it',
+      run: () => {
+        const packed = cryptoManager.encrypt(value);
+        const object = cryptoManager.encrypt(value, undefined, { outputMode: 'object' });
+        const objectSize = object.iv.length + object.authTag.length + object.encrypted.length;
+        return {
+          isBuffer: Buffer.isBuffer(packed),
+          size: packed.length,
+          objectSize,
+          decrypted: cryptoManager.decrypt(packed, 'object'),
+        };
+      },
+    },
+    {
+      label: 'Decrypt a Uint8Array (e.g. from IndexedDB)',
+      run: () => {
+        const packed = cryptoManager.encrypt('Hello, world!');
+        const bytes = new Uint8Array(
+          packed.buffer.slice(packed.byteOffset, packed.byteOffset + packed.length),
+        );
+        return {
+          type: cryptoManager.getTypeFromEncrypted(bytes),
+          decrypted: cryptoManager.decrypt(bytes),
+        };
+      },
+    },
+    {
+      label: 'Async encryption and AAD in binary mode',
+      run: async () => {
+        const packed = await cryptoManager.encryptAsync(value, undefined, { aad: 'row:1' });
+        return {
+          sync: cryptoManager.decrypt(packed, 'object', { aad: 'row:1' }),
+          async: await cryptoManager.decryptAsync(packed, 'object', { aad: 'row:1' }),
+        };
+      },
+    },
+    {
+      label: 'Re-encrypt binary data after a key rotation',
+      run: () => {
+        const packed = cryptoManager.encrypt(value);
+        cryptoManager.rotateKey('v2');
+        const migrated = cryptoManager.reencrypt(packed);
+        return { isBuffer: Buffer.isBuffer(migrated), decrypted: cryptoManager.decrypt(migrated) };
+      },
+    },
+    {
+      label: 'Tampered binary data (should fail)',
+      run: () => {
+        const packed = cryptoManager.encrypt(value);
+        packed[packed.length - 1] ^= 1;
+        return cryptoManager.decrypt(packed);
+      },
+    },
+    {
+      label: 'Truncated binary data (should fail)',
+      run: () => cryptoManager.decrypt(cryptoManager.encrypt(value).subarray(0, 10)),
+    },
+    {
+      label: 'Binary data with a truncated auth tag (should fail)',
+      run: () => {
+        const packed = cryptoManager.encrypt(value);
+        const tagStart = 4 + packed[3] + packed[1];
+        const forged = Buffer.concat([
+          packed.subarray(0, tagStart + 4),
+          packed.subarray(tagStart + packed[2]),
+        ]);
+        forged[2] = 4;
+        return cryptoManager.decrypt(forged);
+      },
+    },
+  ];
+
+  for (const test of binaryTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
+};
+
+const tinyCryptoTypedArraySimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}🔢 CryptoManager Typed Array Test\n${colors.reset}`);
+
+  const cryptoManager = new TinyCrypto();
+  const bytes = new Uint8Array([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15]);
+  const typedArrayTests = [
+    {
+      label: 'Every TypedArray kind keeps its class',
+      run: () => {
+        const kinds = [
+          Int8Array,
+          Uint8Array,
+          Uint8ClampedArray,
+          Int16Array,
+          Uint16Array,
+          Int32Array,
+          Uint32Array,
+          Float32Array,
+          Float64Array,
+          BigInt64Array,
+          BigUint64Array,
+        ];
+        return kinds.map((TypedArray) => {
+          const value = new TypedArray(bytes.buffer.slice(0));
+          const decrypted = cryptoManager.decrypt(cryptoManager.encrypt(value));
+          const same =
+            decrypted.constructor === TypedArray &&
+            Buffer.from(decrypted.buffer).equals(Buffer.from(value.buffer));
+          return `${TypedArray.name}: ${same}`;
+        });
+      },
+    },
+    {
+      label: 'A view over part of a buffer only keeps its own bytes',
+      run: () => {
+        const view = new Uint16Array(bytes.buffer.slice(0), 4, 2);
+        const decrypted = cryptoManager.decrypt(cryptoManager.encrypt(view), 'uint16array');
+        return { values: Array.from(decrypted), byteLength: decrypted.buffer.byteLength };
+      },
+    },
+    {
+      label: 'Typed arrays inside objects (deep mode)',
+      run: () => {
+        cryptoManager.setDeepMode(true);
+        const decrypted = cryptoManager.decrypt(
+          cryptoManager.encrypt({
+            samples: new Float64Array([0.1, 0.2]),
+            raw: bytes.buffer.slice(0, 4),
+            view: new DataView(bytes.buffer, 2, 3),
+          }),
+        );
+        cryptoManager.setDeepMode(false);
+        return {
+          samples: decrypted.samples.constructor.name,
+          raw: decrypted.raw.constructor.name,
+          view: `${decrypted.view.constructor.name} ${decrypted.view.getUint8(0)}`,
+        };
+      },
+    },
+    {
+      label: 'Float64Array expected as Float32Array (should fail)',
+      run: () =>
+        cryptoManager.decrypt(cryptoManager.encrypt(new Float64Array([1])), 'float32array'),
+    },
+  ];
+
+  for (const test of typedArrayTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
+};
+
+const tinyCryptoReferenceSimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}🔁 CryptoManager Reference Test\n${colors.reset}`);
+
+  const cryptoManager = new TinyCrypto();
+  cryptoManager.setDeepMode(true);
+  const referenceTests = [
+    {
+      label: 'Circular object',
+      run: () => {
+        const node = { name: 'root', children: [] };
+        node.children.push({ name: 'child', parent: node });
+        node.self = node;
+        const decrypted = cryptoManager.decrypt(cryptoManager.encrypt(node), 'object');
+        return {
+          self: decrypted.self === decrypted,
+          parent: decrypted.children[0].parent === decrypted,
+        };
+      },
+    },
+    {
+      label: 'Shared references keep their identity',
+      run: () => {
+        const shared = { pudding: 'chocolate' };
+        const date = new Date('2024-01-01T00:00:00Z');
+        const value = {
+          a: shared,
+          b: [shared, date, date],
+          map: new Map([['shared', shared]]),
+          set: new Set([shared]),
+        };
+        const decrypted = cryptoManager.decrypt(cryptoManager.encrypt(value));
+        return {
+          array: decrypted.b[0] === decrypted.a,
+          date: decrypted.b[1] === decrypted.b[2],
+          map: decrypted.map.get('shared') === decrypted.a,
+          set: decrypted.set.has(decrypted.a),
+        };
+      },
+    },
+    {
+      label: 'Map and Set that contain themselves',
+      run: () => {
+        const map = new Map();
+        map.set('me', map);
+        const set = new Set();
+        set.add(set);
+        const decryptedMap = cryptoManager.decrypt(cryptoManager.encrypt(map), 'map');
+        const decryptedSet = cryptoManager.decrypt(cryptoManager.encrypt(set), 'set');
+        return {
+          map: decryptedMap.get('me') === decryptedMap,
+          set: decryptedSet.has(decryptedSet),
+        };
+      },
+    },
+    {
+      label: 'Data without references still round-trips',
+      run: () => {
+        const encrypted = cryptoManager.encrypt({ list: [1, 2], nested: { ok: true } });
+        return cryptoManager.decrypt(encrypted);
+      },
+    },
+  ];
+
+  for (const test of referenceTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
+};
+
+const tinyCryptoErrorSimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}🚨 CryptoManager Error Test\n${colors.reset}`);
+
+  const cryptoManager = new TinyCrypto();
+  const errorTests = [
+    {
+      label: 'Error keeps its class, message, stack, cause and properties',
+      run: () => {
+        const error = new RangeError('Job timed out', { cause: new Error('Worker lost') });
+        error.code = 'E_TIMEOUT';
+        error.details = { jobId: 42, at: new Date('2024-01-01T00:00:00Z') };
+        const decrypted = cryptoManager.decrypt(cryptoManager.encrypt(error), 'error');
+        return {
+          isRangeError: decrypted instanceof RangeError,
+          message: decrypted.message,
+          sameStack: decrypted.stack === error.stack,
+          cause: decrypted.cause.message,
+          code: decrypted.code,
+          detailsDate: decrypted.details.at instanceof Date,
+        };
+      },
+    },
+    {
+      label: 'Job results with failures (deep mode)',
+      run: () => {
+        cryptoManager.setDeepMode(true);
+        const failure = new AggregateError([new TypeError('Bad row 3')], 'Import failed');
+        const decrypted = cryptoManager.decrypt(
+          cryptoManager.encrypt({ ok: 12, failures: [failure, failure] }),
+        );
+        cryptoManager.setDeepMode(false);
+        return {
+          errors: decrypted.failures[0].errors.map((error) => error.constructor.name),
+          shared: decrypted.failures[0] === decrypted.failures[1],
+        };
+      },
+    },
+    {
+      label: 'Custom error names are kept',
+      run: () => {
+        const error = new Error('Not found');
+        error.name = 'NotFoundError';
+        const decrypted = cryptoManager.decrypt(cryptoManager.encrypt(error));
+        return { text: String(decrypted), keys: Object.keys(decrypted) };
+      },
+    },
+    {
+      label: 'Error that is its own cause (should fail)',
+      run: () => {
+        const error = new Error('Loop');
+        error.cause = error;
+        return cryptoManager.encrypt(error);
+      },
+    },
+  ];
+
+  for (const test of errorTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
+};
+
+const tinyCryptoCodecSimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}📦 CryptoManager Binary Codec Test\n${colors.reset}`);
+
+  const jsonCrypto = new TinyCrypto();
+  const binaryCrypto = new TinyCrypto({ key: jsonCrypto.key, codec: 'binary' });
+  const session = {
+    user: 'alice',
+    balance: 123456789012345678901234567890n,
+    lastSeen: new Date('2024-05-01T12:00:00Z'),
+    roles: new Set(['admin', 'editor']),
+    prefs: new Map([['theme', 'dark']]),
+    avatar: Buffer.alloc(256, 7),
+    samples: new Float32Array([0.5, -1.25]),
+  };
+  session.owner = session;
+
+  const codecTests = [
+    {
+      label: 'Binary codec round trip',
+      run: () => {
+        const decrypted = binaryCrypto.decrypt(binaryCrypto.encrypt(session), 'object');
+        return {
+          balance: decrypted.balance,
+          lastSeen: decrypted.lastSeen.toISOString(),
+          roles: [...decrypted.roles],
+          theme: decrypted.prefs.get('theme'),
+          avatar: Buffer.isBuffer(decrypted.avatar) && decrypted.avatar.length,
+          samples: Array.from(decrypted.samples),
+          circular: decrypted.owner === decrypted,
+        };
+      },
+    },
+    {
+      label: 'Binary codec is smaller than JSON',
+      run: () => {
+        const { owner, ...plain } = session;
+        const json = jsonCrypto.encrypt(plain, undefined, { outputMode: 'binary' });
+        const binary = binaryCrypto.encrypt(plain, undefined, { outputMode: 'binary' });
+        return { json: json.length, binary: binary.length };
+      },
+    },
+    {
+      label: 'Envelope keeps the codec in its header',
+      run: () => {
+        const envelope = binaryCrypto.encryptToEnvelope({ id: 7n, tags: new Set(['x']) });
+        const decrypted = jsonCrypto.decryptEnvelope(envelope, 'object');
+        return { id: decrypted.id, tags: [...decrypted.tags] };
+      },
+    },
+    {
+      label: 'Type detection and config export',
+      run: () => {
+        const encrypted = binaryCrypto.encrypt(new Map([['a', 1]]));
+        return {
+          type: binaryCrypto.getTypeFromEncrypted(encrypted),
+          codec: binaryCrypto.exportConfig().codec,
+        };
+      },
+    },
+    {
+      label: 'Parser binary format',
+      run: () => {
+        const parser = new TinyCryptoParser();
+        const bytes = parser.serializeBinary([1, -1, 'hi', null, true, undefined, 2.5]);
+        return {
+          hex: bytes.toString('hex'),
+          value: parser.deserializeBinary(bytes, 'array').value,
+        };
+      },
+    },
+    {
+      label: 'Binary data decrypted with the JSON codec (should fail)',
+      run: () => jsonCrypto.decrypt(binaryCrypto.encrypt({ hello: 'world' }), 'object'),
+    },
+    {
+      label: 'Truncated binary data (should fail)',
+      run: () => new TinyCryptoParser().deserializeBinary(Buffer.from([0x92, 0x01])),
+    },
+    {
+      label: 'Invalid codec (should fail)',
+      run: () => binaryCrypto.setCodec('cbor'),
+    },
+  ];
+
+  for (const test of codecTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
+};
+
+const tinyCryptoSchemaSimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}📐 CryptoManager Schema Test\n${colors.reset}`);
+
+  const cryptoManager = new TinyCrypto();
+  cryptoManager.setDeepMode(true);
+  const orderSchema = {
+    type: 'object',
+    properties: {
+      id: 'bigint',
+      items: {
+        type: 'array',
+        items: { type: 'object', properties: { sku: 'string', date: 'date' } },
+      },
+      prices: { type: 'map', keys: 'string', values: ['number', 'bigint'] },
+      tags: { type: 'set', items: 'string' },
+      note: { type: 'string', optional: true },
+    },
+  };
+  const order = {
+    id: 99n,
+    items: [
+      { sku: 'A-1', date: new Date('2024-01-01') },
+      { sku: 'B-2', date: new Date('2024-01-02') },
+    ],
+    prices: new Map([
+      ['A-1', 10],
+      ['B-2', 25n],
+    ]),
+    tags: new Set(['gift']),
+  };
+
+  const schemaTests = [
+    {
+      label: 'Valid order',
+      run: () => {
+        const decrypted = cryptoManager.decrypt(cryptoManager.encrypt(order), orderSchema);
+        return { id: decrypted.id, items: decrypted.items.length };
+      },
+    },
+    {
+      label: 'Valid order (binary codec and envelope)',
+      run: () => {
+        const binary = new TinyCrypto({ key: cryptoManager.key, codec: 'binary' });
+        return binary.decryptEnvelope(binary.encryptToEnvelope(order), orderSchema).id;
+      },
+    },
+    {
+      label: 'Circular value with a recursive schema',
+      run: () => {
+        const nodeSchema = { type: 'object', properties: { name: 'string' } };
+        nodeSchema.properties.next = {
+          type: ['object', 'null'],
+          properties: nodeSchema.properties,
+        };
+        const first = { name: 'a', next: null };
+        first.next = { name: 'b', next: first };
+        return cryptoManager.decrypt(cryptoManager.encrypt(first), nodeSchema).next.name;
+      },
+    },
+    {
+      label: 'Wrong nested date (should fail)',
+      run: () => {
+        const items = [...order.items];
+        items[1] = { sku: 'B-2', date: '2024-01-02' };
+        return cryptoManager.decrypt(cryptoManager.encrypt({ ...order, items }), orderSchema);
+      },
+    },
+    {
+      label: 'Wrong Map value (should fail)',
+      run: () => {
+        const prices = new Map([['A-1', '10']]);
+        return cryptoManager.decrypt(cryptoManager.encrypt({ ...order, prices }), orderSchema);
+      },
+    },
+    {
+      label: 'Missing required field (should fail)',
+      run: () => {
+        const { tags, ...rest } = order;
+        return cryptoManager.decrypt(cryptoManager.encrypt(rest), orderSchema);
+      },
+    },
+  ];
+
+  for (const test of schemaTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
+};
+
+const tinyCryptoClassSimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}🏷️ CryptoManager Class Registry Test\n${colors.reset}`);
+
+  class Point {
+    constructor(x, y) {
+      this.x = x;
+      this.y = y;
+    }
+
+    length() {
+      return Math.hypot(this.x, this.y);
+    }
+  }
+
+  class Task {
+    constructor(title) {
+      this.title = title;
+      this.createdAt = new Date('2024-01-01');
+      this.parent = null;
+    }
+  }
+
+  class Money {
+    #cents;
+
+    constructor(cents) {
+      this.#cents = cents;
+    }
+
+    get cents() {
+      return this.#cents;
+    }
+  }
+
+  const cryptoManager = new TinyCrypto();
+  cryptoManager.registerClass(Point);
+  cryptoManager.registerClass(Task);
+  cryptoManager.registerClass(Money, {
+    toJSON: (money) => ({ cents: money.cents }),
+    fromJSON: ({ cents }) => new Money(cents),
+  });
+
+  const deepCrypto = new TinyCrypto({ key: cryptoManager.key });
+  deepCrypto.setDeepMode(true);
+  deepCrypto.registerClass(Point);
+  deepCrypto.registerClass(Task);
+  deepCrypto.registerClass(Money, {
+    toJSON: (money) => ({ cents: money.cents }),
+    fromJSON: ({ cents }) => new Money(cents),
+  });
+
+  const classTests = [
+    {
+      label: 'Instance keeps its prototype',
+      run: () => {
+        const point = cryptoManager.decrypt(cryptoManager.encrypt(new Point(3, 4)), 'Point');
+        return { isPoint: point instanceof Point, length: point.length() };
+      },
+    },
+    {
+      label: 'Deep mode restores typed fields and cycles',
+      run: () => {
+        const child = new Task('child');
+        child.parent = child;
+        const task = deepCrypto.decrypt(deepCrypto.encrypt({ child, total: new Money(150n) }));
+        return {
+          isTask: task.child instanceof Task,
+          date: task.child.createdAt instanceof Date,
+          cycle: task.child.parent === task.child,
+          cents: task.total.cents,
+        };
+      },
+    },
+    {
+      label: 'Binary codec with custom toJSON / fromJSON',
+      run: () => {
+        const binary = new TinyCrypto({ key: cryptoManager.key, codec: 'binary' });
+        binary.registerClass(Money, {
+          toJSON: (money) => ({ cents: money.cents }),
+          fromJSON: ({ cents }) => new Money(cents),
+        });
+        const money = binary.decrypt(binary.encrypt([new Money(5n), new Money(7n)]));
+        return money.map((item) => item instanceof Money && item.cents);
+      },
+    },
+    {
+      label: 'Schema on class fields',
+      run: () =>
+        deepCrypto.decrypt(deepCrypto.encrypt(new Point(1, 2)), {
+          type: 'Point',
+          properties: { x: 'number', y: 'number' },
+        }).x,
+    },
+    {
+      label: 'Wrong class type (should fail)',
+      run: () => cryptoManager.decrypt(cryptoManager.encrypt(new Point(1, 2)), 'Task'),
+    },
+    {
+      label: 'Duplicate class (should fail)',
+      run: () => cryptoManager.registerClass(Point),
+    },
+    {
+      label: 'Anonymous class (should fail)',
+      run: () => cryptoManager.registerClass(class {}),
+    },
+  ];
+
+  for (const test of classTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
+};
+
+const tinyCryptoSafeModeSimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}🛡️ CryptoManager Safe Mode Test\n${colors.reset}`);
+
+  const sender = new TinyCrypto();
+  sender.setDeepMode(true);
+  const receiver = new TinyCrypto({ key: sender.key, safeMode: true });
+  receiver.setDeepMode(true);
+  const binarySender = new TinyCrypto({ key: sender.key, codec: 'binary' });
+  const binaryReceiver = new TinyCrypto({ key: sender.key, codec: 'binary', safeMode: true });
+
+  /**
+   * @param {number} depth
+   * @returns {Record<string, any>}
+   */
+  const nested = (depth) => {
+    let value = {};
+    for (let i = 1; i < depth; i++) value = { next: value };
+    return value;
+  };
+
+  const safeModeTests = [
+    {
+      label: 'Safe data passes',
+      run: () => {
+        const value = { id: 1n, tags: new Set(['a']), date: new Date('2024-01-01') };
+        return receiver.decrypt(sender.encrypt(value));
+      },
+    },
+    {
+      label: 'Default options',
+      run: () => receiver.getSafeMode(),
+    },
+    {
+      label: 'Safe mode off allows RegExp',
+      run: () => sender.decrypt(sender.encrypt(/^(a+)+$/)),
+    },
+    {
+      label: 'Nested RegExp (should fail)',
+      run: () => receiver.decrypt(sender.encrypt({ pattern: [/^(a+)+$/] })),
+    },
+    {
+      label: 'RegExp in the cause of an error (should fail)',
+      run: () => receiver.decrypt(sender.encrypt(new Error('Oops', { cause: /^(a+)+$/ }))),
+    },
+    {
+      label: 'RegExp with the binary codec (should fail)',
+      run: () => binaryReceiver.decrypt(binarySender.encrypt(new Map([['p', /^(a+)+$/]]))),
+    },
+    {
+      label: 'Crafted htmlElement (should fail)',
+      run: () => {
+        const forged = '{"__type":"htmlElement","value":"<img src=x onerror=alert(1)>"}';
+        return new TinyCryptoParser({ safeMode: true }).deserialize(forged);
+      },
+    },
+    {
+      label: 'Crafted __proto__ key in deep mode',
+      run: () => {
+        const polluted = JSON.stringify({
+          __type: 'object',
+          value: { polluted: JSON.stringify({ __type: 'boolean', value: true }) },
+        });
+        const forged = `{"__type":"object","value":{"__proto__":${JSON.stringify(polluted)}}}`;
+        const { value } = new TinyCryptoParser({ safeMode: true }).deserializeDeep(forged);
+        return {
+          ownKey: Object.hasOwn(value, '__proto__'),
+          prototypeKept: Object.getPrototypeOf(value) === Object.prototype,
+          polluted: 'polluted' in value,
+        };
+      },
+    },
+    {
+      label: 'Too deep (should fail)',
+      run: () => {
+        const strict = new TinyCrypto({ key: sender.key, safeMode: { maxDepth: 5 } });
+        strict.setDeepMode(true);
+        return strict.decrypt(sender.encrypt(nested(6)));
+      },
+    },
+    {
+      label: 'String too long (should fail)',
+      run: () => {
+        binaryReceiver.setSafeMode({ maxStringLength: 16 });
+        return binaryReceiver.decrypt(binarySender.encrypt({ text: 'x'.repeat(17) }));
+      },
+    },
+    {
+      label: 'Collection too big (should fail)',
+      run: () => {
+        receiver.setSafeMode({ maxCollectionSize: 100 });
+        return receiver.decrypt(sender.encrypt(new Set(Array.from({ length: 101 }, (_, i) => i))));
+      },
+    },
+    {
+      label: 'Type not in the allowlist (should fail)',
+      run: () => {
+        receiver.setSafeMode({ allowTypes: ['object', 'string', 'number'] });
+        return receiver.decrypt(sender.encrypt({ name: 'a', id: 1n }));
+      },
+    },
+    {
+      label: 'Invalid limit (should fail)',
+      run: () => receiver.setSafeMode({ maxDepth: -1 }),
+    },
+  ];
+
+  for (const test of safeModeTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
+};
+
+const tinyCryptoBlobSimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}🌐 CryptoManager URL and Blob Test\n${colors.reset}`);
+
+  const deepCrypto = new TinyCrypto();
+  deepCrypto.setDeepMode(true);
+  const binaryCrypto = new TinyCrypto({ key: deepCrypto.key, codec: 'binary' });
+  const draft = {
+    link: new URL('https://example.com/docs?page=2#intro'),
+    query: new URLSearchParams({ q: 'tiny crypto', lang: 'en' }),
+    attachment: new File(['Hello, file!'], 'hello.txt', {
+      type: 'text/plain',
+      lastModified: 1714564800000,
+    }),
+    thumbnail: new Blob([new Uint8Array([137, 80, 78, 71])], { type: 'image/png' }),
+  };
+
+  /** @param {any} value */
+  const describe = async (value) => ({
+    link: value.link.href,
+    query: value.query.get('q'),
+    attachment: {
+      isFile: value.attachment instanceof File,
+      name: value.attachment.name,
+      type: value.attachment.type,
+      lastModified: value.attachment.lastModified,
+      text: await value.attachment.text(),
+    },
+    thumbnail: {
+      isBlob: value.thumbnail instanceof Blob,
+      type: value.thumbnail.type,
+      bytes: Array.from(new Uint8Array(await value.thumbnail.arrayBuffer())),
+    },
+  });
+
+  const blobTests = [
+    {
+      label: 'Deep mode draft round trip',
+      run: async () =>
+        describe(await deepCrypto.decryptAsync(await deepCrypto.encryptAsync(draft))),
+    },
+    {
+      label: 'Binary codec draft round trip',
+      run: async () =>
+        describe(binaryCrypto.decrypt(await binaryCrypto.encryptAsync(draft), 'object')),
+    },
+    {
+      label: 'Single File',
+      run: async () => {
+        const file = await deepCrypto.decryptAsync(
+          await deepCrypto.encryptAsync(draft.attachment),
+          'file',
+        );
+        return { name: file.name, text: await file.text() };
+      },
+    },
+    {
+      label: 'Blob with the sync encrypt (should fail)',
+      run: () => deepCrypto.encrypt(draft),
+    },
+  ];
+
+  for (const test of blobTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
+};
@@ -0,0 +1,357 @@
+/**
+ * @fileoverview Property-based round trip test of TinyCryptoParser.
+ * Random values of every supported type are serialized and deserialized again, and the result
+ * must be deep-equal to the original, including `-0`, `NaN`, sparse arrays and shared references.
+ */
+
+import { Buffer } from 'buffer';
+import { TinyCryptoParser } from '../dist/index.mjs';
+
+const colors = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  gray: '\x1b[90m',
+
+  divider: '\x1b[90m────────────────────────────────────\x1b[0m',
+};
+
+/** Samples generated for each type. */
+const SAMPLES = 100;
+
+/** Seed of the first sample. A failure prints the seed, so it can be reproduced. */
+const SEED = 20240501;
+
+/**
+ * Seeded random generator (mulberry32).
+ * @param {number} seed
+ * @returns {() => number} A function returning numbers in `[0, 1)`.
+ */
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const EDGE_NUMBERS = [
+  0,
+  -0,
+  NaN,
+  Infinity,
+  -Infinity,
+  Number.MAX_VALUE,
+  Number.MIN_VALUE,
+  Number.MAX_SAFE_INTEGER,
+  Number.MIN_SAFE_INTEGER,
+  Number.EPSILON,
+  2 ** 53 + 2,
+  -(2 ** 31),
+];
+
+const ERROR_CLASSES = [Error, TypeError, RangeError, SyntaxError, ReferenceError, EvalError];
+
+const TYPED_ARRAYS = [
+  Int8Array,
+  Uint8Array,
+  Uint8ClampedArray,
+  Int16Array,
+  Uint16Array,
+  Int32Array,
+  Uint32Array,
+  Float32Array,
+  Float64Array,
+  BigInt64Array,
+  BigUint64Array,
+];
+
+/**
+ * Creates the value generators of a random source.
+ * @param {() => number} random
+ */
+const createArbitraries = (random) => {
+  const int = (max) => Math.floor(random() * max);
+  const pick = (list) => list[int(list.length)];
+  const string = () => {
+    let text = '';
+    const length = int(12);
+    for (let i = 0; i < length; i++) {
+      // ASCII, Latin, CJK and astral code points (no lone surrogates)
+      const code = pick([
+        () => 0x20 + int(0x5f),
+        () => 0xa0 + int(0x160),
+        () => 0x4e00 + int(0x100),
+        () => 0x1f300 + int(0x100),
+      ])();
+      text += String.fromCodePoint(code);
+    }
+    return text;
+  };
+  const number = () =>
+    pick([
+      () => pick(EDGE_NUMBERS),
+      () => int(1000) - 500,
+      () => (random() - 0.5) * 10 ** int(40),
+    ])();
+  const bytes = () => Buffer.from(Array.from({ length: int(24) }, () => int(256)));
+
+  /** @type {Record<string, (depth: number) => any>} */
+  const leaves = {
+    string,
+    number,
+    bigint: () => BigInt(int(2 ** 31)) ** BigInt(1 + int(4)) * (random() < 0.5 ? -1n : 1n),
+    boolean: () => random() < 0.5,
+    null: () => null,
+    undefined: () => undefined,
+    date: () => new Date(int(4102444800000)),
+    regexp: () =>
+      new RegExp(
+        pick(['^a+$', '\\d{2,}', '[^/]+', '(?<year>\\d{4})']),
+        pick(['', 'g', 'iu', 'ms']),
+      ),
+    symbol: () => Symbol(random() < 0.2 ? undefined : string()),
+    buffer: bytes,
+    typedarray: () => {
+      const TypedArray = pick(TYPED_ARRAYS);
+      const length = int(8);
+      const value = new TypedArray(length);
+      for (let i = 0; i < length; i++)
+        value[i] =
+          TypedArray === BigInt64Array || TypedArray === BigUint64Array
+            ? BigInt(int(2 ** 31))
+            : TypedArray === Float32Array || TypedArray === Float64Array
+              ? number()
+              : int(256);
+      return value;
+    },
+    arraybuffer: () => new Uint8Array(bytes()).buffer,
+    dataview: () => {
+      const buffer = new Uint8Array(bytes()).buffer;
+      const offset = int(buffer.byteLength + 1);
+      return new DataView(buffer, offset, int(buffer.byteLength - offset + 1));
+    },
+    error: () => {
+      const error = new (pick(ERROR_CLASSES))(string());
+      if (random() < 0.3) error.code = string();
+      return error;
+    },
+    url: () => new URL(`https://example.com/${encodeURIComponent(string())}?q=${int(100)}`),
+    urlsearchparams: () => new URLSearchParams({ [string()]: string(), page: String(int(10)) }),
+  };
+
+  /** @param {number} depth */
+  const any = (depth) =>
+    depth > 0 && random() < 0.4
+      ? containers[pick(Object.keys(containers))](depth - 1)
+      : leaves[pick(Object.keys(leaves))](depth);
+
+  /** @type {Record<string, (depth: number) => any>} */
+  const containers = {
+    array: (depth) => Array.from({ length: int(6) }, () => any(depth)),
+    sparsearray: (depth) => {
+      const value = new Array(int(20));
+      for (let i = 0; i < value.length; i++) if (random() < 0.3) value[i] = any(depth);
+      if (random() < 0.5) value[string() || 'extra'] = any(depth);
+      return value;
+    },
+    object: (depth) => {
+      /** @type {Record<string, any>} */
+      const value = {};
+      for (let i = int(6); i > 0; i--) value[string()] = any(depth);
+      return value;
+    },
+    map: (depth) => new Map(Array.from({ length: int(5) }, () => [any(depth), any(depth)])),
+    set: (depth) => new Set(Array.from({ length: int(5) }, () => any(depth))),
+    shared: (depth) => {
+      const item = { value: any(depth) };
+      const value = [item, { item }];
+      value.push(value);
+      return value;
+    },
+  };
+
+  return { ...leaves, ...containers };
+};
+
+/**
+ * Compares two values, including `-0`, `NaN`, holes, extra array properties, prototypes and cycles.
+ *
+ * @param {any} a
+ * @param {any} b
+ * @param {Map<any, any>} [seen]
+ * @returns {Promise<boolean>}
+ */
+const deepEqual = async (a, b, seen = new Map()) => {
+  if (typeof a !== typeof b) return false;
+  if (typeof a === 'symbol') return a.description === b.description;
+  if (typeof a !== 'object' || a === null || b === null) return Object.is(a, b);
+  if (seen.has(a)) return seen.get(a) === b;
+  seen.set(a, b);
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+  const sameBytes = (x, y) =>
+    Buffer.compare(
+      Buffer.from(x.buffer ?? x, x.byteOffset ?? 0, x.byteLength),
+      Buffer.from(y.buffer ?? y, y.byteOffset ?? 0, y.byteLength),
+    ) === 0;
+  /** @param {Iterable<any>} x @param {Iterable<any>} y */
+  const sameItems = async (x, y) => {
+    const xs = [...x];
+    const ys = [...y];
+    if (xs.length !== ys.length) return false;
+    for (let i = 0; i < xs.length; i++) if (!(await deepEqual(xs[i], ys[i], seen))) return false;
+    return true;
+  };
+  /** @param {string[]} keys */
+  const sameKeys = async (keys) => {
+    if (keys.join('\0') !== Object.keys(b).join('\0')) return false;
+    for (const key of keys) if (!(await deepEqual(a[key], b[key], seen))) return false;
+    return true;
+  };
+
+  if (a instanceof Date) return Object.is(a.getTime(), b.getTime());
+  if (a instanceof RegExp) return a.source === b.source && a.flags === b.flags;
+  if (a instanceof URL) return a.href === b.href;
+  if (a instanceof URLSearchParams) return a.toString() === b.toString();
+  if (a instanceof Blob)
+    return (
+      a.type === b.type &&
+      a.name === b.name &&
+      a.lastModified === b.lastModified &&
+      sameBytes(new Uint8Array(await a.arrayBuffer()), new Uint8Array(await b.arrayBuffer()))
+    );
+  if (a instanceof ArrayBuffer || ArrayBuffer.isView(a)) return sameBytes(a, b);
+  if (a instanceof Map) return sameItems(a, b);
+  if (a instanceof Set) return sameItems(a, b);
+  if (a instanceof Error)
+    return (
+      a.name === b.name &&
+      a.message === b.message &&
+      (await deepEqual(a.cause, b.cause, seen)) &&
+      sameKeys(Object.keys(a))
+    );
+  if (Array.isArray(a) && a.length !== b.length) return false;
+  return sameKeys(Object.keys(a));
+};
+
+/**
+ * Runs the round trips of one type.
+ *
+ * @param {string} type - The generator name.
+ * @param {(value: any) => Promise<any>|any} roundTrip
+ * @returns {Promise<string>}
+ */
+const checkProperty = async (type, roundTrip) => {
+  for (let i = 0; i < SAMPLES; i++) {
+    const seed = SEED + i;
+    const value = createArbitraries(createRandom(seed))[type](3);
+    const result = await roundTrip(value);
+    if (!(await deepEqual(value, result)))
+      throw new Error(`Counterexample with seed ${seed}: ${String(value?.toString?.() ?? value)}`);
+  }
+  return `${SAMPLES} samples`;
+};
+
+const tinyCryptoParserSimulation = async () => {
+  console.log(`${colors.bold}${colors.cyan}🎲 TinyCryptoParser Round Trip Test\n${colors.reset}`);
+
+  const parser = new TinyCryptoParser();
+  const types = Object.keys(createArbitraries(createRandom(SEED)));
+  const blob = new Blob([new Uint8Array([1, 2, 3])], { type: 'application/octet-stream' });
+  const file = new File(['-0 and NaN'], 'notes.txt', { type: 'text/plain', lastModified: 1 });
+
+  const roundTripTests = [
+    ...types.map((type) => ({
+      label: `${type}: deserializeDeep(serializeDeep(x))`,
+      run: () =>
+        checkProperty(type, (value) => parser.deserializeDeep(parser.serializeDeep(value)).value),
+    })),
+    ...types.map((type) => ({
+      label: `${type}: deserializeBinary(serializeBinary(x))`,
+      run: () =>
+        checkProperty(
+          type,
+          (value) => parser.deserializeBinary(parser.serializeBinary(value)).value,
+        ),
+    })),
+    {
+      label: 'blob and file: async serialization',
+      run: async () => {
+        const value = [blob, { file }, -0];
+        const deep = parser.deserializeDeep(await parser.serializeDeepAsync(value)).value;
+        const binary = parser.deserializeBinary(await parser.serializeBinaryAsync(value)).value;
+        if (!(await deepEqual(value, deep)) || !(await deepEqual(value, binary)))
+          throw new Error('The values are different.');
+        return 'equal';
+      },
+    },
+    {
+      label: 'Negative zero in the shallow mode',
+      run: () => Object.is(parser.deserialize(parser.serialize(-0)).value, -0),
+    },
+    {
+      label: 'Negative zero in the canonical mode',
+      run: () => parser.deserializeDeep(parser.serializeDeep([-0], { canonical: true })).value,
+    },
+    {
+      label: 'Deeply nested value in the binary format (should fail)',
+      run: () => {
+        let value = {};
+        for (let i = 0; i < 20000; i++) value = { value };
+        return parser.serializeBinary(value);
+      },
+    },
+    {
+      label: 'Deeply nested value in the deep mode (should fail)',
+      run: () => {
+        let value = [];
+        for (let i = 0; i < 20000; i++) value = [value];
+        return parser.serializeDeep(value);
+      },
+    },
+    {
+      label: 'Deeply nested binary data (should fail)',
+      run: () => parser.deserializeBinary(Buffer.alloc(200000, 0x91)),
+    },
+    {
+      label: 'Binary data at the maximum depth',
+      run: () => {
+        let value = [Symbol()];
+        for (let i = 1; i < 1000; i++) value = [value];
+        return parser.deserializeBinary(parser.serializeBinary(value)).type;
+      },
+    },
+    {
+      label: 'Nested values still serialize after a depth error',
+      run: () => parser.deserializeBinary(parser.serializeBinary({ list: [[1]] })).value,
+    },
+    {
+      label: 'Sparse array with a bad length (should fail)',
+      run: () =>
+        parser.deserializeDeep(
+          JSON.stringify({ __type: 'array', value: { length: -1, entries: {} } }),
+        ),
+    },
+  ];
+
+  for (const test of roundTripTests) {
+    try {
+      const result = await test.run();
+      console.log(`${colors.green}✅ ${colors.bold}${test.label}${colors.reset}`);
+      console.log(`${colors.blue}  Result:${colors.reset}`, result);
+    } catch (err) {
+      console.log(
+        `${colors.red}❌ ${colors.bold}${test.label}${colors.reset} ${colors.red}failed: ${err.message}${colors.reset}`,
+      );
+    }
+
+    console.log(colors.divider);
+  }
+};
+
+export default tinyCryptoParserSimulation;
@@ -1,6 +1,7 @@
 import executeSimulationCert from './TinyCertCrypto.mjs';
 import tinyCryptoSimulation from './TinyCrypto.mjs';
 import tinyChainSimulation from './TinyChain.mjs';
+import tinyCryptoParserSimulation from './TinyCryptoParser.mjs';
 import simulateMatrixCommunication from './TinyOlm.mjs';
 
 const actions = {
@@ -8,6 +9,7 @@ const actions = {
   certCrypto: executeSimulationCert,
   olm: simulateMatrixCommunication,
   tinyChain: tinyChainSimulation,
+  tinyCryptoParser: tinyCryptoParserSimulation,
 };
 
 (async () => {
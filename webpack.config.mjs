@@ -8,7 +8,8 @@ const __dirname = path.dirname(__filename);
 
 // Add modules
 const modules = [];
-const addModule = (entry, library, isClass = false) => {
+// Bundles without Node polyfills only get the `buffer` package
+const addModule = (entry, library, isClass = false, nodePolyfills = true) => {
   const baseConfig = {
     entry,
     output: {
@@ -22,12 +23,14 @@ const addModule = (entry, library, isClass = false) => {
       runtimeChunk: false,
       splitChunks: false,
     },
-    plugins: [
-      new NodePolyfillPlugin(),
-      new webpack.ProvidePlugin({
-        process: 'process/browser',
-      }),
-    ],
+    plugins: nodePolyfills
+      ? [
+          new NodePolyfillPlugin(),
+          new webpack.ProvidePlugin({
+            process: 'process/browser',
+          }),
+        ]
+      : [],
   };
   modules.push(
     // Non-minified version
@@ -62,7 +65,7 @@ const addModule = (entry, library, isClass = false) => {
 // Main
 addModule('./src/build/TinyCryptoParser.mjs', 'TinyCryptoParser', true);
 addModule('./src/build/TinyCertCrypto.mjs', 'TinyCertCrypto', true);
-addModule('./src/build/TinyCrypto.mjs', 'TinyCrypto', true);
+addModule('./src/build/TinyCrypto.mjs', 'TinyCrypto', true, false);
 addModule('./src/build/TinyOlm.mjs', 'TinyOlm', true);
 addModule('./src/build/TinyChain.mjs', 'TinyChain', true);
 